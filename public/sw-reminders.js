@@ -0,0 +1,90 @@
+// Study reminders in the service worker (loaded into the generated Workbox worker via `importScripts`, see
+// vite.config.js). The app posts a snapshot of the plan whenever it changes (buildReminderSnapshot in
+// src/lib/reminders.js); periodic background sync wakes this worker to decide on today's reminder even when
+// the app is closed. Plain script, no bundling: the reminder rule itself (self.reminderFor) comes from
+// sw-reminder-rule.js, which vite.config.js generates from reminderFor in src/lib/reminders.js.
+
+const REMINDER_CACHE = 'chem-review-reminders';
+const REMINDER_SNAPSHOT_URL = '/__reminders/snapshot.json';
+const REMINDER_SHOWN_URL = '/__reminders/shown.json';
+const REMINDER_TAG = 'study-reminder';
+
+async function readReminderJson(url) {
+  try {
+    const cache = await self.caches.open(REMINDER_CACHE);
+    const res = await cache.match(url);
+    return res ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeReminderJson(url, value) {
+  try {
+    const cache = await self.caches.open(REMINDER_CACHE);
+    await cache.put(url, new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } }));
+  } catch {
+    // ignore
+  }
+}
+
+// Taipei is UTC+8 with no DST: its date key and minutes past midnight.
+function taipeiNow() {
+  const iso = new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString();
+  return { date: iso.slice(0, 10), minutes: Number(iso.slice(11, 13)) * 60 + Number(iso.slice(14, 16)) };
+}
+
+async function maybeShowReminder() {
+  const snapshot = await readReminderJson(REMINDER_SNAPSHOT_URL);
+  if (!snapshot) return;
+  const now = taipeiNow();
+  const [h, m] = String(snapshot.time || '').split(':').map(Number);
+  if (!(now.minutes >= h * 60 + m)) return;
+
+  // Once a day; the shared tag also replaces a scheduled (trigger) reminder still on screen instead of stacking.
+  const shown = await readReminderJson(REMINDER_SHOWN_URL);
+  if (shown && shown.date === now.date) return;
+
+  const reminder = self.reminderFor(snapshot, now.date);
+  if (!reminder) return;
+  await self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: REMINDER_TAG,
+    icon: '/pwa-192.png',
+    data: { url: reminder.url }
+  });
+  await writeReminderJson(REMINDER_SHOWN_URL, { date: now.date });
+}
+
+self.addEventListener('message', (event) => {
+  const msg = event.data;
+  if (!msg || msg.type !== 'reminders:update') return;
+  event.waitUntil(writeReminderJson(REMINDER_SNAPSHOT_URL, msg.snapshot));
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== REMINDER_TAG) return;
+  event.waitUntil(maybeShowReminder());
+});
+
+// Tapping a reminder opens (or focuses) the app on the day it names.
+self.addEventListener('notificationclick', (event) => {
+  if (event.notification.tag !== REMINDER_TAG) return;
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window' });
+      for (const client of windows) {
+        try {
+          await client.focus();
+          await client.navigate(url);
+          return;
+        } catch {
+          // try the next window, or open a new one
+        }
+      }
+      await self.clients.openWindow(url);
+    })()
+  );
+});
@@ -1,5 +1,81 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { SKILLS, getAllDiagnosticQuestions, getPracticeQuestionsForSkill, validateSkillsContent } from './content/skills.js';
+import {
+  SKILLS,
+  getAdaptivePools,
+  getAllDiagnosticQuestions,
+  getAllQuestions,
+  getPracticeQuestionsForSkill,
+  getQuestionById,
+  validateSkillsContent
+} from './content/skills.js';
+import { getTemplateVariant, getTemplateVariantsForSkill } from './content/templates.js';
+import { getWrongReason, getWrongReasonCategory, resolveWrongReasonId, wrongReasonName } from './content/wrongReasons.js';
+import { buildAdaptiveSequence } from './lib/adaptive.js';
+import { CONFIDENCE_LEVELS, appendAttempt, clampAttemptMs, makeAttempt, sanitizeAttempts } from './lib/attempts.js';
+import { MAX_COEFFICIENT, balanceSpecies, checkBalance, formatEquation } from './lib/balance.js';
+import { dailyChallengeQid, challengeStats, recordChallenge, sanitizeChallengeLog } from './lib/dailyChallenge.js';
+import { addDays, daysBetween, formatDateKey, isDateKey, taipeiDateKey } from './lib/dates.js';
+import { formulaTokens, splitChemText } from './lib/formula.js';
+import { formatCorrectAnswer, formatGivenAnswer, gradeAnswer, normalizeAnswer, numericFeedback } from './lib/grading.js';
+import { buildIcsCalendar } from './lib/ics.js';
+import { collectObservations, summarizeCalibration, traceMastery } from './lib/mastery.js';
+import { MIXED_REVIEW_SIZE, buildMixedReview, lastSeenBefore, reviewWeight, sanitizeMixedSession } from './lib/mixedReview.js';
+import {
+  MOCK_MAX_PER_SKILL,
+  MOCK_MINUTES_PER_ITEM,
+  drawMockExam,
+  mockChoiceOrder,
+  mockExamMinutes,
+  mockExamSize,
+  sanitizeMockBlueprint,
+  sanitizeMockExam,
+  scoreMockExam
+} from './lib/mockExam.js';
+import { formatNumber, parseNumericInput } from './lib/numeric.js';
+import {
+  DEFAULT_PLAN_DAYS,
+  MINUTES_PER_DAY_OPTIONS,
+  REFLOW_MODES,
+  REVIEW_DAY,
+  adaptRemainingDays,
+  buildPlanDays,
+  daysUntilExam,
+  editPlan,
+  findMissedDays,
+  isDayDone,
+  planDatesFrom,
+  planLengthFor,
+  practiceQuota,
+  reflowPlan,
+  renameDayAnswers,
+  renameKeys,
+  resolvePlanDates,
+  sanitizePlanSettings,
+  skillsBeforeDay,
+  stampDayCompletion,
+  variantRenames
+} from './lib/planner.js';
+import { PREREQ_MASTERED, orderByPrerequisites, prerequisiteLayers } from './lib/prerequisites.js';
+import { hashStringToUint32, shuffledCopy } from './lib/random.js';
+import {
+  REMINDER_TAG,
+  buildReminderSnapshot,
+  reminderAt,
+  reminderFor,
+  sanitizeReminderSettings,
+  upcomingReminders
+} from './lib/reminders.js';
+import { GRADUATE_REPS, buildMistakeNotebook, partitionNotebook } from './lib/srs.js';
+import {
+  DEFAULT_DAILY_GOAL_MINUTES,
+  addStudySeconds,
+  isGoalMet,
+  recentStudyDays,
+  sanitizeStudyLog,
+  studyMinutes,
+  studyStreak
+} from './lib/studyLog.js';
+import { sanitizeWrongReasonPicks, summarizeWrongReasons, toggleWrongReasonPick } from './lib/wrongReasonReport.js';
 
 const BUILD_TIME = typeof __BUILD_TIME__ !== 'undefined' ? __BUILD_TIME__ : '';
 const APP_VERSION = typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : '';
@@ -85,42 +161,6 @@ function safeDomId(x) {
   return String(x || '').replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
-// Deterministic shuffle (for practice question order)
-function hashStringToUint32(str) {
-  // FNV-1a 32-bit
-  let h = 0x811c9dc5;
-  const s = String(str || '');
-  for (let i = 0; i < s.length; i++) {
-    h ^= s.charCodeAt(i);
-    h = Math.imul(h, 0x01000193);
-  }
-  return h >>> 0;
-}
-
-function mulberry32(seed) {
-  let a = seed >>> 0;
-  return function rng() {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function shuffledCopy(arr, seedStr) {
-  const xs = Array.isArray(arr) ? [...arr] : [];
-  if (xs.length <= 1) return xs;
-  const rng = mulberry32(hashStringToUint32(seedStr));
-  for (let i = xs.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    const tmp = xs[i];
-    xs[i] = xs[j];
-    xs[j] = tmp;
-  }
-  return xs;
-}
-
 function Badge({ children, tone = 'neutral', onClick, title, ariaLabel, className }) {
   const toneCls =
     tone === 'good'
@@ -169,10 +209,338 @@ function StepPill({ label, state }) {
   );
 }
 
-function computeMastery(skills, answersByQid) {
+// Render a formula with real subscripts: "Al2(SO4)3" → Al₂(SO₄)₃ (hydrate multipliers stay full size).
+function Formula({ formula }) {
+  return formulaTokens(formula).map((t, k) => (t.sub ? <sub key={k}>{t.text}</sub> : <span key={k}>{t.text}</span>));
+}
+
+// Free text (stems, choices, explanations) with any formulas inside rendered via <Formula>.
+function ChemText({ text }) {
+  return splitChemText(text).map((seg, k) => (seg.formula ? <Formula key={k} formula={seg.text} /> : <span key={k}>{seg.text}</span>));
+}
+
+// Free-response input for `kind: 'numeric'`. Callers key it by qid (+ stored answer) so the draft follows the question.
+// `graded` shows the verdict under the input (practice/review right away, retest after submit; never in the diagnostic).
+function NumericAnswer({ q, value, disabled, graded, onSubmit }) {
+  const [draft, setDraft] = useState(value === undefined ? '' : String(value));
+  const trimmed = draft.trim();
+  const parsed = trimmed ? parseNumericInput(trimmed, { unit: q.unit }) : null;
+  const submitted = value !== undefined;
+  const correct = submitted && gradeAnswer(q, value);
+  const hint = graded && submitted && !correct ? numericFeedback(q, value) : '';
+
+  return (
+    <form
+      className="mt-3 grid gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!disabled && trimmed) onSubmit(trimmed);
+      }}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          inputMode="text"
+          autoComplete="off"
+          spellCheck={false}
+          disabled={disabled}
+          className={cls(
+            'min-w-0 flex-1 rounded-lg border bg-black/20 px-3 py-2 font-mono text-sm text-white/90 placeholder:text-white/30',
+            'focus:outline-none focus:ring-2 focus:ring-cyan-400/40 disabled:opacity-70',
+            graded && submitted ? (correct ? 'border-emerald-300/30' : 'border-rose-300/30') : 'border-white/10'
+          )}
+          placeholder="例：3.01×10^23 或 3.01e23"
+          aria-label={`輸入數值答案${q.unit ? `（單位 ${q.unit}）` : ''}`}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+        />
+        {q.unit ? <span className="text-sm text-white/70">{q.unit}</span> : null}
+        <button
+          type="submit"
+          disabled={disabled || !trimmed}
+          className="rounded-lg border border-white/10 bg-cyan-500/15 px-3 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20 disabled:opacity-50"
+        >
+          {submitted && !disabled ? '更新' : '送出'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-white/50">
+        {trimmed && !disabled ? (
+          parsed ? (
+            <span>讀作：{formatNumber(parsed.value)}</span>
+          ) : (
+            <span className="text-amber-100/80">格式：3.01×10^23、3.01e23 或 3.01*10^23</span>
+          )
+        ) : null}
+        {Number.isInteger(q.sigFigs) ? <span>請以 {q.sigFigs} 位有效數字作答</span> : null}
+        {graded && submitted ? <Badge tone={correct ? 'good' : 'warn'}>{correct ? '答對' : '答錯'}</Badge> : null}
+        {hint ? <span className="text-rose-100/80">{hint}</span> : null}
+      </div>
+    </form>
+  );
+}
+
+// One box per species for `kind: 'balance'`; an empty box counts as 1 (as in textbooks).
+// Wrong answers list atom counts per element on each side so students can see where it breaks.
+function BalanceAnswer({ q, value, disabled, graded, onSubmit }) {
+  const { reactants, all } = balanceSpecies(q);
+  const [draft, setDraft] = useState(() => all.map((_, k) => (Array.isArray(value) && value[k] !== 1 ? String(value[k] ?? '') : '')));
+  const coeffs = draft.map((x) => (String(x).trim() === '' ? 1 : Number(x)));
+  const wellFormed = coeffs.every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_COEFFICIENT);
+  const submitted = Array.isArray(value);
+  const check = submitted ? checkBalance(q, value) : null;
+  const notLowest = check?.correct && check.reduced.some((n, k) => n !== value[k]);
+
+  const box = (f, k) => (
+    <span key={`${q.id}_b_${k}`} className="inline-flex items-center gap-1">
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="off"
+        disabled={disabled}
+        className={cls(
+          'w-11 rounded-md border bg-black/20 px-1.5 py-1 text-center font-mono text-sm text-white/90 placeholder:text-white/25',
+          'focus:outline-none focus:ring-2 focus:ring-cyan-400/40 disabled:opacity-70',
+          graded && submitted ? (check?.correct ? 'border-emerald-300/30' : 'border-rose-300/30') : 'border-white/10'
+        )}
+        placeholder="1"
+        aria-label={`${f} 的係數`}
+        value={draft[k]}
+        onChange={(e) => {
+          const v = e.target.value.replace(/[^\d]/g, '').slice(0, 2);
+          setDraft((p) => p.map((x, j) => (j === k ? v : x)));
+        }}
+      />
+      <span className="font-mono text-sm text-white/85">
+        <Formula formula={f} />
+      </span>
+    </span>
+  );
+
+  return (
+    <form
+      className="mt-3 grid gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (!disabled && wellFormed) onSubmit(coeffs);
+      }}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        {all.map((f, k) => (
+          <span key={`${q.id}_t_${k}`} className="inline-flex items-center gap-2">
+            {k > 0 ? <span className="text-white/50">{k === reactants.length ? '→' : '+'}</span> : null}
+            {box(f, k)}
+          </span>
+        ))}
+        <button
+          type="submit"
+          disabled={disabled || !wellFormed}
+          className="ml-auto rounded-lg border border-white/10 bg-cyan-500/15 px-3 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20 disabled:opacity-50"
+        >
+          {submitted && !disabled ? '更新' : '送出'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-white/50">
+        <span>空白代表係數 1</span>
+        {graded && submitted ? <Badge tone={check?.correct ? 'good' : 'warn'}>{check?.correct ? '答對' : '答錯'}</Badge> : null}
+        {graded && notLowest ? <span>原子守恆正確；最簡整數比為 {formatEquation(q, check.reduced)}</span> : null}
+      </div>
+
+      {graded && submitted && !check?.correct && check?.perElement.length ? (
+        <div className="grid gap-1 text-xs">
+          <div className="text-white/50">各元素原子數（左 / 右）：</div>
+          <div className="flex flex-wrap gap-1">
+            {check.perElement.map((x) => (
+              <Badge key={x.el} tone={x.left === x.right ? 'good' : 'warn'}>
+                {x.el}：{x.left} / {x.right}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      ) : null}
+    </form>
+  );
+}
+
+// Input widget for the non-choice kinds; mc questions render their own choice buttons.
+function AnswerInput(props) {
+  if (props.q?.kind === 'numeric') return <NumericAnswer {...props} />;
+  if (props.q?.kind === 'balance') return <BalanceAnswer {...props} />;
+  return null;
+}
+
+// A question's common mistakes. After a wrong answer (onToggle given) they become toggles: "which one was mine?".
+// Each tag also links to its mini-lesson (src/content/wrongReasons.js).
+function WrongReasonTags({ q, picked, onToggle, onOpenLesson }) {
+  const tags = Array.isArray(q?.wrongReasonTags) ? q.wrongReasonTags : [];
+  if (!tags.length) return null;
+  const mine = Array.isArray(picked) ? picked : [];
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 text-white/50">
+      <span className="mr-1">{onToggle ? '你錯在哪？（可複選）：' : '常見錯因：'}</span>
+      {tags.map((t) =>
+        onToggle ? (
+          <button
+            key={t}
+            type="button"
+            className={cls(
+              'rounded-full border px-2 py-0.5',
+              mine.includes(t) ? 'border-rose-300/40 bg-rose-500/15 text-rose-50' : 'border-amber-300/30 bg-amber-500/10 text-amber-50 hover:bg-amber-500/15'
+            )}
+            aria-pressed={mine.includes(t)}
+            onClick={() => onToggle(t)}
+          >
+            {mine.includes(t) ? '✓ ' : ''}
+            {wrongReasonName(t)}
+          </button>
+        ) : (
+          <Badge key={t} tone="warn">
+            {wrongReasonName(t)}
+          </Badge>
+        )
+      )}
+      {onOpenLesson
+        ? tags
+            .filter((t) => getWrongReason(t))
+            .map((t) => (
+              <button
+                key={`${t}_lesson`}
+                type="button"
+                className="ml-1 text-cyan-200/80 underline decoration-cyan-200/30 underline-offset-2 hover:text-cyan-100"
+                onClick={() => onOpenLesson(t)}
+              >
+                補這個錯因{tags.length > 1 ? `：${wrongReasonName(t)}` : ''} →
+              </button>
+            ))
+        : null}
+    </div>
+  );
+}
+
+const CONFIDENCE_LABELS = { sure: '確定', unsure: '有點把握', guess: '猜的' };
+
+// Optional self-rating, picked before answering and saved with the attempt; read-only once the question is answered.
+function ConfidencePicker({ value, disabled, onChange }) {
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-1 text-xs text-white/55">
+      <span className="mr-1">把握度（選填）：</span>
+      {CONFIDENCE_LEVELS.map((c) => (
+        <button
+          key={c}
+          type="button"
+          disabled={disabled}
+          className={cls(
+            'rounded-full border px-2.5 py-0.5',
+            value === c ? 'border-cyan-300/40 bg-cyan-500/10 text-cyan-50' : 'border-white/10 bg-white/5 text-white/70',
+            disabled ? 'opacity-60' : 'hover:bg-white/10'
+          )}
+          aria-pressed={value === c}
+          onClick={() => onChange(value === c ? null : c)}
+        >
+          {CONFIDENCE_LABELS[c]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// One card at a time; the parent keys this by day+skill so the page resets when the day changes.
+function ConceptCards({ cards }) {
+  const [page, setPage] = useState(0);
+  const xs = Array.isArray(cards) ? cards : [];
+
+  if (!xs.length) {
+    return (
+      <div className="mt-4 rounded-xl border border-white/10 bg-black/10 p-4 text-sm text-white/75">
+        這個技能點還沒有概念卡，先直接到下方練習題驗證。
+      </div>
+    );
+  }
+
+  const i = Math.min(page, xs.length - 1);
+  const c = xs[i];
+
+  return (
+    <div className="mt-4 rounded-xl border border-white/10 bg-black/10 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-semibold text-white/90"><ChemText text={c.title} /></div>
+        <Badge>
+          第 {i + 1}/{xs.length} 張
+        </Badge>
+      </div>
+
+      <div className="mt-2 text-sm leading-relaxed text-white/80"><ChemText text={c.definition} /></div>
+
+      {c.formulas?.length ? (
+        <div className="mt-3 grid gap-1">
+          {c.formulas.map((f) => (
+            <div key={f} className="rounded-lg border border-cyan-300/20 bg-cyan-500/5 px-3 py-1.5 font-mono text-xs text-cyan-50">
+              <ChemText text={f} />
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {c.example ? (
+        <div className="mt-3 rounded-lg border border-white/10 bg-black/15 p-3">
+          <div className="text-xs tracking-widest text-white/50">EXAMPLE</div>
+          <div className="mt-1 text-sm text-white/85"><ChemText text={c.example.problem} /></div>
+          <ol className="mt-2 list-decimal space-y-1 pl-5 text-sm text-white/75">
+            {(c.example.steps || []).map((st, k) => (
+              <li key={k}>
+                <ChemText text={st} />
+              </li>
+            ))}
+          </ol>
+        </div>
+      ) : null}
+
+      {c.pitfalls?.length ? (
+        <div className="mt-3">
+          <div className="text-xs tracking-widest text-white/50">常見錯誤</div>
+          <ul className="mt-1 list-disc space-y-1 pl-5 text-sm text-amber-50/85">
+            {c.pitfalls.map((p) => (
+              <li key={p}>
+                <ChemText text={p} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      {xs.length > 1 ? (
+        <div className="mt-4 flex items-center justify-between gap-2">
+          <button
+            type="button"
+            className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/80 hover:bg-white/10 disabled:opacity-40"
+            disabled={i === 0}
+            onClick={() => setPage(i - 1)}
+          >
+            ← 上一張
+          </button>
+          <button
+            type="button"
+            className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/80 hover:bg-white/10 disabled:opacity-40"
+            disabled={i >= xs.length - 1}
+            onClick={() => setPage(i + 1)}
+          >
+            下一張 →
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Raw percent-correct per skill. The plan and weak spots use the BKT estimate (src/lib/mastery.js);
+// this stays for the diagnostic vs retest comparison, which is score against score.
+// `questionsFor` picks which questions count for a skill (diagnostic by default; the retest passes its sample).
+function computeMastery(skills, answersByQid, questionsFor = (s) => s.diagnostic || []) {
   const perSkill = {};
   for (const s of skills) {
-    const qs = s.diagnostic || [];
+    const qs = questionsFor(s) || [];
     const total = qs.length;
     if (total === 0) {
       perSkill[s.id] = { correct: 0, answered: 0, total: 0, mastery: 0 };
@@ -185,7 +553,7 @@ function computeMastery(skills, answersByQid) {
       const a = answersByQid[q.id];
       if (a === undefined) continue;
       answered += 1;
-      if (a === q.answer) correct += 1;
+      if (gradeAnswer(q, a)) correct += 1;
     }
 
     // Use answered questions as denominator so partial diagnostics don't look artificially low.
@@ -195,25 +563,190 @@ function computeMastery(skills, answersByQid) {
   return perSkill;
 }
 
-function pickPlan(perSkill, days = 7) {
+// A confidently held misconception is worse than a known gap: skills with 確定-but-wrong answers come first,
+// then the lowest mastery.
+function comparePriority(a, b) {
+  return (b.confidentlyWrong || 0) - (a.confidentlyWrong || 0) || a.mastery - b.mastery;
+}
+
+// `opts`: { length, reviews } from src/lib/planner.js (exam-date plans get review days).
+function pickPlan(perSkill, opts = { length: 7, reviews: false }) {
   const allRanked = Object.entries(perSkill)
-    .map(([skillId, v]) => ({ skillId, mastery: v.mastery, total: v.total ?? 0 }))
-    .sort((a, b) => a.mastery - b.mastery);
+    .map(([skillId, v]) => ({ skillId, mastery: v.mastery, confidentlyWrong: v.confidentlyWrong, total: v.total ?? 0 }))
+    .sort(comparePriority);
 
   // Prefer skills that have at least 1 diagnostic question.
   // Otherwise "0%" can come from "no data" (total=0), which would incorrectly dominate the plan.
   const ranked = allRanked.filter((x) => (x.total ?? 0) > 0);
 
-  // Simple: rotate through weakest skills.
   // Guard: if we somehow have no skills, return an empty plan instead of [undefined...].
   const pool = ranked.length ? ranked : allRanked;
   if (!pool.length) return [];
 
-  const plan = [];
-  for (let i = 0; i < days; i++) {
-    plan.push(pool[i % pool.length].skillId);
+  // Weakest first, except that an unmastered prerequisite goes before the skills built on it.
+  const masteryOf = (sid) => perSkill[sid]?.mastery ?? 0;
+  const order = orderByPrerequisites(
+    pool.map((x) => x.skillId),
+    SKILLS,
+    (sid) => masteryOf(sid) >= PREREQ_MASTERED
+  );
+  return buildPlanDays(order, masteryOf, opts);
+}
+
+// Merge a day's concept/practice flags, stamping completedAt when the day becomes done.
+function patchDayProgress(progress, idx, patch) {
+  const prev = progress?.[idx] || {};
+  return { ...progress, [idx]: stampDayCompletion(prev, { ...prev, ...patch }, new Date().toISOString()) };
+}
+
+const MAX_PLAN_CHANGES = 50;
+const PLAN_UNDO_LIMIT = 20;
+
+function sanitizePlanChanges(xs) {
+  if (!Array.isArray(xs)) return [];
+  const kinds = ['dropped', 'added', 'replaced'];
+  return xs
+    .filter((c) => c && typeof c.at === 'string' && Number.isInteger(c.day) && Array.isArray(c.items))
+    .map((c) => ({
+      at: c.at,
+      day: c.day,
+      items: c.items.filter((x) => x && kinds.includes(x.kind) && typeof x.skillId === 'string')
+    }))
+    .slice(-MAX_PLAN_CHANGES);
+}
+
+function planDayName(sid) {
+  if (sid === REVIEW_DAY) return '複習日';
+  return SKILLS.find((x) => x.id === sid)?.name || sid;
+}
+
+// Columns for the result view's prerequisite graph (static content).
+const SKILL_LAYERS = prerequisiteLayers(SKILLS);
+
+// Retest: how many unseen practice items to sample per planned skill (matches the diagnostic's 3 per skill).
+const RETEST_PER_SKILL = 3;
+
+function pickRetestQuestions(skillIds, seenQids, lastSeenAt, seedStr) {
+  const out = [];
+  for (const sid of skillIds) {
+    const bank = getPracticeQuestionsForSkill(sid);
+    const unseen = shuffledCopy(
+      bank.filter((q) => !seenQids.has(q.id)),
+      `${seedStr}|${sid}`
+    );
+    // Not enough fresh items: fall back to the ones seen longest ago.
+    const seen = bank
+      .filter((q) => seenQids.has(q.id))
+      .sort((a, b) => (lastSeenAt[a.id] || 0) - (lastSeenAt[b.id] || 0));
+    out.push(...[...unseen, ...seen].slice(0, RETEST_PER_SKILL).map((q) => q.id));
+  }
+  return out;
+}
+
+const SKILL_IDS = SKILLS.map((s) => s.id);
+// The question of the day draws from every fixed bank question.
+const BANK_QIDS = getAllQuestions().map((q) => q.id);
+
+// A skill's fixed banks (diagnostic + practice, no generated variants): what mock exams and mixed review draw from.
+function bankQuestionsFor(skillId) {
+  return getAllQuestions().filter((q) => q.skillId === skillId);
+}
+
+// Answer/reveal renames that keep each day's generated variants with the day when the plan changes shape.
+function planVariantRenames(oldPlan, newPlan, origin) {
+  return variantRenames(oldPlan, newPlan, origin, (sid, occurrence) =>
+    getTemplateVariantsForSkill(sid, occurrence).map((q) => q.id)
+  );
+}
+
+function loadMockExam(x) {
+  return sanitizeMockExam(x, getQuestionById);
+}
+
+// A study day's questions before any display shuffle: the skill's generated variants, then its bank.
+function studyDayQuestions(plan, dayIndex, quota) {
+  const sid = plan[dayIndex] || '';
+  // Generated variants follow the skill's occurrence in the plan (not the day number), so a second day on the
+  // same skill gets new numbers while refreshes and imports rebuild the exact same questions.
+  const occurrence = plan.slice(0, dayIndex).filter((x) => x === sid).length;
+  const bank = getPracticeQuestionsForSkill(sid);
+  // With a daily time budget, a repeat day moves on through the bank instead of starting over.
+  const start = quota && bank.length ? (occurrence * quota) % bank.length : 0;
+  const base = [...getTemplateVariantsForSkill(sid, occurrence), ...bank.slice(start), ...bank.slice(0, start)];
+  return quota ? base.slice(0, quota) : base;
+}
+
+// Saves from before per-day answers kept one practiceAnswers map keyed by question, so a repeat day opened with
+// its questions already graded. Each such answer goes to the first study day that shows the question.
+function migratePracticeAnswers(dayProgress, plan, practiceAnswers, quota) {
+  if (!practiceAnswers || typeof practiceAnswers !== 'object' || !Object.keys(practiceAnswers).length) return dayProgress;
+  const out = { ...dayProgress };
+  const claimed = new Set();
+  plan.forEach((sid, i) => {
+    if (sid === REVIEW_DAY || out[i]?.answers) return;
+    const answers = {};
+    for (const q of studyDayQuestions(plan, i, quota)) {
+      if (!practiceAnswers[q.id] || claimed.has(q.id)) continue;
+      answers[q.id] = practiceAnswers[q.id];
+      claimed.add(q.id);
+    }
+    if (Object.keys(answers).length) out[i] = { ...out[i], answers };
+  });
+  return out;
+}
+
+function loadDayProgress(s) {
+  const progress = s?.dayProgress && typeof s.dayProgress === 'object' ? s.dayProgress : {};
+  const plan = Array.isArray(s?.plan) ? s.plan : [];
+  return migratePracticeAnswers(progress, plan, s?.practiceAnswers, practiceQuota(sanitizePlanSettings(s?.planSettings).minutesPerDay));
+}
+
+function loadMixedSession(x) {
+  return sanitizeMixedSession(x, getQuestionById);
+}
+
+function loadChallengeLog(x) {
+  return sanitizeChallengeLog(x, (qid) => Boolean(getQuestionById(qid)));
+}
+
+// Charge the time since `shownAt` to the item on screen.
+function chargeMockItem(mock, now, shownAt) {
+  const qid = mock.qids[mock.current];
+  const ms = clampAttemptMs(now - (shownAt || now));
+  return { ...mock.itemMs, [qid]: (mock.itemMs?.[qid] || 0) + ms };
+}
+
+// Hand in: answered items go to the attempt log (source 'mock'); blank ones count as wrong in the score only.
+function handInMockExam(mock, now, shownAt, timeUp) {
+  const done = {
+    ...mock,
+    itemMs: chargeMockItem(mock, now, shownAt),
+    submittedAt: new Date(now).toISOString(),
+    timeUp
+  };
+  const entries = [];
+  for (const qid of done.qids) {
+    const q = getQuestionById(qid);
+    const answer = done.answers[qid];
+    if (!q || answer === undefined) continue;
+    entries.push(
+      makeAttempt({
+        qid,
+        skillId: q.skillId,
+        answer,
+        correct: gradeAnswer(q, answer),
+        source: 'mock',
+        ms: done.itemMs[qid] || 0,
+        at: done.submittedAt
+      })
+    );
   }
-  return plan;
+  return { done, entries };
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
 }
 
 const STORAGE_KEY = 'chem-review-pwa.state.v1';
@@ -336,7 +869,8 @@ function storageRemove(key) {
   }
 }
 
-async function tryNativeShare({ title, text, filename, mimeType }) {
+// filesOnly: share the file or nothing (for files that are useless as pasted text, like .ics).
+async function tryNativeShare({ title, text, filename, mimeType, filesOnly = false }) {
   try {
     // Mobile-friendly share sheet (iOS/Android). Requires a user gesture.
     if (!navigator?.share) return false;
@@ -354,6 +888,7 @@ async function tryNativeShare({ title, text, filename, mimeType }) {
         // fall back to plain text share
       }
     }
+    if (filesOnly) return false;
 
     await navigator.share({ title, text });
     return true;
@@ -394,9 +929,9 @@ async function copyToClipboard(text) {
   }
 }
 
-function downloadText({ filename, text }) {
+function downloadText({ filename, text, mimeType = 'text/plain;charset=utf-8' }) {
   try {
-    const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+    const blob = new Blob([text], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -411,6 +946,90 @@ function downloadText({ filename, text }) {
   }
 }
 
+// Calendar events link back with ?day=N (1-based); returns the 0-based day, or null.
+function readDeepLinkDay() {
+  try {
+    const raw = new URLSearchParams(window.location.search).get('day');
+    const n = Number(raw);
+    return raw && Number.isInteger(n) && n >= 1 ? n - 1 : null;
+  } catch {
+    return null;
+  }
+}
+
+// Address of a plan day for links that leave the app (calendar events).
+function dayDeepLink(idx) {
+  return `${window.location.origin}${import.meta.env.BASE_URL}?day=${idx + 1}`;
+}
+
+function notificationPermission() {
+  try {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+  } catch {
+    return 'unsupported';
+  }
+}
+
+// Hand the reminder snapshot to the service worker (public/sw-reminders.js) and (re)arm what this browser offers:
+// periodic background sync (installed Chromium apps) and/or Notification Triggers. Neither is required; the app
+// also reminds on open.
+async function syncReminderWorker(snapshot, todayKey) {
+  try {
+    if (!navigator?.serviceWorker) return;
+    const reg = await navigator.serviceWorker.ready;
+    reg.active?.postMessage({ type: 'reminders:update', snapshot });
+
+    const armed = snapshot.enabled && notificationPermission() === 'granted';
+    if (reg.periodicSync) {
+      try {
+        if (armed) await reg.periodicSync.register(REMINDER_TAG, { minInterval: 60 * 60 * 1000 });
+        else await reg.periodicSync.unregister(REMINDER_TAG);
+      } catch {
+        // periodic sync needs an installed app (and the browser's permission)
+      }
+    }
+
+    // Scheduled notifications carry fixed text, so replace them on every change.
+    const Trigger = window.TimestampTrigger;
+    if (typeof Trigger === 'function' && 'showTrigger' in Notification.prototype) {
+      const pending = await reg.getNotifications({ tag: REMINDER_TAG, includeTriggered: true });
+      for (const n of pending) n.close();
+      if (!armed) return;
+      for (const r of upcomingReminders(snapshot, todayKey, Date.now())) {
+        await reg.showNotification(r.title, {
+          body: r.body,
+          tag: REMINDER_TAG,
+          icon: '/pwa-192.png',
+          data: { url: r.url },
+          showTrigger: new Trigger(r.at)
+        });
+      }
+    }
+  } catch {
+    // ignore
+  }
+}
+
+// Active study time is sampled on this tick; a student idle (no input) for STUDY_IDLE_MS stops counting.
+const STUDY_TICK_MS = 15 * 1000;
+const STUDY_IDLE_MS = 5 * 60 * 1000;
+// Sampled time is saved this often (and when the page is hidden); every save also reaches the other open tabs.
+const STUDY_COMMIT_MS = 60 * 1000;
+
+const DIAG_MODES = ['adaptive', 'full'];
+
+// Saves from before the adaptive diagnostic have no diagMode; keep their answers on the full diagnostic they came from.
+function readDiagMode(s) {
+  if (DIAG_MODES.includes(s?.diagMode)) return s.diagMode;
+  const hasAnswers = s?.answers && typeof s.answers === 'object' && Object.keys(s.answers).length > 0;
+  return hasAnswers ? 'full' : 'adaptive';
+}
+
+// Picks saved before the tag registry used display names; map them onto ids and drop what no longer exists.
+function loadWrongReasonPicks(obj) {
+  return sanitizeWrongReasonPicks(obj, getQuestionById, resolveWrongReasonId);
+}
+
 function loadPersistedState() {
   const raw = storageGet(STORAGE_KEY);
   if (!raw) return null;
@@ -422,8 +1041,13 @@ function loadPersistedState() {
 export default function App() {
   // Read persisted state once on initial mount (avoids repeated localStorage reads/JSON parses).
   const persisted = useMemo(() => loadPersistedState(), []);
+  // Opened from a calendar event: start on that day's task (when the saved plan has it).
+  const deepLinkDay = useMemo(() => {
+    const idx = readDeepLinkDay();
+    return idx !== null && Array.isArray(persisted?.plan) && idx < persisted.plan.length ? idx : null;
+  }, [persisted]);
 
-  const [view, setView] = useState('home'); // home|diagnostic|result|task
+  const [view, setView] = useState(() => (deepLinkDay !== null ? 'task' : 'home')); // home|diagnostic|result|task|review|retest|lesson|mock|mixed
   const [diagIndex, setDiagIndex] = useState(0);
 
   const [showShortcuts, setShowShortcuts] = useState(false);
@@ -433,7 +1057,8 @@ export default function App() {
   const [dragImportActive, setDragImportActive] = useState(false);
 
   const importFileRef = useRef(null);
-  const didAutoJumpToNextIncompleteRef = useRef(false);
+  // A deep link picks the day explicitly; don't snap away from it.
+  const didAutoJumpToNextIncompleteRef = useRef(deepLinkDay !== null);
   const skipNextPersistRef = useRef(false);
 
   // Keep global shortcut handlers fresh without re-registering listeners on every render.
@@ -450,6 +1075,9 @@ export default function App() {
     return typeof s?.autoNext === 'boolean' ? s.autoNext : true;
   });
 
+  // 'adaptive': stop each skill once confident (see src/lib/adaptive.js); 'full': every diagnostic question
+  const [diagMode, setDiagMode] = useState(() => readDiagMode(persisted));
+
   // practice UX
   const [shufflePractice, setShufflePractice] = useState(() => {
     const s = persisted;
@@ -479,11 +1107,65 @@ export default function App() {
     return s?.revealed && typeof s.revealed === 'object' ? s.revealed : {};
   });
 
+
+  // post-plan retest: { startedAt, qids, answers: { [qid]: choice }, baseline: perSkill snapshot, submittedAt? }
+  const [retest, setRetest] = useState(() => {
+    const s = persisted;
+    return s?.retest && typeof s.retest === 'object' ? s.retest : null;
+  });
+  // Time spent on each retest question and when it was last answered ({ [qid]: { ms, at } }); the attempts are
+  // only recorded on submit, with the final answers, so changed picks never reach the log.
+  const retestTimingRef = useRef({});
+
+  // Mock exam (src/lib/mockExam.js): the blueprint, and the current/last paper
+  // { seed, startedAt, deadline, qids, answers, itemMs, current, submittedAt?, timeUp? }
+  const [mockBlueprint, setMockBlueprint] = useState(() => sanitizeMockBlueprint(persisted?.mockBlueprint, SKILL_IDS));
+  const [mock, setMock] = useState(() => loadMockExam(persisted?.mock));
+  const [mockNow, setMockNow] = useState(() => Date.now());
+  const mockItemShownAtRef = useRef(0);
+
+  // which listed wrongReasonTags the student says were their mistake: { [qid]: string[] }
+  const [wrongReasonPicks, setWrongReasonPicks] = useState(() => {
+    const s = persisted;
+    return loadWrongReasonPicks(s?.wrongReasonPicks);
+  });
+
   const [answers, setAnswers] = useState(() => {
     const s = persisted;
     return s?.answers && typeof s.answers === 'object' ? s.answers : {};
   });
 
+  // append-only attempt history (diagnostic/practice/retest/review/mock); see src/lib/attempts.js
+  const [attempts, setAttempts] = useState(() => {
+    const s = persisted;
+    return Array.isArray(s?.attempts) ? s.attempts : [];
+  });
+
+  // When the current question was shown (used for the attempt's time-spent field).
+  const questionShownAtRef = useRef(Date.now());
+
+  // Mistake notebook session (in-memory): which due items were queued when the view opened,
+  // and how they were answered, so answered cards stay on screen after they get rescheduled.
+  const [reviewQueue, setReviewQueue] = useState([]);
+  const [reviewSession, setReviewSession] = useState({}); // { [qid]: { choice, correct } }
+
+  // Mixed review session (src/lib/mixedReview.js): the drawn set and how each item was answered.
+  // { startedAt, qids, answers: { [qid]: { choice, correct } } }
+  const [mixed, setMixed] = useState(() => loadMixedSession(persisted?.mixed));
+
+  // Plan editor (in-memory): edit mode, the day being dragged and undo snapshots. Snapshots only cover the edits
+  // themselves: closing the editor or any progress made since (answers, finished days, a re-flow) drops them.
+  const [planEditing, setPlanEditing] = useState(false);
+  const [dragDay, setDragDay] = useState(null);
+  const [planUndo, setPlanUndo] = useState([]);
+
+  // Wrong-reason mini-lesson (in-memory): which tag, where to go back to, and the drill answers.
+  const [lesson, setLesson] = useState(null); // { tagId, returnView }
+  const [lessonAnswers, setLessonAnswers] = useState({}); // { [drillId]: { choice, correct } }
+
+  // Coarse clock for "due" checks (spaced-repetition items become due while the app is open).
+  const [clock, setClock] = useState(() => Date.now());
+
   const [plan, setPlan] = useState(() => {
     const s = persisted;
     return Array.isArray(s?.plan) ? s.plan : [];
@@ -491,14 +1173,30 @@ export default function App() {
 
   const [dayIndex, setDayIndex] = useState(() => {
     const s = persisted;
+    if (deepLinkDay !== null) return deepLinkDay;
     return typeof s?.dayIndex === 'number' ? s.dayIndex : 0;
   });
 
-  // per day: { [dayIndex]: { conceptDone: boolean, practiceDone: boolean } }
-  const [dayProgress, setDayProgress] = useState(() => {
-    const s = persisted;
-    return s?.dayProgress && typeof s.dayProgress === 'object' ? s.dayProgress : {};
-  });
+  // Exam date + daily time budget (src/lib/planner.js); the plan's Day 1 falls on planStartDate (Taipei date key).
+  const [planSettings, setPlanSettings] = useState(() => sanitizePlanSettings(persisted?.planSettings));
+  const [planStartDate, setPlanStartDate] = useState(() =>
+    typeof persisted?.planStartDate === 'string' ? persisted.planStartDate : ''
+  );
+  // Date of each plan day (parallel to `plan`); consecutive from planStartDate until the plan is re-flowed.
+  const [planDates, setPlanDates] = useState(() => (Array.isArray(persisted?.planDates) ? persisted.planDates : []));
+  // Changelog of automatic plan adjustments: [{ at, day, items: [{ kind, skillId, from?, date }] }]
+  const [planChanges, setPlanChanges] = useState(() => sanitizePlanChanges(persisted?.planChanges));
+  // Daily study reminder (src/lib/reminders.js).
+  const [reminders, setReminders] = useState(() => sanitizeReminderSettings(persisted?.reminders));
+  const [notifyPermission, setNotifyPermission] = useState(notificationPermission);
+  // Active study seconds per Taipei day: { [dateKey]: { seconds, goal } } (src/lib/studyLog.js).
+  const [studyLog, setStudyLog] = useState(() => sanitizeStudyLog(persisted?.studyLog));
+  // Question of the day answers: { [dateKey]: { qid, answer, correct, at } } (src/lib/dailyChallenge.js).
+  const [dailyChallenges, setDailyChallenges] = useState(() => loadChallengeLog(persisted?.dailyChallenges));
+
+  // per day: { [dayIndex]: { conceptDone: boolean, practiceDone: boolean, completedAt?: ISO, answers?: { [qid]: { choice, correct } } } }
+  // answers are the day's graded practice; they drive the "練習完成" gate and move with the day when the plan changes.
+  const [dayProgress, setDayProgress] = useState(() => loadDayProgress(persisted));
 
   // PWA install button (supported on Chromium-based browsers)
   const [deferredInstallPrompt, setDeferredInstallPrompt] = useState(null);
@@ -649,11 +1347,26 @@ export default function App() {
           setView('home');
           setDiagIndex(0);
           setAnswers({});
+          setAttempts([]);
           setPlan([]);
           setDayIndex(0);
+          setPlanSettings(sanitizePlanSettings(null));
+          setReminders(sanitizeReminderSettings(null));
+          setPlanStartDate('');
+          setPlanDates([]);
+          setPlanChanges([]);
+          setPlanUndo([]);
+          setStudyLog({});
+          setDailyChallenges({});
           setDayProgress({});
           setRevealed({});
+          setRetest(null);
+          setMock(null);
+          setMixed(null);
+          setMockBlueprint(sanitizeMockBlueprint(null, SKILL_IDS));
+          setWrongReasonPicks({});
           setAutoNext(true);
+          setDiagMode('adaptive');
           setShufflePractice(false);
           setStorageWritable(true);
           return;
@@ -671,10 +1384,25 @@ export default function App() {
 
         setPlan(nextPlan);
         setDayIndex(clampedDayIndex);
+        setPlanSettings(sanitizePlanSettings(next.planSettings));
+        setReminders(sanitizeReminderSettings(next.reminders));
+        setPlanStartDate(typeof next.planStartDate === 'string' ? next.planStartDate : '');
+        setPlanDates(Array.isArray(next.planDates) ? next.planDates : []);
+        setPlanChanges(sanitizePlanChanges(next.planChanges));
+        setPlanUndo([]);
+        setStudyLog(sanitizeStudyLog(next.studyLog));
+        setDailyChallenges(loadChallengeLog(next.dailyChallenges));
         setAnswers(next.answers && typeof next.answers === 'object' ? next.answers : {});
-        setDayProgress(next.dayProgress && typeof next.dayProgress === 'object' ? next.dayProgress : {});
+        setAttempts(Array.isArray(next.attempts) ? next.attempts : []);
+        setDayProgress(loadDayProgress(next));
         setRevealed(next.revealed && typeof next.revealed === 'object' ? next.revealed : {});
+        setRetest(next.retest && typeof next.retest === 'object' ? next.retest : null);
+        setMock(loadMockExam(next.mock));
+        setMixed(loadMixedSession(next.mixed));
+        setMockBlueprint(sanitizeMockBlueprint(next.mockBlueprint, SKILL_IDS));
+        setWrongReasonPicks(loadWrongReasonPicks(next.wrongReasonPicks));
         setAutoNext(typeof next.autoNext === 'boolean' ? next.autoNext : true);
+        setDiagMode(readDiagMode(next));
         setShufflePractice(typeof next.shufflePractice === 'boolean' ? next.shufflePractice : false);
         setSavedAt(typeof next.savedAt === 'string' ? next.savedAt : '');
         setLastExportedAt(typeof next.lastExportedAt === 'string' ? next.lastExportedAt : '');
@@ -783,6 +1511,13 @@ export default function App() {
     };
   }, [isOnline, notify]);
 
+  useEffect(() => {
+    const t = window.setInterval?.(() => setClock(Date.now()), 60 * 1000);
+    return () => {
+      if (t) window.clearInterval?.(t);
+    };
+  }, []);
+
   useEffect(() => {
     let raf = 0;
 
@@ -842,10 +1577,24 @@ export default function App() {
     const payload = {
       plan,
       dayIndex,
+      planSettings,
+      reminders,
+      planStartDate,
+      planDates,
+      planChanges,
+      studyLog,
+      dailyChallenges,
       answers,
+      attempts,
       dayProgress,
       revealed,
+      retest,
+      mock,
+      mockBlueprint,
+      mixed,
+      wrongReasonPicks,
       autoNext,
+      diagMode,
       shufflePractice,
       savedAt: new Date().toISOString(),
       lastExportedAt: lastExportedAt || ''
@@ -860,7 +1609,31 @@ export default function App() {
     return () => {
       if (t) window.clearTimeout?.(t);
     };
-  }, [plan, dayIndex, answers, dayProgress, revealed, autoNext, shufflePractice, lastExportedAt, persistNow]);
+  }, [
+    plan,
+    dayIndex,
+    planSettings,
+    reminders,
+    planStartDate,
+    planDates,
+    planChanges,
+    studyLog,
+    dailyChallenges,
+    answers,
+    attempts,
+    dayProgress,
+    revealed,
+    retest,
+    mock,
+    mockBlueprint,
+    mixed,
+    wrongReasonPicks,
+    autoNext,
+    diagMode,
+    shufflePractice,
+    lastExportedAt,
+    persistNow
+  ]);
 
   // If the page is backgrounded/closed before the debounce fires (common on mobile),
   // flush the latest state so progress isn't lost.
@@ -902,7 +1675,15 @@ export default function App() {
     };
   }, [persistNow]);
 
-  const allQuestions = useMemo(() => getAllDiagnosticQuestions(), []);
+  const fullDiagnostic = useMemo(() => getAllDiagnosticQuestions(), []);
+  const adaptivePools = useMemo(() => getAdaptivePools(), []);
+
+  // Adaptive mode replays the sequence from the answers: asked items plus the pending one (none once done).
+  const adaptive = useMemo(
+    () => (diagMode === 'adaptive' ? buildAdaptiveSequence(adaptivePools, answers, gradeAnswer) : null),
+    [diagMode, adaptivePools, answers]
+  );
+  const diagQuestions = adaptive ? adaptive.questions : fullDiagnostic;
 
   // Content sanity checks: helps catch accidental duplicate ids that would corrupt progress storage.
   useEffect(() => {
@@ -922,64 +1703,197 @@ export default function App() {
     }
   }, [notify]);
 
-  const perSkill = useMemo(() => computeMastery(SKILLS, answers), [answers]);
+  // Diagnostic score per skill (correct/answered on the items this run asked).
+  const diagScores = useMemo(() => {
+    if (!adaptive) return computeMastery(SKILLS, answers);
+    const byId = new Map(adaptive.questions.map((q) => [q.id, q]));
+    return computeMastery(SKILLS, answers, (s) => (adaptive.bySkill[s.id]?.qids || []).map((qid) => byId.get(qid)));
+  }, [adaptive, answers]);
+
+  // Mastery estimate (BKT over diagnostic answers + every later attempt) with its uncertainty band, in percent.
+  // Keeps the diagnostic counts alongside for display; drives weakTop3 and pickPlan.
+  const diagnosticAnswers = useMemo(
+    () => diagQuestions.filter((q) => answers?.[q.id] !== undefined).map((q) => ({ q, answer: answers[q.id] })),
+    [diagQuestions, answers]
+  );
+  const masteryObservations = useMemo(
+    () => collectObservations(attempts, diagnosticAnswers, getQuestionById),
+    [diagnosticAnswers, attempts]
+  );
+  const calibration = useMemo(() => summarizeCalibration(masteryObservations), [masteryObservations]);
+
+  const perSkill = useMemo(() => {
+    const traced = traceMastery(
+      SKILLS.map((s) => s.id),
+      masteryObservations
+    );
+    const out = {};
+    for (const s of SKILLS) {
+      const t = traced[s.id];
+      out[s.id] = {
+        ...diagScores[s.id],
+        mastery: Math.round(t.p * 100),
+        low: Math.round(t.low * 100),
+        high: Math.round(t.high * 100),
+        evidence: t.evidence,
+        confidentlyWrong: calibration.confidentlyWrong[s.id] || 0
+      };
+    }
+    return out;
+  }, [masteryObservations, calibration, diagScores]);
+
+  // Mistake notebook (錯題本): replayed from the attempt history; see src/lib/srs.js
+  const notebook = useMemo(() => buildMistakeNotebook(attempts), [attempts]);
+  const notebookParts = useMemo(() => partitionNotebook(notebook, clock), [notebook, clock]);
+  const reviewCards = useMemo(() => {
+    const ids = [...reviewQueue];
+    for (const x of notebookParts.due) if (!ids.includes(x.qid)) ids.push(x.qid);
+    return ids.map((qid) => getQuestionById(qid)).filter(Boolean);
+  }, [reviewQueue, notebookParts.due]);
+  const notebookSize = notebookParts.due.length + notebookParts.scheduled.length;
   const weakTop3 = useMemo(() => {
     const xs = Object.entries(perSkill)
       .map(([skillId, v]) => ({
         skillId,
         mastery: v.mastery,
+        low: v.low,
+        high: v.high,
+        confidentlyWrong: v.confidentlyWrong,
         correct: v.correct,
         answered: v.answered,
         total: v.total
       }))
-      .sort((a, b) => a.mastery - b.mastery)
+      .sort(comparePriority)
       .slice(0, 3);
     return xs;
   }, [perSkill]);
 
-  const currentQ = allQuestions[diagIndex];
+  // Clamped: the adaptive sequence can shrink under us (e.g. answers cleared in another tab).
+  const currentQ = diagQuestions[Math.min(diagIndex, diagQuestions.length - 1)];
   const currentSkill = useMemo(() => {
     const sid = plan[dayIndex];
     return SKILLS.find((s) => s.id === sid) || null;
   }, [plan, dayIndex]);
+  const isReviewDay = plan[dayIndex] === REVIEW_DAY;
+  const reviewDaySkills = useMemo(
+    () => (isReviewDay ? skillsBeforeDay(plan, dayIndex).map((sid) => SKILLS.find((s) => s.id === sid)).filter(Boolean) : []),
+    [isReviewDay, plan, dayIndex]
+  );
+  const todayKey = useMemo(() => taipeiDateKey(new Date(clock)), [clock]);
+  const examDaysLeft = daysUntilExam(planSettings, todayKey);
+  const planDayDates = useMemo(() => resolvePlanDates(plan, planStartDate, planDates), [plan, planStartDate, planDates]);
+  const missedDays = useMemo(() => findMissedDays(planDayDates, dayProgress, todayKey), [planDayDates, dayProgress, todayKey]);
+  const examLastDate = examDaysLeft !== null && examDaysLeft >= 1 ? addDays(planSettings.examDate, -1) : null;
+  // Compress keeps the plan inside the day before the exam (or the current last day when there is no exam date).
+  const reflowEndKey = examLastDate || planDayDates[planDayDates.length - 1];
+  const reflowPreviews = useMemo(() => {
+    if (!missedDays.length) return null;
+    const out = {};
+    for (const mode of REFLOW_MODES) {
+      const r = reflowPlan({ plan, dates: planDayDates, dayProgress }, mode, todayKey, reflowEndKey);
+      const perDate = {};
+      for (const d of r.dates) perDate[d] = (perDate[d] || 0) + 1;
+      out[mode] = { ...r, end: r.dates[r.dates.length - 1], maxPerDay: Math.max(...Object.values(perDate)) };
+    }
+    return out;
+  }, [missedDays.length, plan, planDayDates, dayProgress, todayKey, reflowEndKey]);
+  const quota = practiceQuota(planSettings.minutesPerDay);
 
   // Practice questions for the current day/skill.
   // NOTE: these are referenced by global keyboard shortcuts (Task view),
   // so they must be declared before those effects.
+  // Review day: a mixed review (src/lib/mixedReview.js) over the skills studied before it. The history it weighs
+  // stops where the latest earlier day was completed, so answering the day's own questions doesn't reshuffle them.
+  const reviewDayQs = useMemo(() => {
+    if (!isReviewDay) return [];
+    let cutoff = '';
+    for (let i = 0; i < dayIndex; i++) {
+      const at = dayProgress?.[i]?.completedAt;
+      if (typeof at === 'string' && at > cutoff) cutoff = at;
+    }
+    const history = cutoff ? attempts.filter((a) => a.at < cutoff) : [];
+    const traced = traceMastery(
+      reviewDaySkills.map((sk) => sk.id),
+      collectObservations(history, diagnosticAnswers, getQuestionById)
+    );
+    const reviewsBefore = plan.slice(0, dayIndex).filter((x) => x === REVIEW_DAY).length;
+    const skills = reviewDaySkills.map((sk) => ({
+      id: sk.id,
+      weight: reviewWeight(Math.round(traced[sk.id].p * 100), dayIndex - plan.slice(0, dayIndex).lastIndexOf(sk.id))
+    }));
+    return buildMixedReview({
+      skills,
+      candidatesFor: (sid) => ({
+        fixed: bankQuestionsFor(sid),
+        // Numbered past every study day of the skill, so they are new numbers.
+        variants: getTemplateVariantsForSkill(sid, plan.filter((x) => x === sid).length + reviewsBefore)
+      }),
+      lastSeenAt: lastSeenBefore(history),
+      size: quota || Math.max(MIXED_REVIEW_SIZE, skills.length * 2),
+      seed: `${initialSavedAtRef.current || 'seed'}|review|day${dayIndex}`
+    });
+  }, [isReviewDay, reviewDaySkills, dayIndex, dayProgress, attempts, diagnosticAnswers, plan, quota]);
+
   const practiceQs = useMemo(() => {
-    const base = getPracticeQuestionsForSkill(currentSkill?.id || '');
+    // Already sized and interleaved; shuffling would undo the interleaving.
+    if (isReviewDay) return reviewDayQs;
+    const base = studyDayQuestions(plan, dayIndex, quota);
     if (!shufflePractice) return base;
 
     // Shuffle should be stable across refreshes (so "今天" doesn't feel random every open),
     // but still differ by Day/Skill.
     const seed = `${initialSavedAtRef.current || 'seed'}|${currentSkill?.id || ''}|day${dayIndex}`;
     return shuffledCopy(base, seed);
-  }, [currentSkill?.id, shufflePractice, dayIndex]);
+  }, [currentSkill?.id, isReviewDay, reviewDayQs, quota, shufflePractice, dayIndex, plan]);
+
+  // The current day's practice answers ({ [qid]: { choice, correct } }). Each day keeps its own, so a repeat day
+  // or a review day that brings back a question already answered elsewhere shows it unanswered.
+  const dayAnswers = useMemo(() => dayProgress?.[dayIndex]?.answers || {}, [dayProgress, dayIndex]);
+  const setDayAnswers = useCallback(
+    (update) => {
+      setPlanUndo([]);
+      setDayProgress((p) => ({ ...p, [dayIndex]: { ...p?.[dayIndex], answers: update(p?.[dayIndex]?.answers || {}) } }));
+    },
+    [dayIndex]
+  );
 
   // If a skill has 0 practice questions (e.g., during MVP expansion), don't block users from marking practice as done.
-  // Treat "all revealed" as true when there is nothing to reveal.
-  const allPracticeRevealed = useMemo(() => practiceQs.every((q) => Boolean(revealed?.[q.id])), [practiceQs, revealed]);
-  const practiceRevealedCount = useMemo(() => practiceQs.filter((q) => Boolean(revealed?.[q.id])).length, [practiceQs, revealed]);
+  // Treat "all graded" as true when there is nothing to answer.
+  const allPracticeGraded = useMemo(() => practiceQs.every((q) => Boolean(dayAnswers?.[q.id])), [practiceQs, dayAnswers]);
+  const practiceGradedCount = useMemo(() => practiceQs.filter((q) => Boolean(dayAnswers?.[q.id])).length, [practiceQs, dayAnswers]);
+  const practiceCorrectCount = useMemo(
+    () => practiceQs.filter((q) => Boolean(dayAnswers?.[q.id]?.correct)).length,
+    [practiceQs, dayAnswers]
+  );
 
-  const firstUnrevealedPractice = useMemo(() => practiceQs.find((q) => !revealed?.[q.id]) || null, [practiceQs, revealed]);
+  const firstUngradedPractice = useMemo(() => practiceQs.find((q) => !dayAnswers?.[q.id]) || null, [practiceQs, dayAnswers]);
 
-  const answeredCount = useMemo(() => Object.keys(answers || {}).length, [answers]);
+  // Explanations of answered questions can still be collapsed (keeps long days readable).
+  const allGradedExplanationsShown = useMemo(
+    () => practiceQs.every((q) => !dayAnswers?.[q.id] || Boolean(revealed?.[q.id])),
+    [practiceQs, dayAnswers, revealed]
+  );
+
+  // Only answers on the current sequence count (adaptive mode can leave answers of items it no longer asks).
+  const answeredCount = useMemo(() => diagQuestions.filter((q) => answers?.[q.id] !== undefined).length, [diagQuestions, answers]);
+  // Adaptive length isn't known up front: estimate it from each skill's remaining minimum.
+  const diagTotal = adaptive ? adaptive.expectedTotal : diagQuestions.length;
   const answeredPct = useMemo(() => {
-    if (!allQuestions.length) return 0;
-    return Math.round((answeredCount / allQuestions.length) * 100);
-  }, [answeredCount, allQuestions.length]);
+    if (!diagTotal) return 0;
+    return Math.round((answeredCount / diagTotal) * 100);
+  }, [answeredCount, diagTotal]);
 
   const firstUnansweredIndex = useMemo(() => {
-    if (!allQuestions.length) return -1;
-    return allQuestions.findIndex((q) => answers?.[q.id] === undefined);
-  }, [allQuestions, answers]);
+    if (!diagQuestions.length) return -1;
+    return diagQuestions.findIndex((q) => answers?.[q.id] === undefined);
+  }, [diagQuestions, answers]);
 
   const unansweredCount = useMemo(() => {
-    if (!allQuestions.length) return 0;
+    if (!diagQuestions.length) return 0;
     let n = 0;
-    for (const q of allQuestions) if (answers?.[q.id] === undefined) n += 1;
+    for (const q of diagQuestions) if (answers?.[q.id] === undefined) n += 1;
     return n;
-  }, [allQuestions, answers]);
+  }, [diagQuestions, answers]);
 
   const hasProgress = answeredCount > 0 || (plan?.length || 0) > 0;
 
@@ -1105,18 +2019,208 @@ export default function App() {
     return null;
   }, [plan.length, dayProgress]);
 
-  // Small QoL: if the user previously left the app on a completed day,
-  // snap "today" to the next incomplete day when the app loads.
+  const planComplete = plan.length > 0 && nextIncompleteDay === null;
+
+  const reminderSnapshot = useMemo(
+    () =>
+      buildReminderSnapshot({
+        settings: reminders,
+        plan,
+        dates: planDayDates,
+        dayProgress,
+        dayIndex,
+        nextIncompleteDay,
+        todayKey,
+        dayName: planDayName,
+        dayUrl: dayDeepLink
+      }),
+    [reminders, plan, planDayDates, dayProgress, dayIndex, nextIncompleteDay, todayKey]
+  );
+
   useEffect(() => {
-    if (didAutoJumpToNextIncompleteRef.current) return;
-    if (!plan?.length) return;
-    if (nextIncompleteDay === null) return;
+    syncReminderWorker(reminderSnapshot, todayKey);
+  }, [reminderSnapshot, todayKey, notifyPermission]);
+
+  // In-app reminder: once the reminder time has passed, until today's day is done or the student closes it.
+  const inAppReminder =
+    plan.length > 0 && reminders.dismissedOn !== todayKey && clock >= reminderAt(todayKey, reminders.time)
+      ? reminderFor(reminderSnapshot, todayKey)
+      : null;
+
+  // Daily goal: the plan's time budget when set. Each day's log entry keeps the goal it was studied under.
+  const dailyGoal = planSettings.minutesPerDay || DEFAULT_DAILY_GOAL_MINUTES;
+  const todayStudyMinutes = studyMinutes(studyLog[todayKey]);
+  const todayGoalMet = isGoalMet(studyLog[todayKey]);
+  const streak = useMemo(() => studyStreak(studyLog, todayKey), [studyLog, todayKey]);
+  const completedDates = useMemo(
+    () =>
+      Object.values(dayProgress || {})
+        .map((p) => (typeof p?.completedAt === 'string' ? new Date(p.completedAt) : null))
+        .filter((d) => d && !Number.isNaN(d.getTime()))
+        .map((d) => taipeiDateKey(d)),
+    [dayProgress]
+  );
+  const recentDays = useMemo(() => recentStudyDays(studyLog, todayKey, completedDates), [studyLog, todayKey, completedDates]);
+  const recentMinutes = recentDays.reduce((sum, d) => sum + d.minutes, 0);
+
+  // Question of the day: a day already answered keeps its question even if the bank changed since.
+  const challengeEntry = dailyChallenges[todayKey] || null;
+  const challengeQ = getQuestionById(challengeEntry?.qid || dailyChallengeQid(todayKey, BANK_QIDS));
+  const challenge = useMemo(() => challengeStats(dailyChallenges, todayKey), [dailyChallenges, todayKey]);
+
+  function answerChallenge(answer) {
+    if (!challengeQ || challengeEntry) return;
+    const correct = gradeAnswer(challengeQ, answer);
+    const at = new Date().toISOString();
+    setDailyChallenges((log) => recordChallenge(log, todayKey, { qid: challengeQ.id, answer, correct, at }));
+    recordAttempt(challengeQ, answer, correct, 'daily');
+  }
 
-    const cur = dayProgress?.[dayIndex] || {};
-    const curDone = Boolean(cur.conceptDone && cur.practiceDone);
-    if (curDone && nextIncompleteDay !== dayIndex) {
-      didAutoJumpToNextIncompleteRef.current = true;
-      setDayIndex(nextIncompleteDay);
+  // No answer in the text, so it can go to the class chat before everyone has tried.
+  async function shareChallenge() {
+    if (!challengeEntry) return;
+    const skill = SKILLS.find((x) => x.id === challengeQ?.skillId);
+    const text = [
+      `化學每日一題 ${formatDateKey(todayKey)}（${skill?.name || ''}）：${challengeEntry.correct ? '答對 ✅' : '答錯 ❌'}`,
+      `連續挑戰 ${challenge.current} 天 · 累計答對 ${challenge.correct}/${challenge.answered}`,
+      `${window.location.origin}${import.meta.env.BASE_URL}`
+    ].join('\n');
+
+    const shared = await tryNativeShare({ title: '化學每日一題', text });
+    if (shared) return;
+    const ok = await copyToClipboard(text);
+    if (ok) {
+      notify('已複製每日一題結果到剪貼簿。', 'good');
+      return;
+    }
+    window.prompt('你的瀏覽器不允許自動複製。請手動複製以下文字：', text);
+  }
+
+  // Active study time: counted while the page is visible and the student has used it in the last STUDY_IDLE_MS.
+  // Seconds collect in pendingStudyRef ({ [dateKey]: seconds }) and go to studyLog every STUDY_COMMIT_MS.
+  const pendingStudyRef = useRef({});
+  useEffect(() => {
+    let last = Date.now();
+    let lastInput = Date.now();
+    let lastCommit = Date.now();
+
+    function commit(now, saveNow = false) {
+      lastCommit = now;
+      const pending = pendingStudyRef.current;
+      if (!Object.keys(pending).length) return;
+      pendingStudyRef.current = {};
+      const apply = (log) => Object.entries(pending).reduce((acc, [d, s]) => addStudySeconds(acc, d, s, dailyGoal), log);
+      setStudyLog(apply);
+      if (!saveNow) return;
+      // The page may be gone before the new log renders and saves: write it into the last payload right away.
+      const payload = lastPersistPayloadRef.current;
+      if (!payload) return;
+      lastPersistPayloadRef.current = { ...payload, studyLog: apply(payload.studyLog), savedAt: new Date(now).toISOString() };
+      persistNow();
+    }
+
+    function credit(now) {
+      // Timers stall while the device sleeps: never credit more than one tick at once.
+      const seconds = Math.round(Math.min(now - last, STUDY_TICK_MS) / 1000);
+      last = now;
+      if (seconds <= 0 || now - lastInput > STUDY_IDLE_MS) return;
+      const key = taipeiDateKey(new Date(now));
+      pendingStudyRef.current[key] = (pendingStudyRef.current[key] || 0) + seconds;
+    }
+
+    function onTick() {
+      const now = Date.now();
+      if (document.visibilityState === 'visible') credit(now);
+      else last = now;
+      if (now - lastCommit >= STUDY_COMMIT_MS) commit(now);
+    }
+
+    function onInput() {
+      lastInput = Date.now();
+    }
+
+    function onVisibilityChange() {
+      // Credit the time up to hiding; hidden time never counts.
+      if (document.visibilityState === 'hidden') {
+        const now = Date.now();
+        credit(now);
+        commit(now, true);
+      } else last = lastInput = Date.now();
+    }
+
+    function onPageHide() {
+      const now = Date.now();
+      if (document.visibilityState === 'visible') credit(now);
+      commit(now, true);
+    }
+
+    const inputEvents = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+    for (const ev of inputEvents) window.addEventListener(ev, onInput, { passive: true });
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', onPageHide);
+    const t = window.setInterval?.(onTick, STUDY_TICK_MS);
+    return () => {
+      for (const ev of inputEvents) window.removeEventListener(ev, onInput);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', onPageHide);
+      if (t) window.clearInterval?.(t);
+      commit(Date.now());
+    };
+  }, [dailyGoal, persistNow]);
+
+  async function setRemindersEnabled(enabled) {
+    if (enabled && notificationPermission() === 'default') {
+      try {
+        // Must run inside the click for browsers to show the prompt.
+        setNotifyPermission(await Notification.requestPermission());
+      } catch {
+        // ignore: the in-app reminder still works
+      }
+    }
+    setReminders((r) => ({ ...r, enabled }));
+  }
+
+  // Post-plan retest (回測): graded with the same per-skill breakdown as the diagnostic so the two compare 1:1.
+  const retestQuestions = useMemo(() => (retest?.qids || []).map((qid) => getQuestionById(qid)).filter(Boolean), [retest]);
+  const retestPerSkill = useMemo(() => {
+    if (!retest) return null;
+    const bySkill = {};
+    for (const q of retestQuestions) {
+      if (!bySkill[q.skillId]) bySkill[q.skillId] = [];
+      bySkill[q.skillId].push(q);
+    }
+    const skills = SKILLS.filter((s) => bySkill[s.id]);
+    return computeMastery(skills, retest.answers || {}, (s) => bySkill[s.id]);
+  }, [retest, retestQuestions]);
+  const retestAnsweredCount = useMemo(
+    () => retestQuestions.filter((q) => retest?.answers?.[q.id] !== undefined).length,
+    [retest, retestQuestions]
+  );
+
+  // Drop ?day= once it has been honoured, so a reload or an installed-app relaunch resumes normally.
+  useEffect(() => {
+    try {
+      const url = new URL(window.location.href);
+      if (!url.searchParams.has('day')) return;
+      url.searchParams.delete('day');
+      window.history.replaceState(window.history.state, '', url);
+    } catch {
+      // ignore
+    }
+  }, []);
+
+  // Small QoL: if the user previously left the app on a completed day,
+  // snap "today" to the next incomplete day when the app loads.
+  useEffect(() => {
+    if (didAutoJumpToNextIncompleteRef.current) return;
+    if (!plan?.length) return;
+    if (nextIncompleteDay === null) return;
+
+    const cur = dayProgress?.[dayIndex] || {};
+    const curDone = Boolean(cur.conceptDone && cur.practiceDone);
+    if (curDone && nextIncompleteDay !== dayIndex) {
+      didAutoJumpToNextIncompleteRef.current = true;
+      setDayIndex(nextIncompleteDay);
       return;
     }
 
@@ -1134,6 +2238,7 @@ export default function App() {
       setDayIndex(0);
       setDayProgress({});
       setRevealed({});
+      setRetest(null);
       didAutoJumpToNextIncompleteRef.current = false;
 
       setAnswers({});
@@ -1142,10 +2247,21 @@ export default function App() {
     }
 
     // resume at first unanswered question (if any)
-    const firstUnanswered = allQuestions.findIndex((q) => answers?.[q.id] === undefined);
+    const firstUnanswered = diagQuestions.findIndex((q) => answers?.[q.id] === undefined);
     setDiagIndex(firstUnanswered >= 0 ? firstUnanswered : 0);
   }
 
+  // Answers of one mode don't make a valid run of the other, so switching starts the diagnostic over.
+  function switchDiagMode() {
+    const nextMode = diagMode === 'adaptive' ? 'full' : 'adaptive';
+    if (answeredCount > 0 || plan.length > 0) {
+      const ok = window.confirm('切換診斷模式會清除目前的診斷作答與路徑進度，要繼續嗎？');
+      if (!ok) return;
+    }
+    setDiagMode(nextMode);
+    startDiagnostic({ reset: true });
+  }
+
   function restartDiagnosticFlow() {
     const ok = window.confirm('要重新做一次診斷嗎？（會清除目前的路徑進度與練習顯示狀態）');
     if (!ok) return;
@@ -1154,63 +2270,160 @@ export default function App() {
     setDayIndex(0);
     setDayProgress({});
     setRevealed({});
+    setRetest(null);
     setAnswers({});
     setDiagIndex(0);
     didAutoJumpToNextIncompleteRef.current = false;
     setView('diagnostic');
   }
 
+  // Plan shape for a plan starting today: the exam date sets the length and adds review days.
+  const planOptions = useCallback(() => {
+    const today = taipeiDateKey();
+    const left = daysUntilExam(planSettings, today);
+    return { length: planLengthFor(planSettings, today), reviews: left !== null && left >= 1 };
+  }, [planSettings]);
+
   const submitDiagnostic = useCallback(() => {
     // Guard: ensure the diagnostic is actually complete.
-    const firstUnanswered = allQuestions.findIndex((q) => answers?.[q.id] === undefined);
+    const firstUnanswered = diagQuestions.findIndex((q) => answers?.[q.id] === undefined);
     if (firstUnanswered >= 0) {
       window.alert(`你還有題目沒作答（第 ${firstUnanswered + 1} 題）。先完成診斷再產生路徑。`);
       setDiagIndex(firstUnanswered);
       return;
     }
 
-    const newPlan = pickPlan(perSkill, 7);
+    const newPlan = pickPlan(perSkill, planOptions());
     if (!newPlan.length) {
       window.alert('目前無法產生路徑：找不到任何技能點。請重新整理或更新題庫設定。');
       return;
     }
+    const start = taipeiDateKey();
     setPlan(newPlan);
+    setPlanStartDate(start);
+    setPlanDates(planDatesFrom(start, newPlan.length));
+    setPlanChanges([]);
+    setPlanUndo([]);
     setDayIndex(0);
-    // Ensure a clean slate for the new 7-day path (avoid carrying over any old progress/reveals).
+    // Ensure a clean slate for the new path (avoid carrying over any old progress/reveals).
     setDayProgress({});
     setRevealed({});
+    setRetest(null);
     setView('result');
-  }, [allQuestions, answers, perSkill]);
+  }, [diagQuestions, answers, perSkill, planOptions]);
 
   const regeneratePlan = useCallback(() => {
     if (!plan?.length) return;
-    const ok = window.confirm('要用目前的診斷結果重新產生 7 日路徑嗎？（會重置路徑進度）');
+    const ok = window.confirm('要用目前的診斷結果和計畫設定重新產生路徑嗎？（會重置路徑進度）');
     if (!ok) return;
-    const newPlan = pickPlan(perSkill, 7);
+    const newPlan = pickPlan(perSkill, planOptions());
+    const start = taipeiDateKey();
     setPlan(newPlan);
+    setPlanStartDate(start);
+    setPlanDates(planDatesFrom(start, newPlan.length));
+    setPlanChanges([]);
+    setPlanUndo([]);
     setDayIndex(0);
     setDayProgress({});
     setRevealed({});
+    setRetest(null);
     setView('result');
-  }, [plan?.length, perSkill]);
+  }, [plan?.length, perSkill, planOptions]);
+
+  function applyReflow(mode) {
+    const r = reflowPreviews?.[mode];
+    if (!r) return;
+    const renames = planVariantRenames(plan, r.plan, r.origin);
+    setPlanUndo([]);
+    setPlan(r.plan);
+    setPlanDates(r.dates);
+    setDayProgress(renameDayAnswers(r.dayProgress, renames));
+    setDayIndex(r.dayIndex);
+    setRevealed(renameKeys(revealed, renames));
+    notify(`已重排路徑：從今天接著走，最後一天是 ${formatDateKey(r.end)}。`, 'info');
+  }
+
+  // Manual plan edits. Progress moves with its day, and answers/reveals of generated variants are renamed so each day
+  // keeps the questions it showed (see variantRenames).
+  function editPlanDays(op) {
+    const r = editPlan({ plan, dates: planDayDates, dayProgress, dayIndex }, op);
+    const renames = planVariantRenames(plan, r.plan, r.origin);
+    setPlanUndo((u) => [...u, { plan, planDates, dayProgress, dayIndex, renames }].slice(-PLAN_UNDO_LIMIT));
+    setPlan(r.plan);
+    setPlanDates(r.dates.every(Boolean) ? r.dates : []);
+    setDayProgress(renameDayAnswers(r.dayProgress, renames));
+    setDayIndex(r.dayIndex);
+    setRevealed(renameKeys(revealed, renames));
+  }
+
+  function undoPlanEdit() {
+    const last = planUndo[planUndo.length - 1];
+    if (!last) return;
+    setPlanUndo((u) => u.slice(0, -1));
+    setPlan(last.plan);
+    setPlanDates(last.planDates);
+    setDayProgress(last.dayProgress);
+    setDayIndex(last.dayIndex);
+    // Renamed back rather than restored, so explanations opened since the edit stay open.
+    setRevealed((p) => renameKeys(p, new Map([...last.renames].map(([from, to]) => [to, from]))));
+  }
+
+  function togglePlanEditing() {
+    if (planEditing) setPlanUndo([]);
+    setPlanEditing(!planEditing);
+  }
+
+  // Confidence picked for a question that hasn't been answered yet (qid → level); not persisted on its own,
+  // it lands in the attempt. Answered questions show what was saved.
+  const [confidencePicks, setConfidencePicks] = useState({});
+  const savedConfidence = useMemo(() => {
+    const out = { diagnostic: {}, practice: {} };
+    for (const a of attempts) if (out[a.source]) out[a.source][a.qid] = a.confidence || null;
+    return out;
+  }, [attempts]);
+  const pickConfidence = useCallback((qid, level) => setConfidencePicks((p) => ({ ...p, [qid]: level })), []);
+
+  const recordAttempt = useCallback((q, answer, correct, source, confidence) => {
+    if (!q?.id) return;
+    const now = Date.now();
+    const ms = now - (questionShownAtRef.current || now);
+    questionShownAtRef.current = now;
+    setAttempts((p) =>
+      appendAttempt(
+        p,
+        makeAttempt({ qid: q.id, skillId: q.skillId, answer, correct, source, ms, at: new Date(now).toISOString(), confidence })
+      )
+    );
+  }, []);
 
   const chooseDiagnosticAnswer = useCallback(
-    (qid, idx, atIndex) => {
-      setAnswers((p) => ({ ...p, [qid]: idx }));
+    (qid, answer, atIndex) => {
+      setAnswers((p) => ({ ...p, [qid]: answer }));
+
+      const q = getQuestionById(qid);
+      if (q) recordAttempt(q, answer, gradeAnswer(q, answer), 'diagnostic', confidencePicks[qid]);
 
       if (!autoNext) return;
 
+      let isLast = Number(atIndex) >= diagQuestions.length - 1;
+      if (diagMode === 'adaptive') {
+        // The next adaptive item depends on this answer, so replay with it to see whether there is one.
+        // When the diagnostic just ended, stay put and let the student press 送出診斷.
+        const next = buildAdaptiveSequence(adaptivePools, { ...answers, [qid]: answer }, gradeAnswer);
+        if (Number(atIndex) >= next.questions.length - 1) return;
+        isLast = false;
+      }
+
       // advance after selection (small delay to show highlight)
       window.setTimeout(() => {
-        const isLast = Number(atIndex) >= allQuestions.length - 1;
         if (isLast) {
           submitDiagnostic();
           return;
         }
-        setDiagIndex((i) => Math.min(allQuestions.length - 1, i + 1));
+        setDiagIndex((i) => i + 1);
       }, 120);
     },
-    [autoNext, allQuestions.length, submitDiagnostic]
+    [autoNext, diagQuestions, diagMode, adaptivePools, answers, confidencePicks, submitDiagnostic, recordAttempt]
   );
 
   const clearDiagnosticAnswer = useCallback((qid) => {
@@ -1222,6 +2435,24 @@ export default function App() {
     });
   }, []);
 
+  // Practice is graded on the spot: the first choice counts (use "重置本日練習" to redo a day).
+  // Grading also reveals the explanation so students can compare right away.
+  const choosePracticeAnswer = useCallback(
+    (q, answer) => {
+      if (!q?.id || dayAnswers?.[q.id]) return;
+      const correct = gradeAnswer(q, answer);
+      setDayAnswers((p) => ({ ...p, [q.id]: { choice: answer, correct } }));
+      setRevealed((p) => ({ ...(p || {}), [q.id]: true }));
+      recordAttempt(q, answer, correct, 'practice', confidencePicks[q.id]);
+    },
+    [dayAnswers, setDayAnswers, confidencePicks, recordAttempt]
+  );
+
+  // Restart the time-spent clock whenever a new question (diagnostic) or a new practice day comes on screen.
+  useEffect(() => {
+    questionShownAtRef.current = Date.now();
+  }, [view, diagIndex, dayIndex]);
+
   // Small UX: when switching views, scroll to top so users don't get "stuck" mid-page.
   useEffect(() => {
     try {
@@ -1249,6 +2480,37 @@ export default function App() {
   shortcutFnsRef.current.exportShareSummary = exportShareSummary;
   shortcutFnsRef.current.importProgressFromClipboard = importProgressFromClipboard;
 
+  // Update the current day's flags. When that completes the day, the days nobody has started yet are re-ranked from
+  // the mastery estimate (which includes today's practice); see adaptRemainingDays.
+  const updateDay = useCallback(
+    (patch) => {
+      const next = patchDayProgress(dayProgress, dayIndex, patch);
+      setPlanUndo([]);
+      const r =
+        !isDayDone(dayProgress?.[dayIndex]) && isDayDone(next[dayIndex])
+          ? adaptRemainingDays(
+              { plan, dates: planDayDates, dayProgress: next },
+              dayIndex,
+              (sid) => perSkill[sid]?.mastery ?? 0,
+              // Same bar as prerequisites: at PREREQ_MASTERED a skill counts as aced.
+              { threshold: PREREQ_MASTERED, lastDate: examLastDate }
+            )
+          : null;
+      if (!r) {
+        setDayProgress(next);
+        return;
+      }
+      const renames = planVariantRenames(plan, r.plan, r.origin);
+      setPlan(r.plan);
+      setPlanDates(r.dates.every(Boolean) ? r.dates : []);
+      setDayProgress(renameDayAnswers(r.dayProgress, renames));
+      setRevealed((p) => renameKeys(p, renames));
+      setPlanChanges((p) => [...p, { at: new Date().toISOString(), day: dayIndex + 1, items: r.changes }].slice(-MAX_PLAN_CHANGES));
+      notify(`依練習表現調整了 ${r.changes.length} 天的路徑（結果頁有紀錄）。`, 'info', 3500);
+    },
+    [dayProgress, dayIndex, plan, planDayDates, perSkill, examLastDate, notify]
+  );
+
   // Global keyboard shortcuts (desktop-friendly):
   // - P: export progress JSON
   // - S: export share summary
@@ -1299,7 +2561,7 @@ export default function App() {
       // Task view shortcuts (desktop-friendly):
       // - ←/→: previous/next day
       // - 1: toggle Concept done
-      // - 2: toggle Practice done (requires all answers revealed when marking as done)
+      // - 2: toggle Practice done (requires all practice questions answered when marking as done)
       // - N: jump to next incomplete day
       if (view === 'task') {
         if (e.key === 'ArrowLeft') {
@@ -1318,8 +2580,8 @@ export default function App() {
           return;
         }
 
-        // R: reveal next unrevealed practice answer (and jump)
-        // Shift+R: toggle show/hide all practice answers
+        // R: jump to the next practice question that hasn't been answered yet
+        // Shift+R: toggle show/hide explanations of answered questions
         if (k === 'r') {
           if (!practiceQs?.length) return;
           e.preventDefault();
@@ -1327,35 +2589,31 @@ export default function App() {
           if (e.shiftKey) {
             setRevealed((p) => {
               const next = { ...(p || {}) };
-              for (const q of practiceQs) next[q.id] = !allPracticeRevealed;
+              for (const q of practiceQs) {
+                if (dayAnswers?.[q.id]) next[q.id] = !allGradedExplanationsShown;
+              }
               return next;
             });
             return;
           }
 
-          const q = firstUnrevealedPractice;
+          const q = firstUngradedPractice;
           if (!q) {
-            notify('本日練習題答案都已顯示。', 'info', 2000);
+            notify('本日練習題都已作答。', 'info', 2000);
             return;
           }
 
-          setRevealed((p) => ({ ...p, [q.id]: true }));
-          window.setTimeout?.(() => {
-            try {
-              document.getElementById(`pq_${safeDomId(q.id)}`)?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
-            } catch {
-              // ignore
-            }
-          }, 0);
+          try {
+            document.getElementById(`pq_${safeDomId(q.id)}`)?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+          } catch {
+            // ignore
+          }
           return;
         }
 
         if (k === '1') {
           e.preventDefault();
-          setDayProgress((p) => ({
-            ...p,
-            [dayIndex]: { ...(p?.[dayIndex] || {}), conceptDone: !p?.[dayIndex]?.conceptDone }
-          }));
+          updateDay({ conceptDone: !dayProgress?.[dayIndex]?.conceptDone });
           return;
         }
 
@@ -1371,22 +2629,16 @@ export default function App() {
           e.preventDefault();
           const cur = Boolean(dayProgress?.[dayIndex]?.practiceDone);
           if (cur) {
-            setDayProgress((p) => ({
-              ...p,
-              [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: false }
-            }));
+            updateDay({ practiceDone: false });
             return;
           }
 
-          if (!allPracticeRevealed) {
-            window.alert('先把本日練習題答案都看過/對過（可用「全部顯示」），再標記完成。');
+          if (!allPracticeGraded) {
+            window.alert('先把本日練習題都作答（選一個答案），再標記完成。');
             return;
           }
 
-          setDayProgress((p) => ({
-            ...p,
-            [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: true }
-          }));
+          updateDay({ practiceDone: true });
           return;
         }
       }
@@ -1412,7 +2664,22 @@ export default function App() {
 
     window.addEventListener('keydown', onKeyDown);
     return () => window.removeEventListener('keydown', onKeyDown);
-  }, [view, showShortcuts, showIosInstallHelp, plan?.length, dayIndex, dayProgress, allPracticeRevealed, nextIncompleteDay, practiceQs, firstUnrevealedPractice, notify]);
+  }, [
+    view,
+    showShortcuts,
+    showIosInstallHelp,
+    plan?.length,
+    dayIndex,
+    dayProgress,
+    updateDay,
+    allPracticeGraded,
+    allGradedExplanationsShown,
+    nextIncompleteDay,
+    practiceQs,
+    dayAnswers,
+    firstUngradedPractice,
+    notify
+  ]);
 
   // Keyboard shortcuts (desktop-friendly):
   // - 1-4 or A-D: choose option
@@ -1506,15 +2773,15 @@ export default function App() {
       if (e.key === 'ArrowRight') {
         if (answers?.[q.id] === undefined) return;
         e.preventDefault();
-        setDiagIndex((i) => Math.min(allQuestions.length - 1, i + 1));
+        setDiagIndex((i) => Math.min(diagQuestions.length - 1, i + 1));
         return;
       }
 
       if (e.key === 'Enter') {
         e.preventDefault();
-        if (diagIndex < allQuestions.length - 1) {
+        if (diagIndex < diagQuestions.length - 1) {
           if (answers?.[q.id] === undefined) return;
-          setDiagIndex((i) => Math.min(allQuestions.length - 1, i + 1));
+          setDiagIndex((i) => Math.min(diagQuestions.length - 1, i + 1));
         } else {
           submitDiagnostic();
         }
@@ -1528,7 +2795,7 @@ export default function App() {
     currentQ,
     answers,
     diagIndex,
-    allQuestions.length,
+    diagQuestions.length,
     firstUnansweredIndex,
     chooseDiagnosticAnswer,
     clearDiagnosticAnswer,
@@ -1537,6 +2804,249 @@ export default function App() {
     showIosInstallHelp
   ]);
 
+  function openMistakeNotebook() {
+    setClock(Date.now());
+    setReviewQueue(partitionNotebook(notebook, Date.now()).due.map((x) => x.qid));
+    setReviewSession({});
+    setView('review');
+  }
+
+  function openLesson(tagId) {
+    if (!getWrongReason(tagId)) return;
+    setLesson({ tagId, returnView: view === 'lesson' ? lesson?.returnView || 'home' : view });
+    setLessonAnswers({});
+    setView('lesson');
+  }
+
+  function answerLessonDrill(q, answer) {
+    if (!q?.id || lessonAnswers?.[q.id]) return;
+    setLessonAnswers((p) => ({ ...(p || {}), [q.id]: { choice: answer, correct: gradeAnswer(q, answer) } }));
+  }
+
+  const toggleWrongReason = useCallback((qid, tag) => setWrongReasonPicks((p) => toggleWrongReasonPick(p, qid, tag)), []);
+  const wrongReasonReport = useMemo(() => summarizeWrongReasons(wrongReasonPicks, getQuestionById), [wrongReasonPicks]);
+
+  function answerReview(q, answer) {
+    if (!q?.id || reviewSession?.[q.id]) return;
+    const correct = gradeAnswer(q, answer);
+    setReviewSession((p) => ({ ...(p || {}), [q.id]: { choice: answer, correct } }));
+    recordAttempt(q, answer, correct, 'review');
+  }
+
+  // Skills of the plan days completed so far, each with the Taipei date it was last studied.
+  const mixedSkills = useMemo(() => {
+    const lastDone = new Map();
+    plan.forEach((sid, i) => {
+      const at = dayProgress?.[i]?.completedAt;
+      if (sid === REVIEW_DAY || !isDayDone(dayProgress?.[i])) return;
+      const date = typeof at === 'string' && !Number.isNaN(Date.parse(at)) ? taipeiDateKey(new Date(at)) : todayKey;
+      if (!(lastDone.get(sid) > date)) lastDone.set(sid, date);
+    });
+    return [...lastDone].map(([id, date]) => ({ id, date }));
+  }, [plan, dayProgress, todayKey]);
+
+  const mixedQs = useMemo(() => (mixed?.qids || []).map((qid) => getQuestionById(qid)).filter(Boolean), [mixed]);
+  const mixedCorrect = Object.values(mixed?.answers || {}).filter((a) => a.correct).length;
+  const mixedUnfinished = Boolean(mixed) && Object.keys(mixed.answers).length < mixed.qids.length;
+
+  function startMixed() {
+    if (!mixedSkills.length) return;
+    const startedAt = new Date().toISOString();
+    // A fresh batch of variant numbers per session, past anything the plan itself uses.
+    const occurrence = plan.length + 1 + (hashStringToUint32(startedAt) % 1000);
+    const qs = buildMixedReview({
+      skills: mixedSkills.map((sk) => ({
+        id: sk.id,
+        weight: reviewWeight(perSkill[sk.id]?.mastery ?? 0, daysBetween(sk.date, todayKey))
+      })),
+      candidatesFor: (sid) => ({ fixed: bankQuestionsFor(sid), variants: getTemplateVariantsForSkill(sid, occurrence) }),
+      lastSeenAt: lastSeenBefore(attempts),
+      size: quota || MIXED_REVIEW_SIZE,
+      seed: `${initialSavedAtRef.current || 'seed'}|mixed|${startedAt}`
+    });
+    setMixed({ startedAt, qids: qs.map((q) => q.id), answers: {} });
+    setView('mixed');
+  }
+
+  function openMixed() {
+    if (mixedUnfinished) {
+      setView('mixed');
+      return;
+    }
+    startMixed();
+  }
+
+  function answerMixed(q, answer) {
+    if (!q?.id || !mixed || mixed.answers[q.id]) return;
+    const correct = gradeAnswer(q, answer);
+    setMixed((m) => ({ ...m, answers: { ...m.answers, [q.id]: { choice: answer, correct } } }));
+    recordAttempt(q, answer, correct, 'practice');
+  }
+
+  function startRetest() {
+    if (retest?.submittedAt) {
+      const ok = window.confirm('要重新抽一份回測嗎？（上一份回測結果會被取代，作答紀錄仍會保留）');
+      if (!ok) return;
+    }
+
+    const skillIds = [...new Set(plan)].filter((sid) => sid !== REVIEW_DAY);
+    const seen = new Set(Object.values(dayProgress || {}).flatMap((p) => Object.keys(p?.answers || {})));
+    const lastSeenAt = {};
+    for (const a of attempts) {
+      seen.add(a.qid);
+      const t = new Date(a.at).getTime();
+      if (Number.isFinite(t) && t > (lastSeenAt[a.qid] || 0)) lastSeenAt[a.qid] = t;
+    }
+
+    const startedAt = new Date().toISOString();
+    const qids = pickRetestQuestions(skillIds, seen, lastSeenAt, `${initialSavedAtRef.current || 'seed'}|retest|${startedAt}`);
+    if (!qids.length) {
+      window.alert('目前無法產生回測：路徑中的技能點沒有練習題。');
+      return;
+    }
+
+    // Snapshot the "before" numbers so a later re-diagnosis doesn't rewrite the comparison.
+    const baseline = {};
+    for (const sid of skillIds) if (diagScores[sid]) baseline[sid] = { ...diagScores[sid] };
+
+    retestTimingRef.current = {};
+    setRetest({ startedAt, qids, answers: {}, baseline });
+    setView('retest');
+  }
+
+  function openRetest() {
+    if (!retest) {
+      startRetest();
+      return;
+    }
+    setView('retest');
+  }
+
+  function chooseRetestAnswer(q, answer) {
+    if (!q?.id || !retest || retest.submittedAt) return;
+    setRetest((p) => (p ? { ...p, answers: { ...(p.answers || {}), [q.id]: answer } } : p));
+    const now = Date.now();
+    const prev = retestTimingRef.current[q.id];
+    retestTimingRef.current[q.id] = {
+      ms: (prev?.ms || 0) + now - (questionShownAtRef.current || now),
+      at: new Date(now).toISOString()
+    };
+    questionShownAtRef.current = now;
+  }
+
+  function submitRetest() {
+    if (!retest || retest.submittedAt) return;
+    const firstUnanswered = retestQuestions.findIndex((q) => retest.answers?.[q.id] === undefined);
+    if (firstUnanswered >= 0) {
+      window.alert(`你還有回測題目沒作答（第 ${firstUnanswered + 1} 題）。`);
+      try {
+        document
+          .getElementById(`tq_${safeDomId(retestQuestions[firstUnanswered].id)}`)
+          ?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+      } catch {
+        // ignore
+      }
+      return;
+    }
+    const timing = retestTimingRef.current;
+    retestTimingRef.current = {};
+    setAttempts((p) =>
+      retestQuestions.reduce((log, q) => {
+        const answer = retest.answers[q.id];
+        return appendAttempt(
+          log,
+          makeAttempt({ qid: q.id, skillId: q.skillId, answer, correct: gradeAnswer(q, answer), source: 'retest', ...timing[q.id] })
+        );
+      }, p)
+    );
+    setRetest((p) => (p ? { ...p, submittedAt: new Date().toISOString() } : p));
+  }
+
+  const mockQuestions = useMemo(() => (mock?.qids || []).map((qid) => getQuestionById(qid)).filter(Boolean), [mock]);
+  const mockReport = useMemo(
+    () => (mock?.submittedAt ? scoreMockExam(mockQuestions, mock.answers, mock.itemMs) : null),
+    [mock, mockQuestions]
+  );
+  const mockRunning = Boolean(mock && !mock.submittedAt);
+  const mockSize = mockExamSize(mockBlueprint);
+
+  // Countdown; the paper is handed in automatically when time runs out (also when reopened after the deadline).
+  useEffect(() => {
+    if (view !== 'mock' || !mock || mock.submittedAt) return;
+    const deadline = Date.parse(mock.deadline);
+    const t = window.setInterval?.(() => {
+      const now = Date.now();
+      setMockNow(now);
+      if (now < deadline) return;
+      const { done, entries } = handInMockExam(mock, now, mockItemShownAtRef.current, true);
+      mockItemShownAtRef.current = now;
+      setMock(done);
+      setAttempts((p) => entries.reduce(appendAttempt, p));
+    }, 1000);
+    return () => {
+      if (t) window.clearInterval?.(t);
+    };
+  }, [view, mock]);
+
+  function openMock() {
+    mockItemShownAtRef.current = Date.now();
+    setMockNow(Date.now());
+    setView('mock');
+  }
+
+  function startMock() {
+    if (!mockSize) {
+      window.alert('先在題數設定裡至少選 1 題。');
+      return;
+    }
+    if (mock?.submittedAt) {
+      const ok = window.confirm('要開始新的模擬考嗎？（上一份的成績單會被取代，作答紀錄仍會保留）');
+      if (!ok) return;
+    }
+
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+    const seed = `${initialSavedAtRef.current || 'seed'}|mock|${startedAt}`;
+    const qids = drawMockExam(mockBlueprint, bankQuestionsFor, seed);
+    if (!qids.length) {
+      window.alert('目前無法產生模擬考：選到的技能點沒有題目。');
+      return;
+    }
+    const deadline = new Date(now + mockExamMinutes(mockBlueprint) * 60 * 1000).toISOString();
+    setMock({ seed, startedAt, deadline, qids, answers: {}, itemMs: {}, current: 0 });
+    mockItemShownAtRef.current = now;
+    setMockNow(now);
+    setView('mock');
+  }
+
+  function goMockItem(idx) {
+    if (!mockRunning || idx < 0 || idx >= mock.qids.length || idx === mock.current) return;
+    const now = Date.now();
+    setMock({ ...mock, itemMs: chargeMockItem(mock, now, mockItemShownAtRef.current), current: idx });
+    mockItemShownAtRef.current = now;
+  }
+
+  function answerMock(q, answer) {
+    if (!mockRunning || !q?.id) return;
+    setMock((p) => (p && !p.submittedAt ? { ...p, answers: { ...p.answers, [q.id]: answer } } : p));
+  }
+
+  function submitMock() {
+    if (!mockRunning) return;
+    const blank = mock.qids.filter((qid) => mock.answers[qid] === undefined).length;
+    if (blank > 0 && !window.confirm(`還有 ${blank} 題沒作答（會算答錯）。確定要交卷嗎？`)) return;
+    const now = Date.now();
+    const { done, entries } = handInMockExam(mock, now, mockItemShownAtRef.current, false);
+    mockItemShownAtRef.current = now;
+    setMock(done);
+    setAttempts((p) => entries.reduce(appendAttempt, p));
+    try {
+      window.scrollTo({ top: 0, behavior: scrollBehavior() });
+    } catch {
+      // ignore
+    }
+  }
+
   function goTodayTask() {
     // If there is a known next incomplete day, prefer jumping there.
     // This avoids landing on an already-completed day (common after users review past days).
@@ -1546,6 +3056,24 @@ export default function App() {
     setView('task');
   }
 
+  // "Did they actually study this week": today, the streak, and the last 7 days.
+  function buildStudyLines() {
+    const lines = [];
+    lines.push(`今天讀了：${todayStudyMinutes} 分鐘（目標 ${dailyGoal} 分鐘）${todayGoalMet ? '✅' : '⬜'}`);
+    lines.push(`連續達標：${streak.current} 天（最長 ${streak.best} 天）`);
+    if (challenge.answered) {
+      lines.push(`每日一題：連續 ${challenge.current} 天（最長 ${challenge.best} 天），累計答對 ${challenge.correct}/${challenge.answered}`);
+    }
+    const metDays = recentDays.filter((d) => d.met).length;
+    const planDays = recentDays.reduce((sum, d) => sum + d.planDays, 0);
+    lines.push(`近 7 天：共 ${recentMinutes} 分鐘，達標 ${metDays}/7 天，完成 ${planDays} 個 Day`);
+    for (const d of recentDays) {
+      const done = d.planDays ? `，完成 ${d.planDays} 個 Day` : '';
+      lines.push(`- ${formatDateKey(d.date)}：${d.minutes} 分鐘${done} ${d.met ? '✅' : '⬜'}`);
+    }
+    return lines;
+  }
+
   function buildShareSummary() {
     const lines = [];
     lines.push('高一化學覆習（診斷 → 補洞）進度摘要');
@@ -1567,15 +3095,26 @@ export default function App() {
     if (savedAt) lines.push(`最後儲存（台北）：${formatLocalTime(savedAt)}`);
     if (lastExportedAt) lines.push(`上次匯出備份（JSON）（台北）：${formatLocalTime(lastExportedAt)}`);
 
+    lines.push('');
+    lines.push(...buildStudyLines());
+    lines.push('');
+
     if (!plan?.length) {
-      lines.push('尚未產生 7 日路徑（請先完成診斷）。');
-      lines.push(`診斷進度：已作答 ${answeredCount}/${allQuestions.length}（${answeredPct}%）`);
+      lines.push('尚未產生補洞路徑（請先完成診斷）。');
+      lines.push(
+        adaptive
+          ? `診斷進度（自適應）：已作答 ${answeredCount} 題（約 ${answeredPct}%）`
+          : `診斷進度：已作答 ${answeredCount}/${diagQuestions.length}（${answeredPct}%）`
+      );
       if (unansweredCount > 0) lines.push(`未作答：${unansweredCount} 題`);
 
       const ranked = Object.entries(perSkill)
         .map(([skillId, v]) => ({
           skillId,
           mastery: v.mastery,
+          low: v.low,
+          high: v.high,
+          confidentlyWrong: v.confidentlyWrong,
           correct: v.correct,
           answered: v.answered,
           total: v.total
@@ -1585,7 +3124,7 @@ export default function App() {
           const aHas = (a.answered || 0) > 0;
           const bHas = (b.answered || 0) > 0;
           if (aHas !== bHas) return aHas ? -1 : 1;
-          return a.mastery - b.mastery;
+          return comparePriority(a, b);
         });
 
       const topWeak = ranked.filter((x) => (x.answered || 0) > 0).slice(0, 3);
@@ -1596,7 +3135,7 @@ export default function App() {
           const s = SKILLS.find((x) => x.id === w.skillId);
           const denom = w.answered ?? 0;
           const suffix = denom > 0 ? `${w.correct}/${denom}` : `0/0`;
-          lines.push(`- ${s?.name || w.skillId}: ${w.mastery}%（${suffix}，共 ${w.total} 題）`);
+          lines.push(`- ${s?.name || w.skillId}: ${w.mastery}%（範圍 ${w.low}–${w.high}%；診斷 ${suffix}，共 ${w.total} 題）`);
         }
       }
 
@@ -1607,11 +3146,14 @@ export default function App() {
       .map(([skillId, v]) => ({
         skillId,
         mastery: v.mastery,
+        low: v.low,
+        high: v.high,
+        confidentlyWrong: v.confidentlyWrong,
         correct: v.correct,
         answered: v.answered,
         total: v.total
       }))
-      .sort((a, b) => a.mastery - b.mastery);
+      .sort(comparePriority);
 
     const topWeak = ranked.slice(0, 3);
     lines.push('');
@@ -1620,48 +3162,77 @@ export default function App() {
       const s = SKILLS.find((x) => x.id === w.skillId);
       const denom = w.answered ?? 0;
       const suffix = denom > 0 ? `${w.correct}/${denom}` : `0/0`;
-      lines.push(`- ${s?.name || w.skillId}: ${w.mastery}%（${suffix}，共 ${w.total} 題）`);
+      lines.push(`- ${s?.name || w.skillId}: ${w.mastery}%（範圍 ${w.low}–${w.high}%；診斷 ${suffix}，共 ${w.total} 題）`);
+    }
+
+    if (notebookSize > 0 || notebookParts.graduated.length > 0) {
+      lines.push('');
+      lines.push(
+        `錯題本：到期 ${notebookParts.due.length} 題／排程中 ${notebookParts.scheduled.length} 題／已畢業 ${notebookParts.graduated.length} 題`
+      );
     }
 
     lines.push('');
-    lines.push(`7 日路徑進度：已完成 ${completedDays}/${plan.length} 天`);
+    if (examDaysLeft !== null) {
+      const exam = `${planSettings.examLabel || '考試'}（${formatDateKey(planSettings.examDate)}）`;
+      lines.push(examDaysLeft > 0 ? `距離${exam}：還有 ${examDaysLeft} 天` : examDaysLeft === 0 ? `${exam}就是今天！` : `${exam}已經過了`);
+    }
+    if (planSettings.minutesPerDay) lines.push(`每天可讀：${planSettings.minutesPerDay} 分鐘`);
+    lines.push(`${plan.length} 日路徑進度：已完成 ${completedDays}/${plan.length} 天`);
+    if (missedDays.length) lines.push(`落後：${missedDays.map((i) => `Day ${i + 1}`).join('、')} 過了預定日期還沒完成`);
 
     const todaySid = plan?.[dayIndex];
-    const todaySkill = SKILLS.find((x) => x.id === todaySid);
     const todayP = dayProgress?.[dayIndex] || {};
     const todayIsDone = Boolean(todayP.conceptDone && todayP.practiceDone);
-    lines.push(`今天：Day ${dayIndex + 1} ${todaySkill?.name || todaySid || '—'} ${todayIsDone ? '✅' : '⬜'}`);
+    lines.push(`今天：Day ${dayIndex + 1} ${todaySid ? planDayName(todaySid) : '—'} ${todayIsDone ? '✅' : '⬜'}`);
 
     // Tiny detail that helps teachers/parents quickly see *what* is missing.
     const todayConcept = todayP.conceptDone ? '✅' : '⬜';
     const todayPractice = todayP.practiceDone ? '✅' : '⬜';
     lines.push(`今日任務：概念 ${todayConcept}／練習 ${todayPractice}`);
 
-    // If practice questions exist, include how many answers have been revealed/checked.
+    // If practice questions exist, include how many were answered (and how many were right).
     // (This is usually a better proxy than just the done toggle.)
     if (Array.isArray(practiceQs) && practiceQs.length > 0) {
-      lines.push(`今日練習題：已看答案 ${practiceRevealedCount}/${practiceQs.length}`);
+      lines.push(`今日練習題：已作答 ${practiceGradedCount}/${practiceQs.length}（答對 ${practiceCorrectCount}）`);
     }
 
     if (nextIncompleteDay !== null) {
       const sid = plan?.[nextIncompleteDay];
-      const s = SKILLS.find((x) => x.id === sid);
       const p = dayProgress?.[nextIncompleteDay] || {};
       const concept = p.conceptDone ? '✅' : '⬜';
       const practice = p.practiceDone ? '✅' : '⬜';
-      lines.push(`下一個未完成：Day ${nextIncompleteDay + 1} ${s?.name || sid || '—'}`);
+      lines.push(`下一個未完成：Day ${nextIncompleteDay + 1} ${sid ? planDayName(sid) : '—'}`);
       lines.push(`建議下一步：概念 ${concept}／練習 ${practice}`);
     }
 
     lines.push('');
     lines.push('路徑：');
     for (let i = 0; i < plan.length; i++) {
-      const sid = plan[i];
-      const s = SKILLS.find((x) => x.id === sid);
       const p = dayProgress?.[i] || {};
       const done = Boolean(p.conceptDone && p.practiceDone);
       const tag = done ? '✅' : i === dayIndex ? '🟦' : '⬜';
-      lines.push(`- Day ${i + 1}: ${s?.name || sid} ${tag}`);
+      const date = planDayDates[i];
+      lines.push(`- Day ${i + 1}${date ? `（${formatDateKey(date)}）` : ''}: ${planDayName(plan[i])} ${tag}`);
+    }
+
+    if (mockReport) {
+      lines.push('');
+      lines.push(
+        `模擬段考（台北 ${formatLocalTime(mock.submittedAt)}）：${mockReport.score} 分（答對 ${mockReport.correct}/${mockReport.total}）`
+      );
+    }
+
+    if (retest?.submittedAt && retestPerSkill) {
+      lines.push('');
+      lines.push(`回測（台北 ${formatLocalTime(retest.submittedAt)}）：診斷 → 回測`);
+      for (const [sid, after] of Object.entries(retestPerSkill)) {
+        const s = SKILLS.find((x) => x.id === sid);
+        const before = retest.baseline?.[sid];
+        const delta = before ? after.mastery - before.mastery : null;
+        const deltaText = delta === null ? '' : `（${delta > 0 ? '+' : ''}${delta}）`;
+        lines.push(`- ${s?.name || sid}: ${before ? `${before.mastery}%` : '—'} → ${after.mastery}%${deltaText}`);
+      }
     }
 
     return lines.join('\n');
@@ -1692,10 +3263,24 @@ export default function App() {
       })(),
       plan,
       dayIndex,
+      planSettings,
+      reminders,
+      planStartDate: planStartDate || undefined,
+      planDates,
+      planChanges,
+      studyLog,
+      dailyChallenges,
       answers,
+      attempts,
       dayProgress,
       revealed,
+      retest: retest || undefined,
+      mock: mock || undefined,
+      mixed: mixed || undefined,
+      mockBlueprint,
+      wrongReasonPicks,
       autoNext,
+      diagMode,
       shufflePractice,
       savedAt: savedAt || undefined,
       lastExportedAt: nowIso
@@ -1796,26 +3381,75 @@ export default function App() {
     window.prompt('你的瀏覽器不允許自動複製/下載。請手動複製以下文字：', text);
   }
 
+  async function exportCalendar() {
+    if (!plan?.length) return;
+    const now = new Date();
+    const ts = formatFilenameTimestamp(now);
+    const uidBase = planStartDate || todayKey;
+
+    const events = plan.map((sid, i) => {
+      const s = SKILLS.find((x) => x.id === sid);
+      const desc = [];
+      if (sid === REVIEW_DAY) {
+        const covered = skillsBeforeDay(plan, i).map(planDayName);
+        desc.push(covered.length ? `複習：${covered.join('、')}` : '複習前面幾天的技能');
+      } else if (s?.blurb) {
+        desc.push(s.blurb);
+      }
+      if (planSettings.minutesPerDay) desc.push(`預計 ${planSettings.minutesPerDay} 分鐘`);
+      desc.push(`打開今天的任務：${dayDeepLink(i)}`);
+      return {
+        uid: `${uidBase}-day${i + 1}@chem-review-pwa`,
+        // Undated plans (from before exam dates) count from today's day.
+        date: planDayDates[i] || addDays(todayKey, i - dayIndex),
+        summary: `化學 Day ${i + 1}：${planDayName(sid)}`,
+        description: desc.join('\n'),
+        url: dayDeepLink(i)
+      };
+    });
+    const text = buildIcsCalendar({ name: '化學覆習路徑', events, now });
+    const filename = `chem-review-plan_${ts}.ics`;
+    const mimeType = 'text/calendar;charset=utf-8';
+
+    // On phones the share sheet hands the file straight to the calendar app; without file sharing, download it.
+    const shared = await tryNativeShare({ title: '化學覆習路徑（行事曆）', text, filename, mimeType, filesOnly: true });
+    if (shared) {
+      notify('已開啟分享：行事曆檔案已準備好。', 'good', 2000);
+      return;
+    }
+
+    if (downloadText({ filename, text, mimeType })) {
+      notify(`已下載行事曆檔案（${plan.length} 天）：打開它就能加入行事曆。`, 'good', 3200);
+      return;
+    }
+
+    notify('你的瀏覽器不允許下載檔案，無法匯出行事曆。', 'warn', 3200);
+  }
+
   const skillIdSet = useMemo(() => new Set(SKILLS.map((s) => s.id)), []);
 
   const diagnosticMeta = useMemo(() => {
+    // Every question either diagnostic mode can ask (adaptive mode also draws from the practice bank).
     const qById = {};
-    for (const q of allQuestions) {
-      qById[q.id] = { choicesLen: Array.isArray(q.choices) ? q.choices.length : 0 };
-    }
+    for (const q of getAllQuestions()) qById[q.id] = q;
 
-    const practiceIds = new Set();
+    const practiceById = {};
     for (const s of SKILLS) {
       const qs = getPracticeQuestionsForSkill(s.id) || [];
-      for (const q of qs) practiceIds.add(q.id);
+      for (const q of qs) practiceById[q.id] = q;
     }
 
-    return { qById, practiceIds };
-  }, [allQuestions]);
+    return { qById, practiceById };
+  }, []);
+
+  // Practice lookup for imports: the fixed bank plus any template variant id that still rebuilds.
+  function practiceQuestion(qid) {
+    return diagnosticMeta.practiceById[qid] || getTemplateVariant(qid);
+  }
 
   function sanitizeImportedPlan(xs) {
     if (!Array.isArray(xs)) return null;
-    return xs.filter((sid) => typeof sid === 'string' && skillIdSet.has(sid));
+    return xs.filter((sid) => typeof sid === 'string' && (skillIdSet.has(sid) || sid === REVIEW_DAY));
   }
 
   function sanitizeImportedAnswers(obj) {
@@ -1823,14 +3457,9 @@ export default function App() {
     if (!obj || typeof obj !== 'object') return out;
 
     for (const [qid, v] of Object.entries(obj)) {
-      const meta = diagnosticMeta.qById[qid];
-      if (!meta) continue;
-
-      const n = typeof v === 'number' ? v : Number(v);
-      if (!Number.isFinite(n)) continue;
-      const i = Math.trunc(n);
-      if (i < 0 || i >= meta.choicesLen) continue;
-      out[qid] = i;
+      const a = normalizeAnswer(diagnosticMeta.qById[qid], v);
+      if (a === undefined) continue;
+      out[qid] = a;
     }
 
     return out;
@@ -1841,13 +3470,74 @@ export default function App() {
     if (!obj || typeof obj !== 'object') return out;
 
     for (const [qid, v] of Object.entries(obj)) {
-      if (!diagnosticMeta.practiceIds.has(qid)) continue;
+      if (!practiceQuestion(qid)) continue;
       out[qid] = Boolean(v);
     }
 
     return out;
   }
 
+  // Older exports: one practice answer map keyed by question (see migratePracticeAnswers).
+  function sanitizeImportedPracticeAnswers(obj) {
+    const out = {};
+    if (!obj || typeof obj !== 'object') return out;
+
+    for (const [qid, v] of Object.entries(obj)) {
+      const q = practiceQuestion(qid);
+      if (!q || !v || typeof v !== 'object') continue;
+
+      const a = normalizeAnswer(q, v.choice);
+      if (a === undefined) continue;
+      // Re-grade against the current content instead of trusting the imported flag.
+      out[qid] = { choice: a, correct: gradeAnswer(q, a) };
+    }
+
+    return out;
+  }
+
+  // A day's answers: review days also use diagnostic items, so any known question goes.
+  function sanitizeImportedDayAnswers(obj) {
+    const out = {};
+    if (!obj || typeof obj !== 'object') return out;
+
+    for (const [qid, v] of Object.entries(obj)) {
+      const q = getQuestionById(qid);
+      if (!q || !v || typeof v !== 'object') continue;
+
+      const a = normalizeAnswer(q, v.choice);
+      if (a === undefined) continue;
+      out[qid] = { choice: a, correct: gradeAnswer(q, a) };
+    }
+
+    return out;
+  }
+
+  function sanitizeImportedRetest(obj) {
+    if (!obj || typeof obj !== 'object') return null;
+    const qids = Array.isArray(obj.qids) ? obj.qids.filter((qid) => practiceQuestion(qid)) : [];
+    if (!qids.length) return null;
+    const startedAt = typeof obj.startedAt === 'string' ? obj.startedAt : new Date().toISOString();
+
+    const answersOut = {};
+    const rawAnswers = obj.answers && typeof obj.answers === 'object' ? obj.answers : {};
+    for (const qid of qids) {
+      const a = normalizeAnswer(practiceQuestion(qid), rawAnswers[qid]);
+      if (a === undefined) continue;
+      answersOut[qid] = a;
+    }
+
+    const baseline = {};
+    const rawBaseline = obj.baseline && typeof obj.baseline === 'object' ? obj.baseline : {};
+    for (const [sid, v] of Object.entries(rawBaseline)) {
+      if (!skillIdSet.has(sid) || !v || typeof v !== 'object') continue;
+      const num = (x) => (Number.isFinite(Number(x)) ? Math.max(0, Math.round(Number(x))) : 0);
+      baseline[sid] = { correct: num(v.correct), answered: num(v.answered), total: num(v.total), mastery: num(v.mastery) };
+    }
+
+    const submittedAt = typeof obj.submittedAt === 'string' ? obj.submittedAt : undefined;
+    return { startedAt, qids, answers: answersOut, baseline, submittedAt };
+  }
+
   function sanitizeImportedDayProgress(obj, planLen) {
     const out = {};
     if (!obj || typeof obj !== 'object') return out;
@@ -1862,6 +3552,11 @@ export default function App() {
         conceptDone: Boolean(v.conceptDone),
         practiceDone: Boolean(v.practiceDone)
       };
+      if (out[day].conceptDone && out[day].practiceDone && typeof v.completedAt === 'string') {
+        out[day].completedAt = v.completedAt;
+      }
+      const answers = sanitizeImportedDayAnswers(v.answers);
+      if (Object.keys(answers).length) out[day].answers = answers;
     }
 
     return out;
@@ -1886,15 +3581,40 @@ export default function App() {
 
     // Minimal validation (keep it permissive)
     // Allow imports that only contain answers (plan missing) so users can move between builds
-    // and regenerate the 7-day path later.
+    // and regenerate the path later.
     let nextPlan = sanitizeImportedPlan(parsed.plan);
     if (!nextPlan) nextPlan = [];
 
     const nextDayIndex = typeof parsed.dayIndex === 'number' ? parsed.dayIndex : 0;
+    const nextPlanSettings = sanitizePlanSettings(parsed.planSettings);
+    const nextReminders = sanitizeReminderSettings(parsed.reminders);
+    const nextPlanStartDate = isDateKey(parsed.planStartDate) ? parsed.planStartDate : '';
+    const nextPlanDates =
+      Array.isArray(parsed.planDates) && parsed.planDates.length === nextPlan.length && parsed.planDates.every(isDateKey)
+        ? parsed.planDates
+        : [];
+    const nextPlanChanges = sanitizePlanChanges(parsed.planChanges);
+    const nextStudyLog = sanitizeStudyLog(parsed.studyLog);
+    const nextDailyChallenges = loadChallengeLog(parsed.dailyChallenges);
     const nextAnswers = sanitizeImportedAnswers(parsed.answers);
-    const nextDayProgress = sanitizeImportedDayProgress(parsed.dayProgress, nextPlan.length);
+    const nextAttempts = sanitizeAttempts(
+      parsed.attempts,
+      (qid) => Boolean(diagnosticMeta.qById[qid] || practiceQuestion(qid))
+    );
+    const nextDayProgress = migratePracticeAnswers(
+      sanitizeImportedDayProgress(parsed.dayProgress, nextPlan.length),
+      nextPlan,
+      sanitizeImportedPracticeAnswers(parsed.practiceAnswers),
+      practiceQuota(nextPlanSettings.minutesPerDay)
+    );
     const nextRevealed = sanitizeImportedRevealed(parsed.revealed);
+    const nextRetest = sanitizeImportedRetest(parsed.retest);
+    const nextMock = loadMockExam(parsed.mock);
+    const nextMixed = loadMixedSession(parsed.mixed);
+    const nextMockBlueprint = sanitizeMockBlueprint(parsed.mockBlueprint, SKILL_IDS);
+    const nextWrongReasonPicks = loadWrongReasonPicks(parsed.wrongReasonPicks);
     const nextAutoNext = typeof parsed.autoNext === 'boolean' ? parsed.autoNext : true;
+    const nextDiagMode = readDiagMode(parsed);
     const nextShufflePractice = typeof parsed.shufflePractice === 'boolean' ? parsed.shufflePractice : false;
     const importedSavedAt = typeof parsed.savedAt === 'string' ? parsed.savedAt : '';
     // If the export didn't include savedAt (older versions), treat the import as a fresh save.
@@ -1932,10 +3652,25 @@ export default function App() {
 
     setPlan(nextPlan);
     setDayIndex(clampedDayIndex);
+    setPlanSettings(nextPlanSettings);
+    setReminders(nextReminders);
+    setPlanStartDate(nextPlanStartDate);
+    setPlanDates(nextPlanDates);
+    setPlanChanges(nextPlanChanges);
+    setPlanUndo([]);
+    setStudyLog(nextStudyLog);
+    setDailyChallenges(nextDailyChallenges);
     setAnswers(nextAnswers);
+    setAttempts(nextAttempts);
     setDayProgress(nextDayProgress);
     setRevealed(nextRevealed);
+    setRetest(nextRetest);
+    setMock(nextMock);
+    setMixed(nextMixed);
+    setMockBlueprint(nextMockBlueprint);
+    setWrongReasonPicks(nextWrongReasonPicks);
     setAutoNext(nextAutoNext);
+    setDiagMode(nextDiagMode);
     setShufflePractice(nextShufflePractice);
     setSavedAt(effectiveSavedAt);
     // Keep practice shuffle seeds consistent with the newly imported state.
@@ -1949,10 +3684,24 @@ export default function App() {
       JSON.stringify({
         plan: nextPlan,
         dayIndex: clampedDayIndex,
+        planSettings: nextPlanSettings,
+        reminders: nextReminders,
+        planStartDate: nextPlanStartDate,
+        planDates: nextPlanDates,
+        planChanges: nextPlanChanges,
+        studyLog: nextStudyLog,
+        dailyChallenges: nextDailyChallenges,
         answers: nextAnswers,
+        attempts: nextAttempts,
         dayProgress: nextDayProgress,
         revealed: nextRevealed,
+        retest: nextRetest,
+        mock: nextMock,
+        mixed: nextMixed,
+        mockBlueprint: nextMockBlueprint,
+        wrongReasonPicks: nextWrongReasonPicks,
         autoNext: nextAutoNext,
+        diagMode: nextDiagMode,
         shufflePractice: nextShufflePractice,
         savedAt: effectiveSavedAt,
         lastExportedAt: importedLastExportedAt
@@ -1973,6 +3722,7 @@ export default function App() {
 
       const answersObj = parsed.answers && typeof parsed.answers === 'object' ? parsed.answers : null;
       const answersCount = answersObj ? Object.keys(answersObj).length : 0;
+      const attemptsCount = Array.isArray(parsed.attempts) ? parsed.attempts.length : 0;
 
       const planArr = Array.isArray(parsed.plan) ? parsed.plan : [];
       const planLen = planArr.length;
@@ -1989,8 +3739,9 @@ export default function App() {
       const lines = [];
       if (exportedAt) lines.push(`匯出時間（台北）：${formatLocalTime(exportedAt)}`);
       if (savedAt) lines.push(`最後儲存（台北）：${formatLocalTime(savedAt)}`);
-      if (Number.isFinite(planLen) && planLen > 0) lines.push(`7 日路徑：${planLen} 天（已完成 ${completedDays} 天）`);
+      if (Number.isFinite(planLen) && planLen > 0) lines.push(`補洞路徑：${planLen} 天（已完成 ${completedDays} 天）`);
       if (Number.isFinite(answersCount) && answersCount > 0) lines.push(`診斷作答：${answersCount} 題`);
+      if (attemptsCount > 0) lines.push(`作答紀錄：${attemptsCount} 筆`);
 
       return lines.length ? `\n\n（匯入內容摘要）\n${lines.join('\n')}` : '';
     } catch {
@@ -2228,7 +3979,7 @@ export default function App() {
       }
     })();
 
-    const ok = window.confirm(`確定要重置進度？這會清除你的診斷結果與 7 日路徑。${backupHint}`);
+    const ok = window.confirm(`確定要重置進度？這會清除你的診斷結果與補洞路徑。${backupHint}`);
     if (!ok) return;
 
     // Prevent the reactive "persist" effect from immediately re-writing an empty state
@@ -2247,11 +3998,26 @@ export default function App() {
     setView('home');
     setDiagIndex(0);
     setAnswers({});
+    setAttempts([]);
     setPlan([]);
     setDayIndex(0);
+    setPlanSettings(sanitizePlanSettings(null));
+    setReminders(sanitizeReminderSettings(null));
+    setPlanStartDate('');
+    setPlanDates([]);
+    setPlanChanges([]);
+    setPlanUndo([]);
+    setStudyLog({});
+    setDailyChallenges({});
     setDayProgress({});
     setRevealed({});
+    setRetest(null);
+    setMock(null);
+    setMixed(null);
+    setMockBlueprint(sanitizeMockBlueprint(null, SKILL_IDS));
+    setWrongReasonPicks({});
     setAutoNext(true);
+    setDiagMode('adaptive');
     setShufflePractice(false);
 
     // Non-blocking confirmation (avoids relying on alert dialogs, especially on mobile/PWA).
@@ -2363,9 +4129,9 @@ export default function App() {
                       <li>• ← / →：上一天 / 下一天</li>
                       <li>• N：跳到下一個未完成</li>
                       <li>• 1：切換「概念」完成</li>
-                      <li>• 2：切換「練習」完成（標記完成前需先把答案都看過）</li>
-                      <li>• R：顯示下一題尚未顯示的答案（並跳到該題）</li>
-                      <li>• Shift+R：全部顯示 / 全部隱藏答案</li>
+                      <li>• 2：切換「練習」完成（標記完成前需先把練習題都作答）</li>
+                      <li>• R：跳到下一題尚未作答的練習題</li>
+                      <li>• Shift+R：展開 / 收合已作答題目的解析</li>
                     </ul>
                   </>
                 ) : null}
@@ -2426,7 +4192,7 @@ export default function App() {
             <div className="text-xs tracking-widest text-white/50">PWA MVP</div>
             <h1 className="mt-1 text-2xl font-semibold text-white/90">高一化學覆習（診斷 → 補洞）</h1>
             <p className="mt-2 text-sm text-white/70">
-              先做出：診斷測驗、弱點排行、7 日補洞路徑（概念 + 題型混合）。
+              先做出：診斷測驗、弱點排行、到考試前的補洞路徑（概念 + 題型混合）。
             </p>
           </div>
           <div className="flex items-center gap-2">
@@ -2458,12 +4224,42 @@ export default function App() {
             <StepPill label="3. 今日任務" state={stepState.today} />
           </div>
 
-          {view === 'home' ? (
-            <div className="grid gap-4">
-              {plan.length > 0 && nextIncompleteDay !== null ? (
-                <div className="rounded-xl border border-emerald-300/20 bg-emerald-500/10 p-4">
-                  <div className="text-xs tracking-widest text-emerald-100/80">CONTINUE</div>
-                  <div className="mt-2 text-sm text-emerald-50/90">
+          {inAppReminder && view !== 'task' ? (
+            <div className="mb-5 flex flex-wrap items-center justify-between gap-3 rounded-xl border border-cyan-300/20 bg-cyan-500/10 p-4">
+              <div>
+                <div className="text-xs tracking-widest text-cyan-100/80">REMINDER</div>
+                <div className="mt-1 text-sm text-cyan-50/90">
+                  {inAppReminder.title}：{inAppReminder.body}
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  className="rounded-lg border border-cyan-300/20 bg-cyan-500/15 px-3 py-1.5 text-xs text-cyan-50 hover:bg-cyan-500/20"
+                  type="button"
+                  onClick={() => {
+                    setDayIndex(nextIncompleteDay);
+                    setView('task');
+                  }}
+                >
+                  現在去做
+                </button>
+                <button
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                  type="button"
+                  onClick={() => setReminders((r) => ({ ...r, dismissedOn: todayKey }))}
+                >
+                  今天先不要
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {view === 'home' ? (
+            <div className="grid gap-4">
+              {plan.length > 0 && nextIncompleteDay !== null ? (
+                <div className="rounded-xl border border-emerald-300/20 bg-emerald-500/10 p-4">
+                  <div className="text-xs tracking-widest text-emerald-100/80">CONTINUE</div>
+                  <div className="mt-2 text-sm text-emerald-50/90">
                     你還有未完成的任務：Day {nextIncompleteDay + 1}。
                   </div>
                   <div className="mt-3 flex flex-wrap gap-2">
@@ -2486,8 +4282,157 @@ export default function App() {
                     </button>
                   </div>
                 </div>
+              ) : planComplete ? (
+                <div className="rounded-xl border border-emerald-300/20 bg-emerald-500/10 p-4">
+                  <div className="text-xs tracking-widest text-emerald-100/80">RECAP</div>
+                  <div className="mt-2 text-sm text-emerald-50/90">
+                    {retest?.submittedAt
+                      ? '你已完成路徑與回測，可以看看前後比較，或再抽一份回測。'
+                      : `${plan.length} 天路徑都完成了！做一份回測，看看每個技能點進步多少。`}
+                  </div>
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    <button
+                      className="rounded-lg border border-emerald-300/20 bg-emerald-500/15 px-4 py-2 text-sm text-emerald-50 hover:bg-emerald-500/20"
+                      type="button"
+                      onClick={openRetest}
+                    >
+                      {retest?.submittedAt ? '看回測結果' : retest ? '繼續回測' : '開始回測'}
+                    </button>
+                  </div>
+                </div>
               ) : null}
 
+              {challengeQ ? (
+                <div className="rounded-xl border border-white/10 bg-black/10 p-4">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <div className="text-xs tracking-widest text-white/50">DAILY</div>
+                      <div className="mt-1 text-sm font-semibold text-white/90">每日一題 · {formatDateKey(todayKey)}</div>
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      <Badge tone="info">{SKILLS.find((x) => x.id === challengeQ.skillId)?.name || challengeQ.skillId}</Badge>
+                      <Badge
+                        tone={challenge.current > 0 ? 'warn' : 'neutral'}
+                        title={`最長連續 ${challenge.best} 天 · 累計答對 ${challenge.correct}/${challenge.answered}`}
+                      >
+                        連續挑戰 {challenge.current} 天
+                      </Badge>
+                    </div>
+                  </div>
+                  <div className="mt-3 text-sm text-white/90">
+                    <ChemText text={challengeQ.stem} />
+                  </div>
+
+                  <div className="mt-2 grid gap-1 text-xs text-white/70">
+                    {(challengeQ.choices || []).map((c, idx) => {
+                      const isCorrect = idx === challengeQ.answer;
+                      const isChosen = challengeEntry?.answer === idx;
+                      return (
+                        <button
+                          key={`${challengeQ.id}_daily_${idx}`}
+                          type="button"
+                          disabled={Boolean(challengeEntry)}
+                          className={cls(
+                            'w-full text-left rounded-lg border px-3 py-2',
+                            'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                            challengeEntry && isCorrect
+                              ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
+                              : challengeEntry && isChosen
+                                ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                : challengeEntry
+                                  ? 'border-white/10 text-white/60'
+                                  : 'border-white/10 text-white/80 hover:bg-black/20'
+                          )}
+                          aria-pressed={isChosen}
+                          aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                          onClick={() => answerChallenge(idx)}
+                        >
+                          <span className="mr-1 text-white/60">{String.fromCharCode(65 + idx)}.</span>
+                          <ChemText text={c} />
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {challengeQ.kind && challengeQ.kind !== 'mc' ? (
+                    <AnswerInput
+                      key={`${challengeQ.id}_${challengeEntry?.answer ?? ''}`}
+                      q={challengeQ}
+                      value={challengeEntry?.answer}
+                      disabled={Boolean(challengeEntry)}
+                      graded
+                      onSubmit={answerChallenge}
+                    />
+                  ) : null}
+
+                  {challengeEntry ? (
+                    <div className="mt-3 grid gap-2 text-xs text-white/55">
+                      <div className="flex flex-wrap items-center gap-2">
+                        {challengeEntry.correct ? <Badge tone="good">答對</Badge> : <Badge tone="warn">答錯</Badge>}
+                        <span>
+                          答案：<ChemText text={formatCorrectAnswer(challengeQ)} /> · <ChemText text={challengeQ.explanation} />
+                        </span>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-2">
+                        <button
+                          className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                          type="button"
+                          onClick={shareChallenge}
+                          title="分享結果（不含答案），和同學比比看"
+                        >
+                          分享結果
+                        </button>
+                        <span className="text-white/45">明天（台北時間）換新題目，每個人的題目都一樣。</span>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mt-3 text-xs text-white/45">每天一題、全班同一題；第一次作答就算數。</div>
+                  )}
+                </div>
+              ) : null}
+
+              <div className="rounded-xl border border-white/10 bg-black/10 p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="text-xs tracking-widest text-white/50">STUDY</div>
+                  <div className="flex flex-wrap gap-2">
+                    <Badge tone={todayGoalMet ? 'good' : 'neutral'}>
+                      今天 {todayStudyMinutes}/{dailyGoal} 分鐘{todayGoalMet ? ' ✅' : ''}
+                    </Badge>
+                    <Badge tone={streak.current > 0 ? 'warn' : 'neutral'} title={`最長連續達標 ${streak.best} 天`}>
+                      連續達標 {streak.current} 天
+                    </Badge>
+                  </div>
+                </div>
+                <div className="mt-3 h-2 overflow-hidden rounded-full bg-white/10">
+                  <div
+                    className={cls('h-full rounded-full', todayGoalMet ? 'bg-emerald-400/70' : 'bg-cyan-400/60')}
+                    style={{ width: `${Math.min(100, Math.round((todayStudyMinutes / dailyGoal) * 100))}%` }}
+                  />
+                </div>
+                <div className="mt-4 grid grid-cols-7 gap-1 text-center">
+                  {recentDays.map((d) => (
+                    <div
+                      key={d.date}
+                      className="grid gap-1"
+                      title={`${formatDateKey(d.date)}：${d.minutes} 分鐘${d.planDays ? `，完成 ${d.planDays} 個 Day` : ''}`}
+                    >
+                      <div className="flex h-12 items-end justify-center">
+                        <div
+                          className={cls('w-4 rounded-t', d.met ? 'bg-emerald-400/70' : d.minutes ? 'bg-cyan-400/50' : 'bg-white/10')}
+                          style={{ height: `${Math.max(8, Math.min(100, Math.round((d.minutes / dailyGoal) * 100)))}%` }}
+                        />
+                      </div>
+                      <div className={cls('text-[10px]', d.date === todayKey ? 'text-white/80' : 'text-white/45')}>
+                        {formatDateKey(d.date).split('（')[0]}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 text-xs text-white/55">
+                  近 7 天共 {recentMinutes} 分鐘、達標 {recentDays.filter((d) => d.met).length} 天。只計算畫面開著且有在操作的時間（離開分頁或閒置 5
+                  分鐘就暫停）；每日目標跟著「每天可讀」設定，沒設定時是 {DEFAULT_DAILY_GOAL_MINUTES} 分鐘。
+                </div>
+              </div>
+
               {!storageWritable ? (
                 <div className="rounded-xl border border-amber-300/20 bg-amber-500/10 p-4">
                   <div className="text-xs tracking-widest text-amber-100/80">WARNING</div>
@@ -2556,6 +4501,34 @@ export default function App() {
                     </button>
                   )}
 
+                  {notebookSize > 0 ? (
+                    <button
+                      className={cls(
+                        'rounded-lg border px-4 py-2 text-sm hover:bg-white/10',
+                        notebookParts.due.length
+                          ? 'border-amber-300/20 bg-amber-500/10 text-amber-50'
+                          : 'border-white/10 bg-white/5 text-white/75'
+                      )}
+                      type="button"
+                      onClick={openMistakeNotebook}
+                      title="診斷/練習答錯的題目會依間隔重複排程再問一次"
+                    >
+                      錯題本{notebookParts.due.length ? `（${notebookParts.due.length} 題到期）` : ''}
+                    </button>
+                  ) : null}
+
+                  <button
+                    className={cls(
+                      'rounded-lg border px-4 py-2 text-sm hover:bg-white/10',
+                      mockRunning ? 'border-cyan-300/20 bg-cyan-500/10 text-cyan-50' : 'border-white/10 bg-white/5 text-white/75'
+                    )}
+                    type="button"
+                    onClick={openMock}
+                    title="每個技能點抽題、限時作答，交卷後看各技能點得分與每題用時"
+                  >
+                    {mockRunning ? '繼續模擬考（計時中）' : '模擬段考'}
+                  </button>
+
                   {!isStandalone && deferredInstallPrompt ? (
                     <button
                       className="rounded-lg border border-emerald-300/20 bg-emerald-500/10 px-4 py-2 text-sm text-emerald-50 hover:bg-emerald-500/15"
@@ -2597,7 +4570,7 @@ export default function App() {
                         className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
                         type="button"
                         onClick={exportShareSummary}
-                        title="把弱點 Top 3 + 7 日路徑摘要複製到剪貼簿（可分享給老師/同學）"
+                        title="把弱點 Top 3 + 路徑摘要複製到剪貼簿（可分享給老師/同學）"
                       >
                         匯出摘要
                       </button>
@@ -2643,7 +4616,7 @@ export default function App() {
               </div>
 
               <div className="rounded-xl border border-white/10 bg-black/10 p-4 text-sm text-white/65">
-                MVP 註：目前題庫是示範（{SKILLS.length} 個技能點、診斷共 {allQuestions.length} 題）。接下來會擴到 12 個技能點、至少 145 題（25 診斷 + 120 補洞）。
+                MVP 註：目前題庫是示範（{SKILLS.length} 個技能點、完整診斷共 {fullDiagnostic.length} 題；自適應診斷每個技能點答 2–4 題就停）。接下來會擴到 12 個技能點、至少 145 題（25 診斷 + 120 補洞）。
               </div>
             </div>
           ) : null}
@@ -2654,7 +4627,8 @@ export default function App() {
               <div className="grid gap-2">
                 <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-white/55">
                   <span>
-                    題目 {diagIndex + 1} / {allQuestions.length} · 已作答 {answeredCount} / {allQuestions.length}（{answeredPct}%）
+                    題目 {diagIndex + 1} / {adaptive ? `約 ${diagTotal}` : diagQuestions.length} · 已作答 {answeredCount} /{' '}
+                    {adaptive ? `約 ${diagTotal}` : diagQuestions.length}（{answeredPct}%）
                     {unansweredCount > 0 ? ` · 未答 ${unansweredCount}` : ''}
                   </span>
 
@@ -2693,6 +4667,18 @@ export default function App() {
                       自動下一題：{autoNext ? '開' : '關'}
                     </button>
 
+                    <button
+                      className={cls(
+                        'rounded-lg border px-3 py-1.5 text-xs hover:bg-white/10',
+                        adaptive ? 'border-cyan-300/30 bg-cyan-500/10 text-cyan-50' : 'border-white/10 bg-white/5 text-white/75'
+                      )}
+                      type="button"
+                      onClick={switchDiagMode}
+                      title="自適應：每個技能點答到有把握就停（共約 12–24 題）；完整：每題都做"
+                    >
+                      診斷模式：{adaptive ? '自適應' : '完整'}
+                    </button>
+
                     <button
                       className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                       type="button"
@@ -2743,7 +4729,18 @@ export default function App() {
                   <span>技能點：</span>
                   <Badge tone="info">{SKILLS.find((s) => s.id === currentQ?.skillId)?.name || currentQ?.skillId || '—'}</Badge>
                 </div>
-                <div className="text-sm font-semibold text-white/90">{currentQ?.stem}</div>
+                <div className="text-sm font-semibold text-white/90"><ChemText text={currentQ?.stem} /></div>
+                {currentQ ? (
+                  <ConfidencePicker
+                    value={
+                      answers[currentQ.id] !== undefined
+                        ? savedConfidence.diagnostic[currentQ.id] ?? confidencePicks[currentQ.id]
+                        : confidencePicks[currentQ.id]
+                    }
+                    disabled={answers[currentQ.id] !== undefined}
+                    onChange={(level) => pickConfidence(currentQ.id, level)}
+                  />
+                ) : null}
                 <div className="mt-3 grid gap-2">
                   {(currentQ?.choices || []).map((c, idx) => {
                     const chosen = answers[currentQ.id] === idx;
@@ -2762,11 +4759,19 @@ export default function App() {
                         aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
                         onClick={() => chooseDiagnosticAnswer(currentQ.id, idx, diagIndex)}
                       >
-                        {String.fromCharCode(65 + idx)}. {c}
+                        {String.fromCharCode(65 + idx)}. <ChemText text={c} />
                       </button>
                     );
                   })}
                 </div>
+                {currentQ?.kind && currentQ.kind !== 'mc' ? (
+                  <AnswerInput
+                    key={`${currentQ.id}_${answers[currentQ.id] ?? ''}`}
+                    q={currentQ}
+                    value={answers[currentQ.id]}
+                    onSubmit={(v) => chooseDiagnosticAnswer(currentQ.id, v, diagIndex)}
+                  />
+                ) : null}
 
                 <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
                   <button
@@ -2802,12 +4807,12 @@ export default function App() {
                       </button>
                     ) : null}
 
-                    {diagIndex < allQuestions.length - 1 ? (
+                    {diagIndex < diagQuestions.length - 1 ? (
                       <button
                         className="rounded-lg border border-white/10 bg-cyan-500/15 px-4 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20 focus:outline-none focus:ring-2 focus:ring-cyan-400/40 disabled:opacity-50"
                         type="button"
                         disabled={answers[currentQ.id] === undefined}
-                        onClick={() => setDiagIndex((i) => Math.min(allQuestions.length - 1, i + 1))}
+                        onClick={() => setDiagIndex((i) => Math.min(diagQuestions.length - 1, i + 1))}
                       >
                         下一題
                       </button>
@@ -2825,7 +4830,7 @@ export default function App() {
               </div>
 
               <div className="rounded-xl border border-white/10 bg-black/10 p-4 text-xs text-white/55">
-                設計目標：診斷題要能定位「技能點弱項」。MVP 先用每技能點 2 題做示範。小技巧：可用 1–4 或 A–D 作答、←/→ 換題、Enter 下一題、C 清除本題、J 跳到未答、Esc 退出。
+                設計目標：診斷題要能定位「技能點弱項」。自適應模式會依你的作答挑下一題的難度，某技能點連對或連錯就提早結束。小技巧：可用 1–4 或 A–D 作答、←/→ 換題、Enter 下一題、C 清除本題、J 跳到未答、Esc 退出。
               </div>
             </div>
           ) : null}
@@ -2845,10 +4850,14 @@ export default function App() {
                             <div className="text-sm font-semibold text-white/90">{s?.name}</div>
                             <div className="mt-1 text-xs text-white/55">{s?.blurb}</div>
                             <div className="mt-2 text-xs text-white/55">
-                              {w.answered > 0 ? `答對 ${w.correct}/${w.answered}（共 ${w.total} 題）` : `尚未作答（共 ${w.total} 題）`}
+                              {w.answered > 0 ? `診斷答對 ${w.correct}/${w.answered}（共 ${w.total} 題）` : `尚未作答（共 ${w.total} 題）`}
+                              {` · 掌握度可能落在 ${w.low}–${w.high}%`}
                             </div>
                           </div>
-                          <Badge>{w.mastery}%</Badge>
+                          <div className="flex flex-col items-end gap-1">
+                            <Badge>{w.mastery}%</Badge>
+                            {w.confidentlyWrong > 0 ? <Badge tone="warn">自信答錯 {w.confidentlyWrong}</Badge> : null}
+                          </div>
                         </div>
                       </div>
                     );
@@ -2857,7 +4866,9 @@ export default function App() {
 
                 <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
                   <div>
-                    <div className="text-sm text-white/70">7 日補洞路徑（示範）：第 1 天從最弱技能點開始。</div>
+                    <div className="text-sm text-white/70">
+                      {plan.length || DEFAULT_PLAN_DAYS} 日補洞路徑：從最弱技能點開始，但沒掌握的先修技能點會先補。
+                    </div>
                     {plan.length > 0 ? (
                       <div className="mt-1 grid gap-2">
                         <div className="text-xs text-white/55">
@@ -2892,11 +4903,59 @@ export default function App() {
                       </button>
                     ) : null}
 
+                    <button
+                      className={cls(
+                        'rounded-lg border px-4 py-2 text-sm hover:bg-white/10',
+                        notebookParts.due.length
+                          ? 'border-amber-300/20 bg-amber-500/10 text-amber-50'
+                          : 'border-white/10 bg-white/5 text-white/75'
+                      )}
+                      type="button"
+                      onClick={openMistakeNotebook}
+                      title="診斷/練習答錯的題目會依間隔重複排程再問一次"
+                    >
+                      錯題本{notebookParts.due.length ? `（${notebookParts.due.length} 題到期）` : ''}
+                    </button>
+
+                    {planComplete || retest ? (
+                      <button
+                        className="rounded-lg border border-emerald-300/20 bg-emerald-500/10 px-4 py-2 text-sm text-emerald-50 hover:bg-emerald-500/15"
+                        type="button"
+                        onClick={openRetest}
+                        title="從練習題庫抽沒做過的題目，比較診斷與回測的前後變化"
+                      >
+                        {retest?.submittedAt ? '看回測結果' : retest ? '繼續回測' : '開始回測'}
+                      </button>
+                    ) : null}
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={openMock}
+                      title="每個技能點抽題、限時作答，交卷後看各技能點得分與每題用時"
+                    >
+                      {mockRunning ? '繼續模擬考（計時中）' : '模擬段考'}
+                    </button>
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10 disabled:opacity-40"
+                      type="button"
+                      onClick={openMixed}
+                      disabled={!mixedSkills.length && !mixedUnfinished}
+                      title={
+                        mixedSkills.length
+                          ? '把已完成的技能點混在一起複習，越弱、越久沒碰的技能點題目越多'
+                          : '先完成路徑中至少一天，才有技能點可以混合複習'
+                      }
+                    >
+                      {mixedUnfinished ? '繼續混合複習' : '混合複習'}
+                    </button>
+
                     <button
                       className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
                       type="button"
                       onClick={regeneratePlan}
-                      title="用目前的診斷結果重新產生 7 日路徑（會重置路徑進度）"
+                      title="用目前的診斷結果和計畫設定重新產生路徑（會重置路徑進度）"
                     >
                       重新產生路徑
                     </button>
@@ -2914,7 +4973,7 @@ export default function App() {
                       className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
                       type="button"
                       onClick={exportShareSummary}
-                      title="把弱點 Top 3 + 7 日路徑摘要複製到剪貼簿（可分享給老師/同學）"
+                      title="把弱點 Top 3 + 路徑摘要複製到剪貼簿（可分享給老師/同學）"
                     >
                       匯出摘要
                     </button>
@@ -2928,6 +4987,15 @@ export default function App() {
                       匯出進度
                     </button>
 
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={exportCalendar}
+                      title="把每天的任務匯出成 .ics 行事曆檔（可加入 Google/Apple 行事曆，點活動可直接打開那天）"
+                    >
+                      匯出行事曆
+                    </button>
+
                     <button
                       className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
                       type="button"
@@ -2957,146 +5025,1452 @@ export default function App() {
                 </div>
               </div>
 
-              <div className="rounded-xl border border-white/10 bg-black/10 p-4">
-                <div className="text-xs tracking-widest text-white/50">PLAN</div>
-                <div className="mt-2 grid gap-2">
-                  {plan.map((sid, idx) => {
-                    const s = SKILLS.find((x) => x.id === sid);
-                    const isToday = idx === dayIndex;
-                    const p = dayProgress?.[idx] || {};
-                    const done = Boolean(p.conceptDone && p.practiceDone);
-                    return (
-                      <button
-                        key={`${sid}_${idx}`}
-                        type="button"
-                        className={cls(
-                          'w-full text-left rounded-xl border p-3 text-sm hover:bg-white/5 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
-                          isToday
-                            ? 'border-cyan-300/30 bg-cyan-500/10 text-cyan-50'
-                            : done
-                              ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50'
-                              : 'border-white/10 bg-black/10 text-white/75'
-                        )}
-                        onClick={() => {
-                          setDayIndex(idx);
-                          setView('task');
-                        }}
-                        aria-label={`前往 Day ${idx + 1}: ${s?.name || sid}`}
-                      >
-                        <div className="flex items-center justify-between gap-3">
-                          <div>
-                            Day {idx + 1}: {s?.name || sid}
-                          </div>
-                          {done ? <Badge tone="good">已完成</Badge> : isToday ? <Badge tone="info">今天</Badge> : <Badge>未開始</Badge>}
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">PREREQUISITES</div>
+                <div className="mt-2 text-base font-semibold text-white/90">技能點地圖</div>
+                <div className="mt-3 flex flex-col gap-2 sm:flex-row sm:items-stretch">
+                  {SKILL_LAYERS.map((layer, li) => (
+                    <div key={li} className="flex flex-col gap-2 sm:flex-1 sm:flex-row sm:items-center">
+                      {li > 0 ? (
+                        <div className="text-center text-white/35" aria-hidden="true">
+                          <span className="sm:hidden">↓</span>
+                          <span className="hidden sm:inline">→</span>
                         </div>
-                        <div className="mt-1 text-xs text-white/45">點一下可直接進入該天任務</div>
-                      </button>
-                    );
-                  })}
+                      ) : null}
+                      <div className="grid flex-1 content-start gap-2">
+                        {layer.map((sid) => {
+                          const s = SKILLS.find((x) => x.id === sid);
+                          const v = perSkill[sid];
+                          const mastered = (v?.mastery ?? 0) >= PREREQ_MASTERED;
+                          const day = plan.indexOf(sid);
+                          const pres = (s?.prerequisites || []).map((pre) => SKILLS.find((x) => x.id === pre)).filter(Boolean);
+                          return (
+                            <div
+                              key={sid}
+                              className={cls(
+                                'rounded-xl border p-3 text-xs',
+                                mastered ? 'border-emerald-300/20 bg-emerald-500/10' : 'border-white/10 bg-black/10'
+                              )}
+                            >
+                              <div className="flex items-start justify-between gap-2">
+                                <div className="text-sm text-white/85">{s?.name || sid}</div>
+                                <Badge tone={mastered ? 'good' : 'neutral'}>{v?.mastery ?? 0}%</Badge>
+                              </div>
+                              {pres.length ? (
+                                <div className="mt-1 text-white/50">
+                                  先修：
+                                  {pres.map((pre, k) => (
+                                    <span
+                                      key={pre.id}
+                                      className={(perSkill[pre.id]?.mastery ?? 0) >= PREREQ_MASTERED ? 'text-white/50' : 'text-amber-200/90'}
+                                    >
+                                      {k > 0 ? '、' : ''}
+                                      {pre.name}
+                                    </span>
+                                  ))}
+                                </div>
+                              ) : (
+                                <div className="mt-1 text-white/40">基礎技能點</div>
+                              )}
+                              {day >= 0 ? <div className="mt-1 text-cyan-100/70">路徑 Day {day + 1}</div> : null}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="mt-3 text-xs text-white/45">
+                  箭頭由先修指向後續。掌握度未達 {PREREQ_MASTERED}% 的先修（黃字）會排在依賴它的技能點之前。
                 </div>
               </div>
-            </div>
-          ) : null}
 
-          {view === 'task' ? (
-            <div className="grid gap-4">
-              <div className="flex items-center justify-between gap-3">
-                <div>
-                  <div className="text-xs tracking-widest text-white/50">TODAY</div>
-                  <div className="mt-1 flex flex-wrap items-center gap-2">
-                    <div className="text-base font-semibold text-white/90">Day {dayIndex + 1}: {currentSkill?.name || '—'}</div>
-                    {todayDone ? <Badge tone="good">今日完成</Badge> : <Badge tone="warn">未完成</Badge>}
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">CALIBRATION</div>
+                <div className="mt-2 text-base font-semibold text-white/90">把握度校準</div>
+                {calibration.rated > 0 ? (
+                  <>
+                    <div className="mt-3 grid gap-2 sm:grid-cols-3">
+                      {CONFIDENCE_LEVELS.map((c) => {
+                        const { right, wrong } = calibration.levels[c];
+                        const n = right + wrong;
+                        return (
+                          <div key={c} className="rounded-xl border border-white/10 bg-black/10 p-3 text-xs text-white/60">
+                            <div className="text-sm text-white/85">{CONFIDENCE_LABELS[c]}</div>
+                            <div className="mt-1">{n > 0 ? `答對率 ${Math.round((right / n) * 100)}%（${right}/${n}）` : '尚無作答'}</div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                    {Object.values(calibration.confidentlyWrong).some((n) => n > 0) ? (
+                      <div className="mt-3 rounded-xl border border-amber-300/20 bg-amber-500/10 p-3 text-xs text-amber-50/90">
+                        <div className="font-semibold">優先處理：自信答錯的技能點</div>
+                        <div className="mt-1 text-amber-50/75">
+                          選了「確定」卻答錯，代表可能有根深蒂固的錯誤觀念，比「知道自己不會」更需要先修正；路徑會把它們排在最前面。
+                        </div>
+                        <div className="mt-2 flex flex-wrap gap-1">
+                          {SKILLS.filter((s) => calibration.confidentlyWrong[s.id] > 0).map((s) => (
+                            <Badge key={s.id} tone="warn">
+                              {s.name} × {calibration.confidentlyWrong[s.id]}
+                            </Badge>
+                          ))}
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="mt-3 text-xs text-white/55">目前沒有「確定卻答錯」的題目。</div>
+                    )}
+                  </>
+                ) : (
+                  <div className="mt-2 text-xs text-white/55">
+                    作答時可以順手選「確定／有點把握／猜的」，這裡就會比對你的把握度和實際答對率，找出自信答錯的技能點。
                   </div>
-                  <div className="mt-1 text-sm text-white/65">{currentSkill?.blurb}</div>
+                )}
+              </div>
 
-                  <div className="mt-3 flex flex-wrap gap-2">
-                    <button
-                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
-                      type="button"
-                      onClick={() => document.getElementById('concept')?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' })}
-                    >
-                      跳到概念
-                    </button>
-                    <button
-                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
-                      type="button"
-                      onClick={() => document.getElementById('practice')?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' })}
-                    >
-                      跳到練習
-                    </button>
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">WRONG REASONS</div>
+                <div className="mt-2 text-base font-semibold text-white/90">錯因分析</div>
+                {wrongReasonReport.length > 0 ? (
+                  <div className="mt-3 grid gap-2">
+                    {wrongReasonReport.slice(0, 6).map((r) => {
+                      const skillIds = Object.keys(r.bySkill);
+                      return (
+                        <div key={r.tag} className="rounded-xl border border-white/10 bg-black/10 p-3">
+                          <div className="flex items-center justify-between gap-3">
+                            <div className="text-sm text-white/85">
+                              {wrongReasonName(r.tag)}
+                              <span className="ml-2 text-xs text-white/45">
+                                {getWrongReasonCategory(getWrongReason(r.tag)?.category)?.name || ''}
+                              </span>
+                            </div>
+                            <div className="flex items-center gap-1">
+                              {skillIds.length > 1 ? <Badge tone="warn">跨 {skillIds.length} 個技能點</Badge> : null}
+                              <Badge>{r.count} 題</Badge>
+                            </div>
+                          </div>
+                          <div className="mt-1 flex flex-wrap items-center justify-between gap-2 text-xs text-white/55">
+                            <span>
+                              {SKILLS.filter((sk) => r.bySkill[sk.id])
+                                .map((sk) => `${sk.name} ${r.bySkill[sk.id]}`)
+                                .join('、')}
+                            </span>
+                            {getWrongReason(r.tag) ? (
+                              <button
+                                type="button"
+                                className="text-cyan-200/80 underline decoration-cyan-200/30 underline-offset-2 hover:text-cyan-100"
+                                onClick={() => openLesson(r.tag)}
+                              >
+                                補這個錯因 →
+                              </button>
+                            ) : null}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    <div className="text-xs text-white/45">
+                      同一個錯因出現在多個技能點時，問題多半不在單一單元，而是共用的基本功（例如科學記號），值得先單獨補強。
+                    </div>
+                  </div>
+                ) : (
+                  <div className="mt-2 text-xs text-white/55">
+                    練習或錯題本答錯時，點選「你錯在哪？」的錯因標籤，這裡就會跨技能點統計你最常犯的錯。
+                  </div>
+                )}
+              </div>
 
-                    <button
-                      className={cls(
-                        'rounded-lg border px-3 py-1.5 text-xs hover:bg-white/10',
-                        todayDone ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50' : 'border-white/10 bg-white/5 text-white/75'
-                      )}
-                      type="button"
-                      onClick={() =>
-                        setDayProgress((p) => ({
-                          ...p,
-                          [dayIndex]: {
-                            ...(p?.[dayIndex] || {}),
-                            conceptDone: !todayDone,
-                            practiceDone: !todayDone
-                          }
-                        }))
+              {reflowPreviews ? (
+                <div className="rounded-2xl border border-amber-300/20 bg-amber-500/10 p-5">
+                  <div className="text-xs tracking-widest text-amber-100/80">BEHIND</div>
+                  <div className="mt-2 text-base font-semibold text-amber-50">落後 {missedDays.length} 天</div>
+                  <div className="mt-1 text-sm text-amber-50/80">
+                    {missedDays
+                      .map((i) => `Day ${i + 1}（${formatDateKey(planDayDates[i])}）`)
+                      .join('、')}{' '}
+                    過了預定日期還沒完成。要怎麼重排剩下的路徑？
+                  </div>
+                  <div className="mt-3 grid gap-2 sm:grid-cols-3">
+                    {[
+                      {
+                        mode: 'compress',
+                        label: '壓縮',
+                        hint: `結束日維持 ${formatDateKey(reflowPreviews.compress.end)}${
+                          reflowPreviews.compress.maxPerDay > 1 ? `，有些天要做 ${reflowPreviews.compress.maxPerDay} 天份` : ''
+                        }`
+                      },
+                      {
+                        mode: 'extend',
+                        label: '順延',
+                        hint: `每天一份，結束日改到 ${formatDateKey(reflowPreviews.extend.end)}`
+                      },
+                      {
+                        mode: 'merge',
+                        label: '合併',
+                        hint: `錯過的技能點後面還會再練就併過去（少 ${plan.length - reflowPreviews.merge.plan.length} 天），結束日 ${formatDateKey(
+                          reflowPreviews.merge.end
+                        )}`
                       }
-                      title={todayDone ? '把今天標記回未完成' : '一鍵把概念與練習都標記為已完成'}
-                    >
-                      {todayDone ? '取消今日完成' : '一鍵完成今日'}
-                    </button>
-
-                    <button
-                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
-                      type="button"
-                      onClick={() => {
-                        const ok = window.confirm('要重置「今天」的進度嗎？（會把概念/練習標記清掉，並把本日練習題答案改回未顯示）');
-                        if (!ok) return;
-
-                        setDayProgress((p) => ({
-                          ...p,
-                          [dayIndex]: { ...(p?.[dayIndex] || {}), conceptDone: false, practiceDone: false }
-                        }));
-
-                        setRevealed((p) => {
-                          const next = { ...(p || {}) };
-                          for (const q of practiceQs) next[q.id] = false;
-                          return next;
-                        });
-                      }}
-                      title="重置今天的概念/練習完成狀態，並把本日練習題答案全部改回未顯示"
-                    >
-                      重置今日
-                    </button>
-
-                    {nextIncompleteDay !== null && nextIncompleteDay !== dayIndex ? (
+                    ].map((x) => (
                       <button
-                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                        key={x.mode}
+                        className="rounded-xl border border-amber-300/20 bg-black/10 p-3 text-left text-sm text-amber-50 hover:bg-black/20"
                         type="button"
-                        onClick={() => setDayIndex(nextIncompleteDay)}
-                        title="跳到下一個未完成的 Day"
+                        onClick={() => applyReflow(x.mode)}
                       >
-                        下一個未完成
+                        <div className="font-semibold">{x.label}</div>
+                        <div className="mt-1 text-xs text-amber-50/70">{x.hint}</div>
                       </button>
-                    ) : null}
+                    ))}
+                  </div>
+                  {examDaysLeft !== null && examDaysLeft >= 1 && reflowPreviews.extend.end >= planSettings.examDate ? (
+                    <div className="mt-2 text-xs text-amber-50/70">注意：順延會排到考試當天之後，建議選壓縮或合併。</div>
+                  ) : null}
+                </div>
+              ) : null}
 
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">PLAN SETTINGS</div>
+                <div className="mt-2 text-base font-semibold text-white/90">考試倒數</div>
+                <div className="mt-3 grid gap-3 sm:grid-cols-3">
+                  <label className="grid gap-1 text-xs text-white/60">
+                    考試名稱
+                    <input
+                      className="rounded-lg border border-white/10 bg-black/20 px-3 py-2 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                      type="text"
+                      maxLength={20}
+                      placeholder="段考、學測…"
+                      value={planSettings.examLabel}
+                      onChange={(e) => setPlanSettings((p) => ({ ...p, examLabel: e.target.value }))}
+                    />
+                  </label>
+                  <label className="grid gap-1 text-xs text-white/60">
+                    考試日期
+                    <input
+                      className="rounded-lg border border-white/10 bg-black/20 px-3 py-2 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                      type="date"
+                      value={planSettings.examDate || ''}
+                      onChange={(e) => setPlanSettings((p) => sanitizePlanSettings({ ...p, examDate: e.target.value }))}
+                    />
+                  </label>
+                  <label className="grid gap-1 text-xs text-white/60">
+                    每天可讀
+                    <select
+                      className="rounded-lg border border-white/10 bg-black/20 px-3 py-2 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                      value={planSettings.minutesPerDay || ''}
+                      onChange={(e) => setPlanSettings((p) => sanitizePlanSettings({ ...p, minutesPerDay: e.target.value }))}
+                    >
+                      <option value="">不限</option>
+                      {MINUTES_PER_DAY_OPTIONS.map((m) => (
+                        <option key={m} value={m}>
+                          {m} 分鐘
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-xs text-white/55">
+                  <span>
+                    {examDaysLeft === null
+                      ? `沒有設定考試日期：路徑固定 ${DEFAULT_PLAN_DAYS} 天。`
+                      : examDaysLeft >= 1
+                        ? `距離${planSettings.examLabel || '考試'}還有 ${examDaysLeft} 天：路徑會排到考前一天，越弱的技能點天數越多，最後留複習日。`
+                        : '考試日期已到或已過，先改成之後的日期。'}
+                    {quota ? ` 每天約 ${quota} 題練習。` : ''}
+                  </span>
+                  {plan.length > 0 ? (
                     <button
                       className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                       type="button"
-                      onClick={exportShareSummary}
-                      title="把弱點 Top 3 + 7 日路徑摘要複製到剪貼簿（可分享給老師/同學）"
+                      onClick={regeneratePlan}
                     >
-                      匯出摘要
+                      套用並重新產生路徑
                     </button>
+                  ) : null}
+                </div>
+              </div>
 
-                    <button
-                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">REMINDERS</div>
+                <div className="mt-2 text-base font-semibold text-white/90">每日提醒</div>
+                <div className="mt-3 flex flex-wrap items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-white/75">
+                    <input
+                      type="checkbox"
+                      checked={reminders.enabled}
+                      onChange={(e) => {
+                        setRemindersEnabled(e.target.checked);
+                      }}
+                    />
+                    今天的任務沒做完就提醒我
+                  </label>
+                  <label className="flex items-center gap-2 text-xs text-white/60">
+                    時間（台北）
+                    <input
+                      className="rounded-lg border border-white/10 bg-black/20 px-3 py-2 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40 disabled:opacity-40"
+                      type="time"
+                      disabled={!reminders.enabled}
+                      value={reminders.time}
+                      onChange={(e) => setReminders((r) => sanitizeReminderSettings({ ...r, time: e.target.value }))}
+                    />
+                  </label>
+                </div>
+                {reminders.enabled ? (
+                  <div className="mt-3 text-xs text-white/55">
+                    {notifyPermission === 'granted'
+                      ? '已開啟通知：支援的瀏覽器（建議先安裝 App）會在時間到時跳通知，點通知直接打開下一個未完成的 Day；其他情況會在你打開 App 時提醒。'
+                      : notifyPermission === 'denied'
+                        ? '通知權限被封鎖：只會在你打開 App 時提醒。要收到通知，請到瀏覽器的網站設定允許通知。'
+                        : '這個瀏覽器不支援通知（或還沒允許）：會在你打開 App 時提醒。'}
+                  </div>
+                ) : null}
+              </div>
+
+              <div className="rounded-xl border border-white/10 bg-black/10 p-4">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-xs tracking-widest text-white/50">PLAN</div>
+                  <div className="flex items-center gap-2">
+                    {planEditing ? (
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10 disabled:opacity-40"
+                        type="button"
+                        disabled={!planUndo.length}
+                        onClick={undoPlanEdit}
+                      >
+                        復原{planUndo.length ? `（${planUndo.length}）` : ''}
+                      </button>
+                    ) : null}
+                    {plan.length > 0 ? (
+                      <button
+                        className={cls(
+                          'rounded-lg border px-3 py-1.5 text-xs',
+                          planEditing
+                            ? 'border-cyan-300/30 bg-cyan-500/15 text-cyan-50 hover:bg-cyan-500/20'
+                            : 'border-white/10 bg-white/5 text-white/75 hover:bg-white/10'
+                        )}
+                        type="button"
+                        onClick={togglePlanEditing}
+                      >
+                        {planEditing ? '完成編輯' : '編輯路徑'}
+                      </button>
+                    ) : null}
+                  </div>
+                </div>
+                {planEditing ? (
+                  <div className="mt-2 grid gap-2">
+                    <div className="text-xs text-white/45">
+                      拖曳或用 ↑↓ 調整順序，下拉選單換技能點，＋ 在後面插入一天，✕ 刪除。日期跟著位置走，進度跟著那一天走。
+                    </div>
+                    {plan.map((sid, idx) => {
+                      const date = planDayDates[idx];
+                      const done = isDayDone(dayProgress?.[idx]);
+                      return (
+                        <div
+                          key={`${sid}_${idx}`}
+                          draggable
+                          onDragStart={(e) => {
+                            // Firefox doesn't start a drag without data.
+                            try {
+                              e.dataTransfer.setData('text/plain', String(idx));
+                              e.dataTransfer.effectAllowed = 'move';
+                            } catch {
+                              // ignore
+                            }
+                            setDragDay(idx);
+                          }}
+                          onDragEnd={() => setDragDay(null)}
+                          onDragOver={(e) => {
+                            if (dragDay !== null) e.preventDefault();
+                          }}
+                          onDrop={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            if (dragDay !== null && dragDay !== idx) editPlanDays({ type: 'move', from: dragDay, to: idx });
+                            setDragDay(null);
+                          }}
+                          className={cls(
+                            'flex flex-wrap items-center gap-2 rounded-xl border p-2 text-sm',
+                            dragDay === idx ? 'border-cyan-300/30 bg-cyan-500/10' : 'border-white/10 bg-black/10',
+                            done ? 'text-emerald-50' : 'text-white/80'
+                          )}
+                        >
+                          <span className="cursor-grab select-none px-1 text-white/40" aria-hidden="true">
+                            ⋮⋮
+                          </span>
+                          <span className="w-28 text-xs text-white/55">
+                            Day {idx + 1}
+                            {date ? ` · ${formatDateKey(date)}` : ''}
+                          </span>
+                          <select
+                            className="min-w-0 flex-1 rounded-lg border border-white/10 bg-black/20 px-2 py-1 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                            value={sid}
+                            aria-label={`Day ${idx + 1} 的技能點`}
+                            onChange={(e) => editPlanDays({ type: 'replace', index: idx, skillId: e.target.value })}
+                          >
+                            {SKILLS.map((sk) => (
+                              <option key={sk.id} value={sk.id}>
+                                {sk.name}
+                              </option>
+                            ))}
+                            <option value={REVIEW_DAY}>複習日</option>
+                          </select>
+                          {done ? <Badge tone="good">已完成</Badge> : null}
+                          <div className="flex items-center gap-1">
+                            {[
+                              { label: '↑', title: '往前移', disabled: idx === 0, op: { type: 'move', from: idx, to: idx - 1 } },
+                              {
+                                label: '↓',
+                                title: '往後移',
+                                disabled: idx === plan.length - 1,
+                                op: { type: 'move', from: idx, to: idx + 1 }
+                              },
+                              { label: '＋', title: '在後面插入一天（同一個技能點）', op: { type: 'insert', index: idx + 1, skillId: sid } },
+                              { label: '✕', title: '刪除這一天', disabled: plan.length <= 1, op: { type: 'delete', index: idx } }
+                            ].map((b) => (
+                              <button
+                                key={b.label}
+                                className="rounded-md border border-white/10 bg-white/5 px-2 py-1 text-xs text-white/75 hover:bg-white/10 disabled:opacity-30"
+                                type="button"
+                                title={b.title}
+                                aria-label={`Day ${idx + 1}：${b.title}`}
+                                disabled={b.disabled}
+                                onClick={() => editPlanDays(b.op)}
+                              >
+                                {b.label}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <div className="mt-2 grid gap-2">
+                    {plan.map((sid, idx) => {
+                      const name = planDayName(sid);
+                      const date = planDayDates[idx];
+                      const isToday = idx === dayIndex;
+                      const p = dayProgress?.[idx] || {};
+                      const done = Boolean(p.conceptDone && p.practiceDone);
+                      return (
+                        <button
+                          key={`${sid}_${idx}`}
+                          type="button"
+                          className={cls(
+                            'w-full text-left rounded-xl border p-3 text-sm hover:bg-white/5 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                            isToday
+                              ? 'border-cyan-300/30 bg-cyan-500/10 text-cyan-50'
+                              : done
+                                ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50'
+                                : 'border-white/10 bg-black/10 text-white/75'
+                          )}
+                          onClick={() => {
+                            setDayIndex(idx);
+                            setView('task');
+                          }}
+                          aria-label={`前往 Day ${idx + 1}: ${name}`}
+                        >
+                          <div className="flex items-center justify-between gap-3">
+                            <div>
+                              Day {idx + 1}
+                              {date ? <span className="text-white/50"> · {formatDateKey(date)}</span> : null}: {name}
+                            </div>
+                            {done ? (
+                              <Badge tone="good">
+                                {p.completedAt ? `${formatDateKey(taipeiDateKey(new Date(p.completedAt)))} 完成` : '已完成'}
+                              </Badge>
+                            ) : missedDays.includes(idx) ? (
+                              <Badge tone="warn">錯過</Badge>
+                            ) : isToday ? (
+                              <Badge tone="info">今天</Badge>
+                            ) : (
+                              <Badge>未開始</Badge>
+                            )}
+                          </div>
+                          <div className="mt-1 text-xs text-white/45">點一下可直接進入該天任務</div>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              {planChanges.length > 0 ? (
+                <div className="rounded-xl border border-white/10 bg-black/10 p-4">
+                  <div className="text-xs tracking-widest text-white/50">ADJUSTMENTS</div>
+                  <div className="mt-1 text-xs text-white/55">
+                    每完成一天，還沒開始的天數會依掌握度重排：已達 {PREREQ_MASTERED}% 的技能點拿掉，還沒達到又沒排到的補一天。
+                  </div>
+                  <div className="mt-3 grid gap-2">
+                    {[...planChanges].reverse().map((c) => (
+                      <div key={c.at} className="rounded-lg border border-white/10 bg-black/10 p-3 text-xs text-white/70">
+                        <div className="text-white/50">
+                          Day {c.day} 完成後（台北 {formatLocalTime(c.at)}）
+                        </div>
+                        <ul className="mt-1 grid gap-0.5">
+                          {c.items.map((x, k) => {
+                            const when = x.date ? `${formatDateKey(x.date)} ` : '';
+                            return (
+                              <li key={k}>
+                                {x.kind === 'dropped'
+                                  ? `拿掉 ${when}${planDayName(x.skillId)}（已掌握）`
+                                  : x.kind === 'replaced'
+                                    ? `${when}${planDayName(x.from)} → ${planDayName(x.skillId)}`
+                                    : `新增 ${when}${planDayName(x.skillId)}（還沒掌握）`}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
+          {view === 'lesson' && getWrongReason(lesson?.tagId) ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">MINI-LESSON</div>
+                  <div className="mt-1 text-base font-semibold text-white/90">補錯因：{wrongReasonName(lesson.tagId)}</div>
+                  <div className="mt-1 text-xs text-white/55">
+                    {getWrongReasonCategory(getWrongReason(lesson.tagId).category)?.name}
+                  </div>
+                </div>
+                <button
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                  type="button"
+                  onClick={() => setView(lesson.returnView || 'home')}
+                >
+                  返回
+                </button>
+              </div>
+
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5 text-sm text-white/80">
+                <ChemText text={getWrongReason(lesson.tagId).lesson.explanation} />
+              </div>
+
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">DRILLS</div>
+                <div className="mt-3 grid gap-2">
+                  {getWrongReason(lesson.tagId).lesson.drills.map((q, k) => {
+                    const res = lessonAnswers?.[q.id] || null;
+                    return (
+                      <div key={q.id} className="rounded-xl border border-white/10 bg-black/10 p-4">
+                        <div className="flex items-center justify-between gap-2">
+                          <div className="text-sm text-white/90">
+                            {k + 1}. <ChemText text={q.stem} />
+                          </div>
+                          {res ? <Badge tone={res.correct ? 'good' : 'warn'}>{res.correct ? '答對' : '答錯'}</Badge> : null}
+                        </div>
+                        {Array.isArray(q?.choices) && q.choices.length > 0 ? (
+                          <div className="mt-2 grid gap-1 text-xs text-white/70">
+                            {q.choices.map((c, idx) => {
+                              const isCorrect = idx === q.answer;
+                              const isChosen = res?.choice === idx;
+                              return (
+                                <button
+                                  key={`${q.id}_l_${idx}`}
+                                  type="button"
+                                  disabled={Boolean(res)}
+                                  className={cls(
+                                    'w-full text-left rounded-lg border px-3 py-2',
+                                    'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                    res && isCorrect
+                                      ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
+                                      : res && isChosen
+                                        ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                        : res
+                                          ? 'border-white/10 text-white/60'
+                                          : 'border-white/10 text-white/80 hover:bg-black/20'
+                                  )}
+                                  aria-pressed={isChosen}
+                                  aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                                  onClick={() => answerLessonDrill(q, idx)}
+                                >
+                                  <span className="mr-1 text-white/60">{String.fromCharCode(65 + idx)}.</span>
+                                  <ChemText text={c} />
+                                </button>
+                              );
+                            })}
+                          </div>
+                        ) : null}
+                        {q.kind && q.kind !== 'mc' ? (
+                          <AnswerInput
+                            key={`${q.id}_${res?.choice ?? ''}`}
+                            q={q}
+                            value={res?.choice}
+                            disabled={Boolean(res)}
+                            graded
+                            onSubmit={(v) => answerLessonDrill(q, v)}
+                          />
+                        ) : null}
+                        {res ? (
+                          <div className="mt-2 text-xs text-white/55">
+                            答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
+                          </div>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-xs text-white/45">
+                  <span>小練習只用來熟悉這個錯因，不會計入掌握度。</span>
+                  <button
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                    type="button"
+                    onClick={() => setLessonAnswers({})}
+                  >
+                    再做一次
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {view === 'review' ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">REVIEW</div>
+                  <div className="mt-1 text-base font-semibold text-white/90">錯題本</div>
+                  <div className="mt-1 text-sm text-white/65">
+                    診斷或練習答錯的題目會收進來，依間隔重複（SM-2）排程再問一次；連續 {GRADUATE_REPS} 次間隔答對才會畢業。
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    <Badge tone={notebookParts.due.length ? 'warn' : 'neutral'}>到期 {notebookParts.due.length}</Badge>
+                    <Badge tone="info">排程中 {notebookParts.scheduled.length}</Badge>
+                    <Badge tone="good">已畢業 {notebookParts.graduated.length}</Badge>
+                  </div>
+                </div>
+                <button
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                  type="button"
+                  onClick={() => setView(plan.length > 0 ? 'result' : 'home')}
+                >
+                  返回
+                </button>
+              </div>
+
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">DUE</div>
+                {reviewCards.length === 0 ? (
+                  <div className="mt-2 text-sm text-white/65">
+                    {Object.keys(notebook).length === 0
+                      ? '目前沒有錯題。診斷或練習答錯的題目會自動收進錯題本。'
+                      : '現在沒有到期的題目。下面可以看到下一次回收的時間。'}
+                  </div>
+                ) : null}
+                <div className="mt-3 grid gap-2">
+                  {reviewCards.map((q) => {
+                    const res = reviewSession?.[q.id] || null;
+                    const item = notebook[q.id];
+                    const skill = SKILLS.find((x) => x.id === q.skillId);
+                    return (
+                      <div id={`rq_${safeDomId(q.id)}`} key={q.id} className="rounded-xl border border-white/10 bg-black/10 p-4">
+                        <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-white/55">
+                          <Badge tone="info">{skill?.name || q.skillId}</Badge>
+                          {item ? <span>答錯 {item.lapses + 1} 次 · 已連續答對 {item.reps}/{GRADUATE_REPS}</span> : null}
+                          {res ? (
+                            res.correct ? (
+                              <Badge tone="good">答對</Badge>
+                            ) : (
+                              <Badge tone="warn">答錯</Badge>
+                            )
+                          ) : null}
+                        </div>
+                        <div className="text-sm font-semibold text-white/90"><ChemText text={q.stem} /></div>
+
+                        <div className="mt-2 grid gap-1 text-xs text-white/70">
+                          {(q.choices || []).map((c, idx) => {
+                            const isCorrect = idx === q.answer;
+                            const isChosen = res?.choice === idx;
+                            return (
+                              <button
+                                key={`${q.id}_r_${idx}`}
+                                type="button"
+                                disabled={Boolean(res)}
+                                className={cls(
+                                  'w-full text-left rounded-lg border px-3 py-2',
+                                  'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                  res && isCorrect
+                                    ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
+                                    : res && isChosen
+                                      ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                      : res
+                                        ? 'border-white/10 text-white/60'
+                                        : 'border-white/10 text-white/80 hover:bg-black/20'
+                                )}
+                                aria-pressed={isChosen}
+                                aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                                onClick={() => answerReview(q, idx)}
+                              >
+                                <span className="mr-1 text-white/60">{String.fromCharCode(65 + idx)}.</span>
+                                <ChemText text={c} />
+                              </button>
+                            );
+                          })}
+                        </div>
+                        {q.kind && q.kind !== 'mc' ? (
+                          <AnswerInput
+                            key={`${q.id}_${res?.choice ?? ''}`}
+                            q={q}
+                            value={res?.choice}
+                            disabled={Boolean(res)}
+                            graded
+                            onSubmit={(v) => answerReview(q, v)}
+                          />
+                        ) : null}
+
+                        {res ? (
+                          <div className="mt-2 grid gap-2 text-xs text-white/55">
+                            <div>
+                              答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
+                            </div>
+                            <WrongReasonTags
+                              q={q}
+                              picked={wrongReasonPicks[q.id]}
+                              onToggle={res && !res.correct ? (t) => toggleWrongReason(q.id, t) : null}
+                              onOpenLesson={openLesson}
+                            />
+                            <div className="text-white/45">
+                              {item?.graduated
+                                ? '這題已畢業，離開錯題本。'
+                                : item
+                                  ? `下次回收（台北）：${formatLocalTime(new Date(item.due).toISOString())}`
+                                  : ''}
+                            </div>
+                          </div>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {notebookParts.scheduled.length > 0 ? (
+                <div className="rounded-xl border border-white/10 bg-black/10 p-4">
+                  <div className="text-xs tracking-widest text-white/50">SCHEDULED</div>
+                  <div className="mt-2 grid gap-2">
+                    {notebookParts.scheduled
+                      .filter((x) => !reviewSession?.[x.qid])
+                      .map((x) => {
+                        const q = getQuestionById(x.qid);
+                        if (!q) return null;
+                        const skill = SKILLS.find((s) => s.id === q.skillId);
+                        return (
+                          <details key={x.qid} className="rounded-lg border border-white/10 bg-black/10 px-3 py-2 text-xs text-white/70">
+                            <summary className="cursor-pointer">
+                              <span className="text-white/85">
+                                <ChemText text={q.stem} />
+                              </span>
+                              <span className="ml-2 text-white/45">
+                                {skill?.name || q.skillId} · 已連續答對 {x.reps}/{GRADUATE_REPS} · 下次（台北）{formatLocalTime(new Date(x.due).toISOString())}
+                              </span>
+                            </summary>
+                            <div className="mt-2 grid gap-2 text-white/55">
+                              <div>
+                                答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
+                              </div>
+                              <WrongReasonTags
+                                q={q}
+                                picked={wrongReasonPicks[q.id]}
+                                onToggle={(t) => toggleWrongReason(q.id, t)}
+                                onOpenLesson={openLesson}
+                              />
+                            </div>
+                          </details>
+                        );
+                      })}
+                  </div>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
+          {view === 'mixed' && mixed ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">MIXED REVIEW</div>
+                  <div className="mt-1 text-base font-semibold text-white/90">混合複習</div>
+                  <div className="mt-1 text-sm text-white/65">
+                    題目來自已完成的技能點、交錯出題：越弱、越久沒練的技能點題目越多，先考做過的題目（提取練習），再補新題。
+                  </div>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    <Badge tone="info">
+                      已作答 {Object.keys(mixed.answers).length}/{mixedQs.length}
+                    </Badge>
+                    <Badge tone="good">答對 {mixedCorrect}</Badge>
+                  </div>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                    type="button"
+                    onClick={startMixed}
+                    title="重新抽一份混合複習"
+                  >
+                    再抽一份
+                  </button>
+                  <button
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                    type="button"
+                    onClick={() => setView('result')}
+                  >
+                    返回
+                  </button>
+                </div>
+              </div>
+
+              <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                <div className="text-xs tracking-widest text-white/50">QUESTIONS</div>
+                {mixedQs.length === 0 ? (
+                  <div className="mt-2 text-sm text-white/65">已完成的技能點目前沒有可用的題目。</div>
+                ) : null}
+                <div className="mt-3 grid gap-2">
+                  {mixedQs.map((q, i) => {
+                    const res = mixed.answers[q.id] || null;
+                    const skill = SKILLS.find((x) => x.id === q.skillId);
+                    return (
+                      <div id={`xq_${safeDomId(q.id)}`} key={q.id} className="rounded-xl border border-white/10 bg-black/10 p-4">
+                        <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-white/55">
+                          <span>第 {i + 1} 題</span>
+                          <Badge tone="info">{skill?.name || q.skillId}</Badge>
+                          {res ? (
+                            res.correct ? (
+                              <Badge tone="good">答對</Badge>
+                            ) : (
+                              <Badge tone="warn">答錯</Badge>
+                            )
+                          ) : null}
+                        </div>
+                        <div className="text-sm font-semibold text-white/90"><ChemText text={q.stem} /></div>
+
+                        <div className="mt-2 grid gap-1 text-xs text-white/70">
+                          {(q.choices || []).map((c, idx) => {
+                            const isCorrect = idx === q.answer;
+                            const isChosen = res?.choice === idx;
+                            return (
+                              <button
+                                key={`${q.id}_x_${idx}`}
+                                type="button"
+                                disabled={Boolean(res)}
+                                className={cls(
+                                  'w-full text-left rounded-lg border px-3 py-2',
+                                  'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                  res && isCorrect
+                                    ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
+                                    : res && isChosen
+                                      ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                      : res
+                                        ? 'border-white/10 text-white/60'
+                                        : 'border-white/10 text-white/80 hover:bg-black/20'
+                                )}
+                                aria-pressed={isChosen}
+                                aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                                onClick={() => answerMixed(q, idx)}
+                              >
+                                <span className="mr-1 text-white/60">{String.fromCharCode(65 + idx)}.</span>
+                                <ChemText text={c} />
+                              </button>
+                            );
+                          })}
+                        </div>
+                        {q.kind && q.kind !== 'mc' ? (
+                          <AnswerInput
+                            key={`${q.id}_${res?.choice ?? ''}`}
+                            q={q}
+                            value={res?.choice}
+                            disabled={Boolean(res)}
+                            graded
+                            onSubmit={(v) => answerMixed(q, v)}
+                          />
+                        ) : null}
+
+                        {res ? (
+                          <div className="mt-2 grid gap-2 text-xs text-white/55">
+                            <div>
+                              答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
+                            </div>
+                            <WrongReasonTags
+                              q={q}
+                              picked={wrongReasonPicks[q.id]}
+                              onToggle={res && !res.correct ? (t) => toggleWrongReason(q.id, t) : null}
+                              onOpenLesson={openLesson}
+                            />
+                          </div>
+                        ) : null}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          ) : null}
+
+          {view === 'mock' ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">MOCK EXAM</div>
+                  <div className="mt-1 text-base font-semibold text-white/90">模擬段考</div>
+                  <div className="mt-1 text-sm text-white/65">
+                    每個技能點從診斷與練習題庫隨機抽題、混在一起限時作答；交卷前不會顯示對錯與詳解。
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  {mockRunning ? (
+                    <Badge tone={Date.parse(mock.deadline) - mockNow <= 5 * 60 * 1000 ? 'warn' : 'info'}>
+                      剩 {formatCountdown(Date.parse(mock.deadline) - mockNow)}
+                    </Badge>
+                  ) : null}
+                  <button
+                    className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                    type="button"
+                    onClick={() => setView(plan.length ? 'result' : 'home')}
+                    title={mockRunning ? '離開不會暫停計時' : undefined}
+                  >
+                    返回
+                  </button>
+                </div>
+              </div>
+
+              {mockReport ? (
+                <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                  <div className="text-xs tracking-widest text-white/50">REPORT</div>
+                  <div className="mt-2 flex flex-wrap items-end gap-3">
+                    <div className="text-3xl font-semibold text-white/90">{mockReport.score} 分</div>
+                    <div className="pb-1 text-sm text-white/65">
+                      答對 {mockReport.correct}/{mockReport.total} · 用時{' '}
+                      {formatCountdown(Date.parse(mock.submittedAt) - Date.parse(mock.startedAt))}／
+                      {formatCountdown(Date.parse(mock.deadline) - Date.parse(mock.startedAt))}
+                    </div>
+                    {mock.timeUp ? <Badge tone="warn">時間到自動交卷</Badge> : null}
+                  </div>
+                  <div className="mt-1 text-xs text-white/55">交卷時間（台北）：{formatLocalTime(mock.submittedAt)}</div>
+
+                  <div className="mt-4 text-xs tracking-widest text-white/50">BY SKILL</div>
+                  <div className="mt-2 grid gap-2">
+                    {SKILLS.filter((s) => mockReport.perSkill[s.id]).map((s) => {
+                      const sid = s.id;
+                      const x = mockReport.perSkill[sid];
+                      const pct = Math.round((x.correct / x.total) * 100);
+                      return (
+                        <div key={sid} className="flex items-center justify-between gap-3 rounded-xl border border-white/10 bg-black/10 px-4 py-3">
+                          <div>
+                            <div className="text-sm font-semibold text-white/90">{s.name}</div>
+                            <div className="mt-1 text-xs text-white/55">
+                              答對 {x.correct}/{x.total} · 平均每題 {Math.round(x.ms / x.total / 1000)} 秒
+                            </div>
+                          </div>
+                          <Badge tone={pct >= 80 ? 'good' : pct >= 50 ? 'neutral' : 'warn'}>{pct}%</Badge>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="mt-4 text-xs tracking-widest text-white/50">ITEMS</div>
+                  <div className="mt-2 grid gap-2">
+                    {mockReport.items.map((it, qi) => {
+                      const skill = SKILLS.find((x) => x.id === it.q.skillId);
+                      return (
+                        <div key={it.q.id} className="rounded-xl border border-white/10 bg-black/10 p-4">
+                          <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-white/55">
+                            <span>第 {qi + 1} 題</span>
+                            <Badge tone="info">{skill?.name || it.q.skillId}</Badge>
+                            {it.correct ? <Badge tone="good">答對</Badge> : <Badge tone="warn">{it.answered ? '答錯' : '未作答'}</Badge>}
+                            <span>用時 {Math.round(it.ms / 1000)} 秒</span>
+                          </div>
+                          <div className="text-sm font-semibold text-white/90">
+                            <ChemText text={it.q.stem} />
+                          </div>
+                          <div className="mt-2 grid gap-1 text-xs text-white/60">
+                            {it.answered ? (
+                              <div>
+                                你的答案：<ChemText text={formatGivenAnswer(it.q, mock.answers[it.q.id])} />
+                              </div>
+                            ) : null}
+                            <div>
+                              答案：<ChemText text={formatCorrectAnswer(it.q)} /> · <ChemText text={it.q.explanation} />
+                            </div>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  <div className="mt-4 flex flex-wrap gap-2">
+                    {notebookSize > 0 ? (
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
+                        type="button"
+                        onClick={openMistakeNotebook}
+                      >
+                        到錯題本回收答錯的題目
+                      </button>
+                    ) : null}
+                  </div>
+                </div>
+              ) : null}
+
+              {!mockRunning ? (
+                <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                  <div className="text-xs tracking-widest text-white/50">BLUEPRINT</div>
+                  <div className="mt-2 text-base font-semibold text-white/90">題數與時間</div>
+                  <div className="mt-3 grid gap-2 sm:grid-cols-2">
+                    {SKILLS.map((s) => {
+                      const max = Math.min(MOCK_MAX_PER_SKILL, bankQuestionsFor(s.id).length);
+                      return (
+                        <label key={s.id} className="flex items-center justify-between gap-3 text-sm text-white/75">
+                          {s.name}
+                          <select
+                            className="rounded-lg border border-white/10 bg-black/20 px-3 py-1.5 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                            value={Math.min(mockBlueprint.perSkill[s.id], max)}
+                            onChange={(e) =>
+                              setMockBlueprint((b) =>
+                                sanitizeMockBlueprint({ ...b, perSkill: { ...b.perSkill, [s.id]: e.target.value } }, SKILL_IDS)
+                              )
+                            }
+                          >
+                            {Array.from({ length: max + 1 }, (_, n) => (
+                              <option key={n} value={n}>
+                                {n} 題
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      );
+                    })}
+                  </div>
+                  <div className="mt-3 flex flex-wrap items-center justify-between gap-3">
+                    <label className="flex items-center gap-2 text-sm text-white/75">
+                      時間
+                      <select
+                        className="rounded-lg border border-white/10 bg-black/20 px-3 py-1.5 text-sm text-white/85 focus:outline-none focus:ring-2 focus:ring-cyan-400/40"
+                        value={mockBlueprint.minutes || ''}
+                        onChange={(e) => setMockBlueprint((b) => sanitizeMockBlueprint({ ...b, minutes: e.target.value }, SKILL_IDS))}
+                      >
+                        <option value="">自動（每題 {MOCK_MINUTES_PER_ITEM} 分鐘）</option>
+                        {[10, 20, 30, 40, 50, 60, 90, 120].map((m) => (
+                          <option key={m} value={m}>
+                            {m} 分鐘
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      className="rounded-lg border border-white/10 bg-cyan-500/15 px-4 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20 disabled:opacity-50"
+                      type="button"
+                      disabled={!mockSize}
+                      onClick={startMock}
+                    >
+                      {mock?.submittedAt ? '再考一份' : '開始模擬考'}（{mockSize} 題 · {mockExamMinutes(mockBlueprint)} 分鐘）
+                    </button>
+                  </div>
+                  <div className="mt-2 text-xs text-white/50">
+                    開始後計時不會暫停（和真的段考一樣）；時間到會自動交卷。交卷後成績會記進作答紀錄並更新掌握度。
+                  </div>
+                </div>
+              ) : null}
+
+              {mockRunning && mockQuestions.length ? (
+                <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                  <div className="flex flex-wrap gap-1">
+                    {mockQuestions.map((q, qi) => (
+                      <button
+                        key={q.id}
+                        type="button"
+                        className={cls(
+                          'h-8 w-8 rounded-lg border text-xs',
+                          qi === mock.current
+                            ? 'border-cyan-300/50 bg-cyan-500/20 text-cyan-50'
+                            : mock.answers[q.id] !== undefined
+                              ? 'border-white/10 bg-white/10 text-white/80'
+                              : 'border-white/10 bg-black/10 text-white/50 hover:bg-white/5'
+                        )}
+                        aria-label={`第 ${qi + 1} 題${mock.answers[q.id] !== undefined ? '（已作答）' : ''}`}
+                        onClick={() => goMockItem(qi)}
+                      >
+                        {qi + 1}
+                      </button>
+                    ))}
+                  </div>
+
+                  {(() => {
+                    const q = mockQuestions[mock.current];
+                    const chosen = mock.answers[q.id];
+                    const order = mockChoiceOrder(q, mock.seed);
+                    return (
+                      <div className="mt-4 rounded-xl border border-white/10 bg-black/10 p-4">
+                        <div className="mb-2 text-xs text-white/55">
+                          第 {mock.current + 1} 題／共 {mockQuestions.length} 題
+                        </div>
+                        <div className="text-sm font-semibold text-white/90">
+                          <ChemText text={q.stem} />
+                        </div>
+                        {order ? (
+                          <div className="mt-2 grid gap-1 text-xs text-white/70">
+                            {order.map((orig, k) => (
+                              <button
+                                key={`${q.id}_m_${orig}`}
+                                type="button"
+                                className={cls(
+                                  'w-full text-left rounded-lg border px-3 py-2',
+                                  'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                  chosen === orig ? 'border-cyan-300/40 bg-cyan-500/10 text-cyan-50' : 'border-white/10 text-white/80 hover:bg-black/20'
+                                )}
+                                aria-pressed={chosen === orig}
+                                aria-label={`選擇 ${String.fromCharCode(65 + k)}：${q.choices[orig]}`}
+                                onClick={() => answerMock(q, orig)}
+                              >
+                                <span className="mr-1 text-white/60">{String.fromCharCode(65 + k)}.</span>
+                                <ChemText text={q.choices[orig]} />
+                              </button>
+                            ))}
+                          </div>
+                        ) : (
+                          <AnswerInput
+                            key={`${q.id}_${chosen ?? ''}`}
+                            q={q}
+                            value={chosen}
+                            disabled={false}
+                            graded={false}
+                            onSubmit={(v) => answerMock(q, v)}
+                          />
+                        )}
+                      </div>
+                    );
+                  })()}
+
+                  <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
+                    <div className="flex gap-2">
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10 disabled:opacity-40"
+                        type="button"
+                        disabled={mock.current === 0}
+                        onClick={() => goMockItem(mock.current - 1)}
+                      >
+                        上一題
+                      </button>
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10 disabled:opacity-40"
+                        type="button"
+                        disabled={mock.current >= mockQuestions.length - 1}
+                        onClick={() => goMockItem(mock.current + 1)}
+                      >
+                        下一題
+                      </button>
+                    </div>
+                    <button
+                      className="rounded-lg border border-white/10 bg-cyan-500/15 px-4 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20"
+                      type="button"
+                      onClick={submitMock}
+                    >
+                      交卷（已答 {mock.qids.filter((qid) => mock.answers[qid] !== undefined).length}/{mock.qids.length}）
+                    </button>
+                  </div>
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+
+          {view === 'retest' ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">RETEST</div>
+                  <div className="mt-1 text-base font-semibold text-white/90">回測：補洞有沒有效？</div>
+                  <div className="mt-1 text-sm text-white/65">
+                    從路徑中每個技能點的練習題庫抽 {RETEST_PER_SKILL} 題沒做過的題目，算法與診斷相同，送出後比較前後變化。
+                  </div>
+                </div>
+                <button
+                  className="rounded-lg border border-white/10 bg-white/5 px-3 py-2 text-sm text-white/75 hover:bg-white/10"
+                  type="button"
+                  onClick={() => setView('result')}
+                >
+                  返回
+                </button>
+              </div>
+
+              {retest?.submittedAt && retestPerSkill ? (
+                <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                  <div className="text-xs tracking-widest text-white/50">BEFORE → AFTER</div>
+                  <div className="mt-1 text-xs text-white/55">回測時間（台北）：{formatLocalTime(retest.submittedAt)}</div>
+                  <div className="mt-3 grid gap-2">
+                    {Object.entries(retestPerSkill).map(([sid, after]) => {
+                      const s = SKILLS.find((x) => x.id === sid);
+                      const before = retest.baseline?.[sid] || null;
+                      const delta = before ? after.mastery - before.mastery : null;
+                      return (
+                        <div key={sid} className="rounded-xl border border-white/10 bg-black/10 p-4">
+                          <div className="flex items-center justify-between gap-3">
+                            <div>
+                              <div className="text-sm font-semibold text-white/90">{s?.name || sid}</div>
+                              <div className="mt-1 text-xs text-white/55">
+                                診斷 {before ? `${before.mastery}%（${before.correct}/${before.answered}）` : '—'} → 回測{' '}
+                                {`${after.mastery}%（${after.correct}/${after.answered}）`}
+                              </div>
+                            </div>
+                            {delta === null ? (
+                              <Badge>{after.mastery}%</Badge>
+                            ) : (
+                              <Badge tone={delta > 0 ? 'good' : delta < 0 ? 'warn' : 'neutral'}>
+                                {delta > 0 ? `+${delta}` : delta} 分
+                              </Badge>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <div className="mt-4 flex flex-wrap gap-2">
+                    <button
+                      className="rounded-lg border border-white/10 bg-cyan-500/15 px-4 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20"
+                      type="button"
+                      onClick={startRetest}
+                    >
+                      再抽一份回測
+                    </button>
+                    {notebookSize > 0 ? (
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
+                        type="button"
+                        onClick={openMistakeNotebook}
+                      >
+                        到錯題本回收答錯的題目
+                      </button>
+                    ) : null}
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-4 py-2 text-sm text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={exportShareSummary}
+                      title="摘要會包含回測前後比較（可分享給老師）"
+                    >
+                      匯出摘要
+                    </button>
+                  </div>
+                </div>
+              ) : null}
+
+              {retest ? (
+                <div className="rounded-2xl border border-white/10 bg-black/20 p-5">
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <div className="text-xs tracking-widest text-white/50">QUESTIONS</div>
+                    <div className="text-xs text-white/55">
+                      已作答 {retestAnsweredCount}/{retestQuestions.length}
+                    </div>
+                  </div>
+                  <div className="mt-3 grid gap-2">
+                    {retestQuestions.map((q, qi) => {
+                      const chosen = retest.answers?.[q.id];
+                      const submitted = Boolean(retest.submittedAt);
+                      const skill = SKILLS.find((x) => x.id === q.skillId);
+                      return (
+                        <div id={`tq_${safeDomId(q.id)}`} key={q.id} className="scroll-mt-6 rounded-xl border border-white/10 bg-black/10 p-4">
+                          <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-white/55">
+                            <span>第 {qi + 1} 題</span>
+                            <Badge tone="info">{skill?.name || q.skillId}</Badge>
+                            {submitted ? (
+                              gradeAnswer(q, chosen) ? (
+                                <Badge tone="good">答對</Badge>
+                              ) : (
+                                <Badge tone="warn">答錯</Badge>
+                              )
+                            ) : null}
+                          </div>
+                          <div className="text-sm font-semibold text-white/90"><ChemText text={q.stem} /></div>
+                          <div className="mt-2 grid gap-1 text-xs text-white/70">
+                            {(q.choices || []).map((c, idx) => {
+                              const isChosen = chosen === idx;
+                              const isCorrect = idx === q.answer;
+                              return (
+                                <button
+                                  key={`${q.id}_t_${idx}`}
+                                  type="button"
+                                  disabled={submitted}
+                                  className={cls(
+                                    'w-full text-left rounded-lg border px-3 py-2',
+                                    'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                    submitted && isCorrect
+                                      ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
+                                      : submitted && isChosen
+                                        ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                        : isChosen
+                                          ? 'border-cyan-300/40 bg-cyan-500/10 text-cyan-50'
+                                          : 'border-white/10 text-white/80 hover:bg-black/20'
+                                  )}
+                                  aria-pressed={isChosen}
+                                  aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                                  onClick={() => chooseRetestAnswer(q, idx)}
+                                >
+                                  <span className="mr-1 text-white/60">{String.fromCharCode(65 + idx)}.</span>
+                                  <ChemText text={c} />
+                                </button>
+                              );
+                            })}
+                          </div>
+                          {q.kind && q.kind !== 'mc' ? (
+                            <AnswerInput
+                              key={`${q.id}_${chosen ?? ''}`}
+                              q={q}
+                              value={chosen}
+                              disabled={submitted}
+                              graded={submitted}
+                              onSubmit={(v) => chooseRetestAnswer(q, v)}
+                            />
+                          ) : null}
+                          {submitted ? (
+                            <div className="mt-2 text-xs text-white/55">
+                              答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
+                            </div>
+                          ) : null}
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {!retest.submittedAt ? (
+                    <div className="mt-4 flex justify-end">
+                      <button
+                        className="rounded-lg border border-white/10 bg-cyan-500/15 px-4 py-2 text-sm text-cyan-100 hover:bg-cyan-500/20"
+                        type="button"
+                        onClick={submitRetest}
+                      >
+                        送出回測
+                      </button>
+                    </div>
+                  ) : null}
+                </div>
+              ) : (
+                <div className="rounded-xl border border-white/10 bg-black/10 p-4 text-sm text-white/65">
+                  完成整條路徑後就可以開始回測。
+                </div>
+              )}
+            </div>
+          ) : null}
+
+          {view === 'task' ? (
+            <div className="grid gap-4">
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <div className="text-xs tracking-widest text-white/50">TODAY</div>
+                  <div className="mt-1 flex flex-wrap items-center gap-2">
+                    <div className="text-base font-semibold text-white/90">
+                      Day {dayIndex + 1}
+                      {planDayDates[dayIndex] ? ` · ${formatDateKey(planDayDates[dayIndex])}` : ''}:{' '}
+                      {isReviewDay ? '複習日' : currentSkill?.name || '—'}
+                    </div>
+                    {todayDone ? <Badge tone="good">今日完成</Badge> : <Badge tone="warn">未完成</Badge>}
+                    {missedDays.length ? (
+                      <Badge tone="warn" onClick={() => setView('result')} title="到結果頁重排路徑">
+                        落後 {missedDays.length} 天
+                      </Badge>
+                    ) : null}
+                  </div>
+                  <div className="mt-1 text-sm text-white/65">
+                    {isReviewDay ? `混合複習前面學過的：${reviewDaySkills.map((sk) => sk.name).join('、') || '—'}` : currentSkill?.blurb}
+                  </div>
+
+                  <div className="mt-3 flex flex-wrap gap-2">
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={() => document.getElementById('concept')?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' })}
+                    >
+                      跳到概念
+                    </button>
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={() => document.getElementById('practice')?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' })}
+                    >
+                      跳到練習
+                    </button>
+
+                    <button
+                      className={cls(
+                        'rounded-lg border px-3 py-1.5 text-xs hover:bg-white/10',
+                        todayDone ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50' : 'border-white/10 bg-white/5 text-white/75'
+                      )}
+                      type="button"
+                      onClick={() => {
+                        if (!todayDone && !allPracticeGraded) {
+                          window.alert('先把本日練習題都作答（選一個答案），再標記今日完成。');
+                          return;
+                        }
+
+                        updateDay({ conceptDone: !todayDone, practiceDone: !todayDone });
+                      }}
+                      title={todayDone ? '把今天標記回未完成' : '一鍵把概念與練習都標記為已完成（練習題需先作答）'}
+                    >
+                      {todayDone ? '取消今日完成' : '一鍵完成今日'}
+                    </button>
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={() => {
+                        const ok = window.confirm('要重置「今天」的進度嗎？（會把概念/練習標記清掉，並清除本日練習題的作答）');
+                        if (!ok) return;
+
+                        updateDay({ conceptDone: false, practiceDone: false });
+
+                        setRevealed((p) => {
+                          const next = { ...(p || {}) };
+                          for (const q of practiceQs) next[q.id] = false;
+                          return next;
+                        });
+
+                        setDayAnswers((p) => {
+                          const next = { ...p };
+                          for (const q of practiceQs) delete next[q.id];
+                          return next;
+                        });
+                      }}
+                      title="重置今天的概念/練習完成狀態，並清除本日練習題的作答（可重新自我測驗）"
+                    >
+                      重置今日
+                    </button>
+
+                    {nextIncompleteDay !== null && nextIncompleteDay !== dayIndex ? (
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                        type="button"
+                        onClick={() => setDayIndex(nextIncompleteDay)}
+                        title="跳到下一個未完成的 Day"
+                      >
+                        下一個未完成
+                      </button>
+                    ) : null}
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={exportShareSummary}
+                      title="把弱點 Top 3 + 路徑摘要複製到剪貼簿（可分享給老師/同學）"
+                    >
+                      匯出摘要
+                    </button>
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                       type="button"
                       onClick={exportProgress}
                       title="把進度匯出成 JSON（可備份/換裝置）"
                     >
                       匯出進度
                     </button>
+
+                    <button
+                      className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                      type="button"
+                      onClick={exportCalendar}
+                      title="把每天的任務匯出成 .ics 行事曆檔（可加入 Google/Apple 行事曆，點活動可直接打開那天）"
+                    >
+                      匯出行事曆
+                    </button>
                   </div>
                 </div>
                 <button
@@ -3117,10 +6491,7 @@ export default function App() {
                       className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                       type="button"
                       onClick={() =>
-                        setDayProgress((p) => ({
-                          ...p,
-                          [dayIndex]: { ...(p?.[dayIndex] || {}), conceptDone: !p?.[dayIndex]?.conceptDone }
-                        }))
+                        updateDay({ conceptDone: !dayProgress?.[dayIndex]?.conceptDone })
                       }
                     >
                       標記
@@ -3128,12 +6499,24 @@ export default function App() {
                   </div>
                 </div>
                 <div className="mt-2 text-sm leading-relaxed text-white/80">
-                  先用 1 句話抓重點：把這個技能點的「定義」與「公式/關係式」背成一句話，然後用 8–12 題快速驗證。
+                  {isReviewDay
+                    ? '複習日：把前面每個技能點的第一張概念卡快速翻一遍，再清一清錯題本到期的題目，最後做下方的混合練習。'
+                    : '先用 1 句話抓重點：把這個技能點的「定義」與「公式/關係式」背成一句話，然後用 8–12 題快速驗證。'}
                 </div>
+                {isReviewDay ? (
+                  <button
+                    className="mt-3 rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                    type="button"
+                    onClick={openMistakeNotebook}
+                  >
+                    打開錯題本{notebookParts.due.length ? `（${notebookParts.due.length} 題到期）` : ''}
+                  </button>
+                ) : null}
 
-                <div className="mt-4 rounded-xl border border-white/10 bg-black/10 p-4 text-sm text-white/75">
-                  MVP Demo：這裡之後會放「概念卡」內容（1–2 張）+ 範例。
-                </div>
+                <ConceptCards
+                  key={`${dayIndex}_${currentSkill?.id || ''}`}
+                  cards={isReviewDay ? reviewDaySkills.map((sk) => sk.conceptCards?.[0]).filter(Boolean) : currentSkill?.conceptCards}
+                />
               </div>
 
               <div id="practice" className="scroll-mt-6 rounded-2xl border border-white/10 bg-black/20 p-5">
@@ -3147,28 +6530,22 @@ export default function App() {
                       onClick={() => {
                         const cur = Boolean(dayProgress?.[dayIndex]?.practiceDone);
                         if (cur) {
-                          setDayProgress((p) => ({
-                            ...p,
-                            [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: false }
-                          }));
+                          updateDay({ practiceDone: false });
                           return;
                         }
 
-                        if (!allPracticeRevealed) {
-                          window.alert('先把本日練習題答案都看過/對過（可用「全部顯示」），再標記完成。');
+                        if (!allPracticeGraded) {
+                          window.alert('先把本日練習題都作答（選一個答案），再標記完成。');
                           return;
                         }
 
-                        setDayProgress((p) => ({
-                          ...p,
-                          [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: true }
-                        }));
+                        updateDay({ practiceDone: true });
                       }}
                       title={
                         dayProgress?.[dayIndex]?.practiceDone
                           ? '把練習標記回未完成'
-                          : !allPracticeRevealed
-                            ? '先把本日練習題答案都看過/對過（可用「全部顯示」），再標記完成'
+                          : !allPracticeGraded
+                            ? '先把本日練習題都作答（選一個答案），再標記完成'
                             : '把練習標記為完成'
                       }
                     >
@@ -3178,26 +6555,31 @@ export default function App() {
                 </div>
                 <div className="mt-2 flex flex-wrap items-center justify-between gap-2">
                   <div className="grid gap-1">
-                    <div className="text-sm text-white/65">MVP Demo：暫用診斷題當練習題（之後每技能點會有 10 題練習）。</div>
+                    <div className="text-sm text-white/65">選一個答案會立即批改（每題以第一次作答為準），全部作答後才能標記練習完成。</div>
                     {practiceQs.length > 0 ? (
-                      <div className="text-xs text-white/50">已顯示答案 {practiceRevealedCount}/{practiceQs.length}</div>
+                      <div className="text-xs text-white/50">
+                        已作答 {practiceGradedCount}/{practiceQs.length} · 答對 {practiceCorrectCount}
+                      </div>
                     ) : null}
                   </div>
 
                   <div className="flex flex-wrap items-center gap-2">
-                    {practiceQs.length > 0 ? (
+                    {practiceGradedCount > 0 ? (
                       <button
                         className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                         type="button"
                         onClick={() =>
                           setRevealed((p) => {
                             const next = { ...(p || {}) };
-                            for (const q of practiceQs) next[q.id] = !allPracticeRevealed;
+                            for (const q of practiceQs) {
+                              if (dayAnswers?.[q.id]) next[q.id] = !allGradedExplanationsShown;
+                            }
                             return next;
                           })
                         }
+                        title="收合/展開已作答題目的解析"
                       >
-                        {allPracticeRevealed ? '全部隱藏' : '全部顯示'}
+                        {allGradedExplanationsShown ? '收合解析' : '展開解析'}
                       </button>
                     ) : null}
 
@@ -3206,7 +6588,7 @@ export default function App() {
                         className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                         type="button"
                         onClick={() => {
-                          const ok = window.confirm('要把本日練習題的「顯示答案」全部重置嗎？（也會把「練習完成」標記改回未完成）');
+                          const ok = window.confirm('要清除本日練習題的作答嗎？（也會把「練習完成」標記改回未完成）');
                           if (!ok) return;
 
                           setRevealed((p) => {
@@ -3215,12 +6597,15 @@ export default function App() {
                             return next;
                           });
 
-                          setDayProgress((p) => ({
-                            ...p,
-                            [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: false }
-                          }));
+                          setDayAnswers((p) => {
+                            const next = { ...p };
+                            for (const q of practiceQs) delete next[q.id];
+                            return next;
+                          });
+
+                          updateDay({ practiceDone: false });
                         }}
-                        title="把本日練習題全部改回未顯示（方便重新自我測驗）"
+                        title="清除本日練習題的作答（方便重新自我測驗）"
                       >
                         重置本日練習
                       </button>
@@ -3240,61 +6625,33 @@ export default function App() {
                       </button>
                     ) : null}
 
-                    {firstUnrevealedPractice ? (
-                      <>
-                        <button
-                          className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
-                          type="button"
-                          onClick={() => {
-                            try {
-                              document
-                                .getElementById(`pq_${safeDomId(firstUnrevealedPractice.id)}`)
-                                ?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
-                            } catch {
-                              // ignore
-                            }
-                          }}
-                          title="跳到第一題尚未顯示答案的練習題"
-                        >
-                          跳到未顯示
-                        </button>
-                        <button
-                          className="rounded-lg border border-emerald-300/20 bg-emerald-500/10 px-3 py-1.5 text-xs text-emerald-50 hover:bg-emerald-500/15"
-                          type="button"
-                          onClick={() => {
-                            try {
-                              setRevealed((p) => ({ ...p, [firstUnrevealedPractice.id]: true }));
-                              window.setTimeout?.(() => {
-                                try {
-                                  document
-                                    .getElementById(`pq_${safeDomId(firstUnrevealedPractice.id)}`)
-                                    ?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
-                                } catch {
-                                  // ignore
-                                }
-                              }, 0);
-                            } catch {
-                              // ignore
-                            }
-                          }}
-                          title="直接顯示下一題尚未顯示的答案（並跳到該題）"
-                        >
-                          顯示下一題答案
-                        </button>
-                      </>
+                    {firstUngradedPractice ? (
+                      <button
+                        className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
+                        type="button"
+                        onClick={() => {
+                          try {
+                            document
+                              .getElementById(`pq_${safeDomId(firstUngradedPractice.id)}`)
+                              ?.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+                          } catch {
+                            // ignore
+                          }
+                        }}
+                        title="跳到第一題尚未作答的練習題"
+                      >
+                        跳到未作答
+                      </button>
                     ) : null}
 
                     <button
                       className="rounded-lg border border-white/10 bg-emerald-500/10 px-3 py-1.5 text-xs text-emerald-50 hover:bg-emerald-500/15 disabled:opacity-50"
                       type="button"
-                      disabled={!allPracticeRevealed || Boolean(dayProgress?.[dayIndex]?.practiceDone)}
+                      disabled={!allPracticeGraded || Boolean(dayProgress?.[dayIndex]?.practiceDone)}
                       onClick={() =>
-                        setDayProgress((p) => ({
-                          ...p,
-                          [dayIndex]: { ...(p?.[dayIndex] || {}), practiceDone: true }
-                        }))
+                        updateDay({ practiceDone: true })
                       }
-                      title={!allPracticeRevealed ? '先把本日練習題答案都看過/對過，再標記完成' : '把練習標記為完成'}
+                      title={!allPracticeGraded ? '先把本日練習題都作答，再標記完成' : '把練習標記為完成'}
                     >
                       練習完成
                     </button>
@@ -3302,13 +6659,22 @@ export default function App() {
                 </div>
                 <div className="mt-3 grid gap-2">
                   {practiceQs.map((q) => {
-                    const isRevealed = Boolean(revealed?.[q.id]);
+                    const graded = dayAnswers?.[q.id] || null;
+                    const showExplanation = Boolean(graded) && Boolean(revealed?.[q.id]);
                     return (
                       <div id={`pq_${safeDomId(q.id)}`} key={q.id} className="rounded-xl border border-white/10 bg-black/10 p-4">
                         <div className="flex items-start justify-between gap-3">
-                          <div className="text-sm font-semibold text-white/90">{q.stem}</div>
+                          <div className="text-sm font-semibold text-white/90"><ChemText text={q.stem} /></div>
 
                           <div className="flex shrink-0 items-center gap-2">
+                            {graded ? (
+                              graded.correct ? (
+                                <Badge tone="good">答對</Badge>
+                              ) : (
+                                <Badge tone="warn">答錯</Badge>
+                              )
+                            ) : null}
+
                             <button
                               className="rounded-lg border border-white/10 bg-white/5 px-3 py-1.5 text-xs text-white/75 hover:bg-white/10"
                               type="button"
@@ -3325,16 +6691,15 @@ export default function App() {
                                   }
                                 }
 
-                                if (isRevealed) {
-                                  const ansLabel = String.fromCharCode(65 + q.answer);
-                                  const ansText = Array.isArray(q?.choices) && q.choices?.[q.answer] ? `（${q.choices[q.answer]}）` : '';
-                                  lines.push(`答案：${ansLabel}${ansText}`);
+                                if (graded) {
+                                  lines.push(`我的答案：${formatGivenAnswer(q, graded.choice)}（${graded.correct ? '答對' : '答錯'}）`);
+                                  lines.push(`答案：${formatCorrectAnswer(q)}`);
                                   if (q.explanation) lines.push(`解析：${q.explanation}`);
                                   if (Array.isArray(q?.wrongReasonTags) && q.wrongReasonTags.length > 0) {
-                                    lines.push(`常見錯因：${q.wrongReasonTags.join('、')}`);
+                                    lines.push(`常見錯因：${q.wrongReasonTags.map(wrongReasonName).join('、')}`);
                                   }
                                 } else {
-                                  lines.push('（尚未顯示答案）');
+                                  lines.push('（尚未作答）');
                                 }
 
                                 const ok = await copyToClipboard(lines.join('\n'));
@@ -3345,67 +6710,91 @@ export default function App() {
                               複製本題
                             </button>
 
-                            <button
-                              className={cls(
-                                'rounded-lg border px-3 py-1.5 text-xs',
-                                isRevealed
-                                  ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50 hover:bg-emerald-500/15'
-                                  : 'border-white/10 bg-white/5 text-white/75 hover:bg-white/10'
-                              )}
-                              type="button"
-                              onClick={() => setRevealed((p) => ({ ...p, [q.id]: !p?.[q.id] }))}
-                            >
-                              {isRevealed ? '隱藏答案' : '顯示答案'}
-                            </button>
+                            {graded ? (
+                              <button
+                                className={cls(
+                                  'rounded-lg border px-3 py-1.5 text-xs',
+                                  showExplanation
+                                    ? 'border-emerald-300/20 bg-emerald-500/10 text-emerald-50 hover:bg-emerald-500/15'
+                                    : 'border-white/10 bg-white/5 text-white/75 hover:bg-white/10'
+                                )}
+                                type="button"
+                                onClick={() => setRevealed((p) => ({ ...p, [q.id]: !p?.[q.id] }))}
+                              >
+                                {showExplanation ? '收合解析' : '看解析'}
+                              </button>
+                            ) : null}
                           </div>
                         </div>
 
+                        <ConfidencePicker
+                          value={graded ? savedConfidence.practice[q.id] ?? confidencePicks[q.id] : confidencePicks[q.id]}
+                          disabled={Boolean(graded)}
+                          onChange={(level) => pickConfidence(q.id, level)}
+                        />
+
                         {Array.isArray(q?.choices) && q.choices.length > 0 ? (
                           <div className="mt-2 grid gap-1 text-xs text-white/70">
                             {q.choices.map((c, idx) => {
                               const isCorrect = idx === q.answer;
+                              const isChosen = graded?.choice === idx;
                               return (
-                                <div
+                                <button
                                   key={`${q.id}_c_${idx}`}
+                                  type="button"
+                                  disabled={Boolean(graded)}
                                   className={cls(
-                                    'rounded-lg border px-3 py-2',
-                                    'bg-black/10',
-                                    isRevealed && isCorrect
+                                    'w-full text-left rounded-lg border px-3 py-2',
+                                    'bg-black/10 focus:outline-none focus:ring-2 focus:ring-cyan-400/40',
+                                    graded && isCorrect
                                       ? 'border-emerald-300/25 bg-emerald-500/10 text-emerald-50'
-                                      : 'border-white/10 text-white/80'
+                                      : graded && isChosen
+                                        ? 'border-rose-300/25 bg-rose-500/10 text-rose-50'
+                                        : graded
+                                          ? 'border-white/10 text-white/60'
+                                          : 'border-white/10 text-white/80 hover:bg-black/20'
                                   )}
+                                  aria-pressed={isChosen}
+                                  aria-label={`選擇 ${String.fromCharCode(65 + idx)}：${c}`}
+                                  onClick={() => choosePracticeAnswer(q, idx)}
                                 >
-                                  <span className={cls('mr-1', isRevealed && isCorrect ? 'text-emerald-50/90' : 'text-white/60')}>
+                                  <span className={cls('mr-1', graded && isCorrect ? 'text-emerald-50/90' : 'text-white/60')}>
                                     {String.fromCharCode(65 + idx)}.
                                   </span>
-                                  {c}
-                                </div>
+                                  <ChemText text={c} />
+                                  {isChosen ? <span className="ml-2 text-white/50">（你的答案）</span> : null}
+                                </button>
                               );
                             })}
                           </div>
                         ) : null}
+                        {q.kind && q.kind !== 'mc' ? (
+                          <AnswerInput
+                            key={`${q.id}_${graded?.choice ?? ''}`}
+                            q={q}
+                            value={graded?.choice}
+                            disabled={Boolean(graded)}
+                            graded
+                            onSubmit={(v) => choosePracticeAnswer(q, v)}
+                          />
+                        ) : null}
 
-                        {isRevealed ? (
+                        {showExplanation ? (
                           <div className="mt-2 grid gap-2 text-xs text-white/55">
                             <div>
-                              答案：{String.fromCharCode(65 + q.answer)}
-                              {Array.isArray(q?.choices) && q.choices?.[q.answer] ? `（${q.choices[q.answer]}）` : ''} · {q.explanation}
+                              答案：<ChemText text={formatCorrectAnswer(q)} /> · <ChemText text={q.explanation} />
                             </div>
 
-                            {Array.isArray(q?.wrongReasonTags) && q.wrongReasonTags.length > 0 ? (
-                              <div className="flex flex-wrap items-center gap-1 text-white/50">
-                                <span className="mr-1">常見錯因：</span>
-                                {q.wrongReasonTags.map((t) => (
-                                  <Badge key={t} tone="warn">
-                                    {t}
-                                  </Badge>
-                                ))}
-                              </div>
-                            ) : null}
+                            <WrongReasonTags
+                              q={q}
+                              picked={wrongReasonPicks[q.id]}
+                              onToggle={!graded.correct ? (t) => toggleWrongReason(q.id, t) : null}
+                              onOpenLesson={openLesson}
+                            />
                           </div>
-                        ) : (
-                          <div className="mt-2 text-xs text-white/45">先自己做 30–60 秒，再按「顯示答案」對答案與錯因。</div>
-                        )}
+                        ) : !graded ? (
+                          <div className="mt-2 text-xs text-white/45">先自己算 30–60 秒，再選答案（選了就會立即批改）。</div>
+                        ) : null}
                       </div>
                     );
                   })}
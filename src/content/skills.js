@@ -1,22 +1,65 @@
 // Content MVP v0: 4 skills filled, others to be added.
 // Schema notes:
+// - prerequisites: ids of the skills this one builds on; the plan fixes unmastered prerequisites first
+//   (see src/lib/prerequisites.js). Unknown ids and cycles fail validation.
+// - conceptCards: the day's concept step (title, key definition, formulas, worked example, common pitfalls)
 // - diagnostic: a small set of questions used in the entry diagnostic
 // - practice: per-skill practice bank (goal: 10+ per skill)
+// - question kinds:
+//   - mc: choices + answer (choice index)
+//   - numeric: answer (number) + unit, optional tolerance { abs } / { rel } (default 1% relative) and sigFigs
+//   - balance: reactants/products (formulas) + answer (lowest-term coefficients); any multiple is accepted
+// - check (optional): facts the explanation relies on, verified by validateSkillsContent with school atomic masses
+//   - mr: { formula: expected Mr }, atoms: { formula: { element: count } }, equation: a balanced equation string
+// - wrongReasonTags (optional): ids from ./wrongReasons.js (unknown ids fail validation)
+// - difficulty (optional): 1 (recall) – 3 (multi-step), default 2; the adaptive diagnostic aims items at the student's level
+
+import { checkBalance, parseEquation } from '../lib/balance.js';
+import { analyzeFormula, parseFormula } from '../lib/formula.js';
+import { findPrerequisiteCycle } from '../lib/prerequisites.js';
+import { TEMPLATES, getTemplateVariant } from './templates.js';
+import { WRONG_REASONS, getWrongReason, getWrongReasonCategory } from './wrongReasons.js';
 
 export const SKILLS = [
   {
     id: 'mole',
     name: '莫耳與粒子數（NA）',
     blurb: 'n、N、NA 的互換；粒子數概念',
+    prerequisites: [],
+    conceptCards: [
+      {
+        id: 'mole_c1',
+        title: '莫耳與亞佛加厥數 NA',
+        definition: '1 mol 是含有 NA（≈ 6.02×10^23）個粒子的物質的量；粒子可以是原子、分子、離子或化學式單位，題目問哪一種就數哪一種。',
+        formulas: ['N = n × NA', 'n = N ÷ NA', 'NA ≈ 6.02×10^23 mol⁻¹'],
+        example: {
+          problem: '0.25 mol 的 H2O 含有多少個水分子？',
+          steps: ['要求粒子數 N，用 N = n × NA', 'N = 0.25 × 6.02×10^23', '= 1.505×10^23 個水分子']
+        },
+        pitfalls: ['把 NA 記成 6.02×10^-23，或乾脆忘了乘 NA', '科學記號相乘時，係數與指數要分開算（0.25×6.02 = 1.505，指數不變）']
+      },
+      {
+        id: 'mole_c2',
+        title: '分子 mol 數 → 原子 mol 數',
+        definition: '1 個分子（或化學式單位）裡某原子有幾個，1 mol 分子裡該原子就有幾 mol：看下標。',
+        formulas: ['原子 mol 數 = 分子 mol 數 × 該原子的下標'],
+        example: {
+          problem: '0.20 mol 的 Al2O3 含有多少 mol 的 O 原子？',
+          steps: ['每個 Al2O3 有 3 個 O', 'O 原子 = 0.20 × 3 = 0.60 mol']
+        },
+        pitfalls: ['直接把分子 mol 數當成原子 mol 數（漏乘下標）', '雙原子分子（O2、H2）問「原子」時要乘 2']
+      }
+    ],
     diagnostic: [
       {
         id: 'mole_d1',
         kind: 'mc',
+        difficulty: 1,
         stem: '1 mol 的粒子數約等於多少？',
         choices: ['6.02×10^23', '3.01×10^23', '1.00×10^23', '9.81×10^23'],
         answer: 0,
         explanation: '阿伏加德羅常數 NA ≈ 6.02×10^23 mol⁻¹。',
-        wrongReasonTags: ['NA記憶錯', '指數/科學記號錯']
+        wrongReasonTags: ['avogadro', 'sci-notation']
       },
       {
         id: 'mole_d2',
@@ -25,7 +68,7 @@ export const SKILLS = [
         choices: ['3.01×10^23', '6.02×10^23', '1.20×10^24', '2.00×10^23'],
         answer: 0,
         explanation: 'N = n·NA = 0.50×6.02×10^23 = 3.01×10^23。',
-        wrongReasonTags: ['公式套用錯', '小數乘法錯', '指數運算錯']
+        wrongReasonTags: ['formula-choice', 'decimal-arith', 'sci-notation']
       },
       {
         id: 'mole_d3',
@@ -34,7 +77,19 @@ export const SKILLS = [
         choices: ['0.50 mol', '1.0 mol', '2.0 mol', '6.02 mol'],
         answer: 2,
         explanation: 'n = N/NA = (1.204×10^24)/(6.02×10^23) ≈ 2.0 mol。',
-        wrongReasonTags: ['除法/指數錯', 'NA使用錯']
+        wrongReasonTags: ['sci-notation', 'avogadro']
+      },
+      {
+        id: 'mole_d4',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '0.40 mol 的 NH3 含有多少個分子？（以 3 位有效數字作答）',
+        answer: 2.408e23,
+        unit: '個',
+        tolerance: { rel: 0.01 },
+        sigFigs: 3,
+        explanation: 'N = n·NA = 0.40×6.02×10^23 = 2.408×10^23 ≈ 2.41×10^23 個。',
+        wrongReasonTags: ['formula-choice', 'sci-notation']
       }
     ],
     practice: [
@@ -45,7 +100,7 @@ export const SKILLS = [
         choices: ['1.204×10^24', '6.02×10^23', '3.01×10^23', '2.0×10^23'],
         answer: 0,
         explanation: 'N = 2.0×6.02×10^23 = 1.204×10^24。',
-        wrongReasonTags: ['公式套用錯', 'NA倍數錯']
+        wrongReasonTags: ['formula-choice', 'avogadro']
       },
       {
         id: 'mole_p2',
@@ -54,7 +109,7 @@ export const SKILLS = [
         choices: ['1.505×10^23', '6.02×10^23', '3.01×10^23', '2.408×10^24'],
         answer: 0,
         explanation: '以「化學式單位」視為粒子：N = 0.25×NA = 1.505×10^23。',
-        wrongReasonTags: ['粒子種類搞混', '倍數錯']
+        wrongReasonTags: ['particle-kind', 'subscript']
       },
       {
         id: 'mole_p3',
@@ -63,16 +118,17 @@ export const SKILLS = [
         choices: ['0.50', '1.0', '2.0', '5.0'],
         answer: 0,
         explanation: 'n = N/NA = (3.01×10^23)/(6.02×10^23) = 0.50。',
-        wrongReasonTags: ['除法/指數錯']
+        wrongReasonTags: ['sci-notation']
       },
       {
         id: 'mole_p4',
         kind: 'mc',
+        difficulty: 1,
         stem: '若 n = 0.10 mol，粒子數 N 約為？',
         choices: ['6.02×10^22', '6.02×10^23', '6.02×10^21', '1.0×10^23'],
         answer: 0,
         explanation: 'N = 0.10×6.02×10^23 = 6.02×10^22。',
-        wrongReasonTags: ['小數點位移錯', '指數錯']
+        wrongReasonTags: ['decimal-arith', 'sci-notation']
       },
       {
         id: 'mole_p5',
@@ -81,16 +137,18 @@ export const SKILLS = [
         choices: ['1 mol H2 與 1 mol He 的分子數', '1 mol CO2 與 1 mol NaCl 的粒子數', '1 mol O2 與 1 mol O 的粒子數', '以上皆是'],
         answer: 3,
         explanation: '1 mol 代表同樣的粒子數 NA，但粒子定義要一致；題目中都在比較「粒子數」概念（分子/原子/式單位都各自為粒子），1 mol 都是 NA 個粒子。',
-        wrongReasonTags: ['粒子定義混淆']
+        wrongReasonTags: ['particle-kind']
       },
       {
         id: 'mole_p6',
         kind: 'mc',
+        difficulty: 1,
         stem: '0.50 mol 的 O2 含有多少 mol 的 O 原子？',
         choices: ['0.25', '0.50', '1.0', '2.0'],
         answer: 2,
         explanation: '0.50 mol O2 分子，每個分子 2 個 O 原子，所以 O 原子為 1.0 mol。',
-        wrongReasonTags: ['係數/倍數錯', '分子內原子數忽略']
+        wrongReasonTags: ['subscript'],
+        check: { atoms: { O2: { O: 2 } } }
       },
       {
         id: 'mole_p7',
@@ -99,7 +157,8 @@ export const SKILLS = [
         choices: ['1.0', '2.0', '4.0', '5.0'],
         answer: 2,
         explanation: '每個 CH4 有 4 個 H，故 H 原子 mol 數為 4.0 mol。',
-        wrongReasonTags: ['下標倍數錯']
+        wrongReasonTags: ['subscript'],
+        check: { atoms: { CH4: { H: 4 } } }
       },
       {
         id: 'mole_p8',
@@ -108,25 +167,51 @@ export const SKILLS = [
         choices: ['0.01', '0.10', '1.0', '10'],
         answer: 1,
         explanation: 'n = N/NA = (6.02×10^22)/(6.02×10^23) = 0.10。',
-        wrongReasonTags: ['指數比較錯']
+        wrongReasonTags: ['sci-notation']
       },
       {
         id: 'mole_p9',
         kind: 'mc',
+        difficulty: 3,
         stem: '0.20 mol 的 Al2O3 含有多少 mol 的 O 原子？',
         choices: ['0.20', '0.40', '0.60', '1.0'],
         answer: 2,
         explanation: '每個 Al2O3 有 3 個 O，故 O 原子為 0.20×3=0.60 mol。',
-        wrongReasonTags: ['下標倍數錯']
+        wrongReasonTags: ['subscript'],
+        check: { atoms: { Al2O3: { O: 3 } } }
       },
       {
         id: 'mole_p10',
         kind: 'mc',
+        difficulty: 1,
         stem: '關於 mol 的敘述何者正確？',
         choices: ['1 mol 一定是 6.02×10^23 g', '1 mol 代表固定質量', '1 mol 代表固定粒子數', '1 mol 代表固定體積'],
         answer: 2,
         explanation: 'mol 是物質的量單位，定義對應固定粒子數 NA。',
-        wrongReasonTags: ['定義混淆']
+        wrongReasonTags: ['definitions']
+      },
+      {
+        id: 'mole_p11',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '3.01×10^22 個 CO2 分子是幾 mol？',
+        answer: 0.05,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: 'n = N/NA = (3.01×10^22)/(6.02×10^23) = 0.050 mol。',
+        wrongReasonTags: ['sci-notation']
+      },
+      {
+        id: 'mole_p12',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '0.30 mol 的 H2SO4 含有幾 mol 的 O 原子？',
+        answer: 1.2,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: '每個 H2SO4 有 4 個 O，故 O 原子為 0.30×4 = 1.2 mol。',
+        wrongReasonTags: ['subscript'],
+        check: { atoms: { H2SO4: { O: 4 } } }
       }
     ]
   },
@@ -135,15 +220,42 @@ export const SKILLS = [
     id: 'molar-mass',
     name: '分子量/式量與化學式計算',
     blurb: '由化學式算 Mr；常見式量',
+    prerequisites: ['mole'],
+    conceptCards: [
+      {
+        id: 'mm_c1',
+        title: '分子量 / 式量怎麼算',
+        definition: '分子量 Mr = 分子中所有原子的原子量總和；離子化合物沒有獨立分子，改稱「式量」，算法相同。',
+        formulas: ['Mr = Σ（原子量 × 原子個數）', '括號外的下標要乘進括號內的每一個原子'],
+        example: {
+          problem: 'Ca(OH)2 的式量為？（Ca=40, O=16, H=1）',
+          steps: ['Ca：1 × 40 = 40', 'OH 有 2 組：2 × (16 + 1) = 34', '式量 = 40 + 34 = 74']
+        },
+        pitfalls: ['括號外的下標只乘到最後一個原子（例如只乘 H 不乘 O）', '漏掉下標為 1（不寫出來）的原子']
+      },
+      {
+        id: 'mm_c2',
+        title: '莫耳質量與質量換算',
+        definition: '莫耳質量 M（g/mol）在數值上等於 Mr；有了 M 就能在質量 m 與莫耳數 n 之間互換。',
+        formulas: ['n = m ÷ M', 'm = n × M'],
+        example: {
+          problem: '36 g 的 H2O 是幾 mol？（H=1, O=16）',
+          steps: ['M(H2O) = 2×1 + 16 = 18 g/mol', 'n = 36 ÷ 18 = 2.0 mol']
+        },
+        pitfalls: ['把 m 與 M 的位置顛倒（寫成 n = M ÷ m）', '原子量給小數（Cl=35.5）時還四捨五入成整數']
+      }
+    ],
     diagnostic: [
       {
         id: 'mm_d1',
         kind: 'mc',
+        difficulty: 1,
         stem: 'H2O 的相對分子量 Mr 為？(H=1, O=16)',
         choices: ['17', '18', '16', '20'],
         answer: 1,
         explanation: 'Mr = 2×1 + 16 = 18。',
-        wrongReasonTags: ['加總錯', '下標倍數漏掉']
+        wrongReasonTags: ['mr-sum', 'subscript'],
+        check: { mr: { H2O: 18 } }
       },
       {
         id: 'mm_d2',
@@ -152,27 +264,32 @@ export const SKILLS = [
         choices: ['100', '96', '104', '112'],
         answer: 0,
         explanation: '40 + 12 + 3×16 = 100。',
-        wrongReasonTags: ['括號/下標倍數錯', '加總錯']
+        wrongReasonTags: ['bracket', 'mr-sum'],
+        check: { mr: { CaCO3: 100 } }
       },
       {
         id: 'mm_d3',
         kind: 'mc',
+        difficulty: 3,
         stem: 'Al2(SO4)3 的式量為？(Al=27, S=32, O=16)',
         choices: ['294', '342', '318', '360'],
         answer: 1,
         explanation: '2×27 + 3×(32 + 4×16) = 54 + 3×96 = 342。',
-        wrongReasonTags: ['括號倍數錯', '加總錯', '下標倍數漏掉']
+        wrongReasonTags: ['bracket', 'mr-sum', 'subscript'],
+        check: { mr: { 'Al2(SO4)3': 342 } }
       }
     ],
     practice: [
       {
         id: 'mm_p1',
         kind: 'mc',
+        difficulty: 1,
         stem: 'CO2 的 Mr 為？(C=12,O=16)',
         choices: ['28', '32', '44', '48'],
         answer: 2,
         explanation: '12 + 2×16 = 44。',
-        wrongReasonTags: ['下標倍數錯']
+        wrongReasonTags: ['subscript'],
+        check: { mr: { CO2: 44 } }
       },
       {
         id: 'mm_p2',
@@ -181,7 +298,8 @@ export const SKILLS = [
         choices: ['110', '142', '138', '120'],
         answer: 1,
         explanation: '2×23 + 32 + 4×16 = 142。',
-        wrongReasonTags: ['倍數錯', '加總錯']
+        wrongReasonTags: ['subscript', 'mr-sum'],
+        check: { mr: { Na2SO4: 142 } }
       },
       {
         id: 'mm_p3',
@@ -190,16 +308,19 @@ export const SKILLS = [
         choices: ['78', '69', '60', '84'],
         answer: 0,
         explanation: '27 + 3×(16+1) = 78。',
-        wrongReasonTags: ['括號倍數錯']
+        wrongReasonTags: ['bracket'],
+        check: { mr: { 'Al(OH)3': 78 } }
       },
       {
         id: 'mm_p4',
         kind: 'mc',
+        difficulty: 1,
         stem: 'NH3 的 Mr 為？(N=14,H=1)',
         choices: ['15', '16', '17', '18'],
         answer: 2,
         explanation: '14 + 3×1 = 17。',
-        wrongReasonTags: ['下標倍數漏掉']
+        wrongReasonTags: ['subscript'],
+        check: { mr: { NH3: 17 } }
       },
       {
         id: 'mm_p5',
@@ -208,16 +329,19 @@ export const SKILLS = [
         choices: ['59.5', '95', '71', '60'],
         answer: 1,
         explanation: '24 + 2×35.5 = 95。',
-        wrongReasonTags: ['小數加總錯', '下標倍數錯']
+        wrongReasonTags: ['decimal-arith', 'subscript'],
+        check: { mr: { MgCl2: 95 } }
       },
       {
         id: 'mm_p6',
         kind: 'mc',
+        difficulty: 3,
         stem: '下列何者 Mr 最大？(以整數原子量估算：C=12,H=1,O=16)',
         choices: ['CH4', 'C2H6', 'C2H4', 'C3H8'],
         answer: 3,
         explanation: 'CH4=16；C2H6=30；C2H4=28；C3H8=44，最大為 C3H8。',
-        wrongReasonTags: ['比較策略錯']
+        wrongReasonTags: ['mr-sum'],
+        check: { mr: { CH4: 16, C2H6: 30, C2H4: 28, C3H8: 44 } }
       },
       {
         id: 'mm_p7',
@@ -226,7 +350,8 @@ export const SKILLS = [
         choices: ['85', '101', '93', '87'],
         answer: 1,
         explanation: '39 + 14 + 3×16 = 101。',
-        wrongReasonTags: ['下標倍數錯']
+        wrongReasonTags: ['subscript'],
+        check: { mr: { KNO3: 101 } }
       },
       {
         id: 'mm_p8',
@@ -235,7 +360,8 @@ export const SKILLS = [
         choices: ['57', '74', '58', '72'],
         answer: 1,
         explanation: '40 + 2×(16+1)=74。',
-        wrongReasonTags: ['括號倍數錯']
+        wrongReasonTags: ['bracket'],
+        check: { mr: { 'Ca(OH)2': 74 } }
       },
       {
         id: 'mm_p9',
@@ -244,16 +370,42 @@ export const SKILLS = [
         choices: ['160', '112', '176', '144'],
         answer: 0,
         explanation: '2×56 + 3×16 = 160。',
-        wrongReasonTags: ['倍數錯']
+        wrongReasonTags: ['subscript'],
+        check: { mr: { Fe2O3: 160 } }
       },
       {
         id: 'mm_p10',
         kind: 'mc',
+        difficulty: 1,
         stem: '化學式中括號/下標的意義，何者正確？',
         choices: ['下標代表元素的原子量', '括號外下標會乘進括號內每個元素', '括號只用於離子化合物', '括號外下標只乘第一個元素'],
         answer: 1,
         explanation: '例如 Al(OH)3：括號外 3 會乘 O 與 H。',
-        wrongReasonTags: ['括號倍數概念錯']
+        wrongReasonTags: ['bracket']
+      },
+      {
+        id: 'mm_p11',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: 'Mg(OH)2 的式量為？（Mg=24, O=16, H=1）',
+        answer: 58,
+        unit: 'g/mol',
+        tolerance: { abs: 0.5 },
+        explanation: '24 + 2×(16+1) = 58。',
+        wrongReasonTags: ['bracket'],
+        check: { mr: { 'Mg(OH)2': 58 } }
+      },
+      {
+        id: 'mm_p12',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '4.4 g 的 CO2 是幾 mol？（C=12, O=16）',
+        answer: 0.1,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: 'M(CO2) = 12 + 2×16 = 44 g/mol，n = 4.4/44 = 0.10 mol。',
+        wrongReasonTags: ['mass-to-mole'],
+        check: { mr: { CO2: 44 } }
       }
     ]
   },
@@ -262,6 +414,31 @@ export const SKILLS = [
     id: 'stoichiometry',
     name: '化學計量（莫耳比、質量比）',
     blurb: '由配平方程式建立莫耳比；由莫耳轉質量',
+    prerequisites: ['mole', 'molar-mass', 'balancing'],
+    conceptCards: [
+      {
+        id: 'st_c1',
+        title: '係數比 = 莫耳比',
+        definition: '配平後的係數代表各物質「粒子數比」，也就是莫耳比；計量題一律先換成 mol 再用係數比。',
+        formulas: ['n(B) = n(A) × (B 的係數 ÷ A 的係數)'],
+        example: {
+          problem: 'N2 + 3H2 → 2NH3。6 mol H2 完全反應可生成幾 mol NH3？',
+          steps: ['NH3 : H2 = 2 : 3', 'n(NH3) = 6 × 2/3 = 4 mol']
+        },
+        pitfalls: ['方程式沒配平就直接讀係數', '比例寫反（乘了 3/2 而不是 2/3）']
+      },
+      {
+        id: 'st_c2',
+        title: '質量 → mol → 莫耳比 → 質量',
+        definition: '題目給質量時走「三步驟」：質量 ÷ M 變 mol，用係數比換到目標物，再 × M 變回質量。',
+        formulas: ['m(A) ÷ M(A) = n(A)', 'n(B) = n(A) × 係數比', 'm(B) = n(B) × M(B)'],
+        example: {
+          problem: 'CaCO3 → CaO + CO2。10 g CaCO3（式量 100）完全分解，生成多少 g CO2？（CO2 = 44）',
+          steps: ['n(CaCO3) = 10 ÷ 100 = 0.10 mol', 'CO2 : CaCO3 = 1 : 1 → 0.10 mol', 'm(CO2) = 0.10 × 44 = 4.4 g']
+        },
+        pitfalls: ['直接用質量比當係數比（係數比是莫耳比，不是質量比）', '最後忘了把 mol 換回題目要求的單位']
+      }
+    ],
     diagnostic: [
       {
         id: 'st_d1',
@@ -270,16 +447,19 @@ export const SKILLS = [
         choices: ['1', '2', '4', '8'],
         answer: 1,
         explanation: '莫耳比 H2:O2 = 2:1。4 mol H2 需要 2 mol O2。',
-        wrongReasonTags: ['莫耳比讀取錯', '倍數換算錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2H2 + O2 → 2H2O' }
       },
       {
         id: 'st_d2',
         kind: 'mc',
+        difficulty: 1,
         stem: '反應：CaCO3 → CaO + CO2。1 mol CaCO3 生成幾 mol CO2？',
         choices: ['0.5', '1', '2', '3'],
         answer: 1,
         explanation: '係數 1:1，所以 1 mol 生成 1 mol。',
-        wrongReasonTags: ['係數對應錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: 'CaCO3 → CaO + CO2' }
       }
     ],
     practice: [
@@ -290,7 +470,8 @@ export const SKILLS = [
         choices: ['1', '2', '3', '6'],
         answer: 1,
         explanation: 'H2:N2=3:1。6 mol H2 對應 2 mol N2。',
-        wrongReasonTags: ['莫耳比錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: 'N2 + 3H2 → 2NH3' }
       },
       {
         id: 'st_p2',
@@ -299,7 +480,8 @@ export const SKILLS = [
         choices: ['0.25', '0.50', '1.0', '2.0'],
         answer: 2,
         explanation: 'CO:O2=2:1。0.50 mol O2 可反應 1.0 mol CO。',
-        wrongReasonTags: ['莫耳比錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2CO + O2 → 2CO2' }
       },
       {
         id: 'st_p3',
@@ -308,25 +490,30 @@ export const SKILLS = [
         choices: ['3', '4', '6', '8'],
         answer: 2,
         explanation: 'Fe:O2=4:3。8 mol Fe 需要 6 mol O2。',
-        wrongReasonTags: ['莫耳比錯', '倍數換算錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '4Fe + 3O2 → 2Fe2O3' }
       },
       {
         id: 'st_p4',
         kind: 'mc',
+        difficulty: 3,
         stem: 'CaCO3 → CaO + CO2。若 10 g CaCO3（式量 100）完全分解，生成多少 mol CO2？',
         choices: ['0.01', '0.05', '0.10', '1.0'],
         answer: 2,
         explanation: 'n(CaCO3)=10/100=0.10 mol；莫耳比 1:1，所以 CO2=0.10 mol。',
-        wrongReasonTags: ['質量轉莫耳錯', '莫耳比錯']
+        wrongReasonTags: ['mass-to-mole', 'mole-ratio'],
+        check: { equation: 'CaCO3 → CaO + CO2', mr: { CaCO3: 100 } }
       },
       {
         id: 'st_p5',
         kind: 'mc',
+        difficulty: 3,
         stem: '2H2 + O2 → 2H2O。若 9 g H2（Mr=2）完全反應，生成幾 mol H2O？',
         choices: ['1', '4.5', '9', '18'],
         answer: 1,
         explanation: 'n(H2)=9/2=4.5 mol；H2:H2O=1:1（2→2），生成 4.5 mol。',
-        wrongReasonTags: ['係數化簡錯', '質量轉莫耳錯']
+        wrongReasonTags: ['mole-ratio', 'mass-to-mole'],
+        check: { equation: '2H2 + O2 → 2H2O', mr: { H2: 2 } }
       },
       {
         id: 'st_p6',
@@ -335,7 +522,8 @@ export const SKILLS = [
         choices: ['1.5', '3.0', '6.0', '0.67'],
         answer: 1,
         explanation: 'Na:NaCl=2:2=1:1，所以 3.0 mol Na 生成 3.0 mol NaCl（若 Cl2 足夠）。',
-        wrongReasonTags: ['係數對應錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2Na + Cl2 → 2NaCl' }
       },
       {
         id: 'st_p7',
@@ -344,34 +532,63 @@ export const SKILLS = [
         choices: ['1.0', '2.0', '4.0', '8.0'],
         answer: 2,
         explanation: 'CH4:H2O=1:2。2.0 mol CH4 生成 4.0 mol H2O。',
-        wrongReasonTags: ['莫耳比錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: 'CH4 + 2O2 → CO2 + 2H2O' }
       },
       {
         id: 'st_p8',
         kind: 'mc',
+        difficulty: 3,
         stem: '2Al + 3Cl2 → 2AlCl3。若生成 1.0 mol AlCl3，消耗幾 mol Cl2？',
         choices: ['0.5', '1.0', '1.5', '3.0'],
         answer: 2,
         explanation: 'Cl2:AlCl3 = 3:2。1.0 mol AlCl3 需要 1.5 mol Cl2。',
-        wrongReasonTags: ['莫耳比錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2Al + 3Cl2 → 2AlCl3' }
       },
       {
         id: 'st_p9',
         kind: 'mc',
+        difficulty: 1,
         stem: '2H2 + O2 → 2H2O。已知消耗 1.0 mol O2，生成幾 mol H2O？',
         choices: ['1.0', '2.0', '0.5', '4.0'],
         answer: 1,
         explanation: 'O2:H2O=1:2。',
-        wrongReasonTags: ['莫耳比錯']
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2H2 + O2 → 2H2O' }
       },
       {
         id: 'st_p10',
         kind: 'mc',
+        difficulty: 1,
         stem: '下列關於化學計量的步驟，何者最關鍵？',
         choices: ['先背所有式量', '先把方程式配平再談莫耳比', '先把濃度算出來', '先把體積換成質量'],
         answer: 1,
         explanation: '莫耳比來自配平係數；配平是計量的地基。',
-        wrongReasonTags: ['流程概念錯']
+        wrongReasonTags: ['mole-ratio']
+      },
+      {
+        id: 'st_p11',
+        kind: 'numeric',
+        stem: '2H2 + O2 → 2H2O。0.50 mol O2 完全反應可生成幾 mol H2O？',
+        answer: 1,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: 'H2O : O2 = 2 : 1，故 n(H2O) = 0.50×2 = 1.0 mol。',
+        wrongReasonTags: ['mole-ratio'],
+        check: { equation: '2H2 + O2 → 2H2O' }
+      },
+      {
+        id: 'st_p12',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: 'CaCO3 → CaO + CO2。25 g CaCO3 完全分解可生成幾 g CO2？（CaCO3=100, CO2=44）',
+        answer: 11,
+        unit: 'g',
+        tolerance: { rel: 0.01 },
+        explanation: 'n(CaCO3) = 25/100 = 0.25 mol → CO2 0.25 mol → 0.25×44 = 11 g。',
+        wrongReasonTags: ['mass-to-mole', 'mole-ratio'],
+        check: { equation: 'CaCO3 → CaO + CO2', mr: { CaCO3: 100, CO2: 44 } }
       }
     ]
   },
@@ -380,15 +597,41 @@ export const SKILLS = [
     id: 'molarity',
     name: '溶液濃度（莫耳濃度 M、稀釋）',
     blurb: 'M = n/V；稀釋 M1V1=M2V2',
+    prerequisites: ['mole'],
+    conceptCards: [
+      {
+        id: 'mol_c1',
+        title: '莫耳濃度 M',
+        definition: '莫耳濃度 = 每 1 L「溶液」中所含溶質的莫耳數，單位 M（mol/L）。注意分母是溶液體積，不是溶劑。',
+        formulas: ['M = n ÷ V（V 以 L 計）', 'n = M × V'],
+        example: {
+          problem: '250 mL 的 0.20 M NaCl 溶液含有多少 mol NaCl？',
+          steps: ['V = 250 mL = 0.250 L', 'n = 0.20 × 0.250 = 0.050 mol']
+        },
+        pitfalls: ['mL 沒換成 L 就直接乘', '把溶劑體積當溶液體積']
+      },
+      {
+        id: 'mol_c2',
+        title: '稀釋：溶質莫耳數不變',
+        definition: '加水稀釋只增加溶液體積，溶質的 mol 數不變，因此稀釋前後 M × V 相等。',
+        formulas: ['M1 × V1 = M2 × V2（兩邊 V 單位一致即可）'],
+        example: {
+          problem: '100 mL 的 2.0 M 溶液稀釋到 400 mL，新濃度為？',
+          steps: ['M2 = M1 × V1 ÷ V2', '= 2.0 × 100 ÷ 400 = 0.50 M']
+        },
+        pitfalls: ['把「加入的水量」當成 V2（V2 是稀釋後的總體積）', '以為從溶液中取出一部分，濃度也會改變']
+      }
+    ],
     diagnostic: [
       {
         id: 'mo_d1',
         kind: 'mc',
+        difficulty: 1,
         stem: '0.50 mol 溶質溶於 1.0 L 溶液中，莫耳濃度為？',
         choices: ['0.50 M', '1.0 M', '2.0 M', '0.25 M'],
         answer: 0,
         explanation: 'M = n/V = 0.50/1.0 = 0.50 M。',
-        wrongReasonTags: ['公式套用錯']
+        wrongReasonTags: ['formula-choice']
       },
       {
         id: 'mo_d2',
@@ -397,7 +640,7 @@ export const SKILLS = [
         choices: ['0.50 M', '1.0 M', '2.0 M', '8.0 M'],
         answer: 0,
         explanation: 'M1V1=M2V2 → 2.0×0.100 = M2×0.400 → M2=0.50 M（注意體積要用 L）。',
-        wrongReasonTags: ['mL/L換算錯', '稀釋公式錯']
+        wrongReasonTags: ['volume-units', 'dilution']
       },
       {
         id: 'mo_d3',
@@ -406,18 +649,31 @@ export const SKILLS = [
         choices: ['0.010', '0.020', '0.100', '0.200'],
         answer: 0,
         explanation: 'n = M·V = 0.20×0.0500 = 0.0100 mol（50.0 mL = 0.0500 L）。',
-        wrongReasonTags: ['mL/L換算錯', 'n=M·V套用錯']
+        wrongReasonTags: ['volume-units', 'formula-choice']
+      },
+      {
+        id: 'mo_d4',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '將 0.20 mol NaOH 溶於水配成 500 mL 溶液，濃度為多少 M？（以 2 位有效數字作答）',
+        answer: 0.4,
+        unit: 'M',
+        tolerance: { rel: 0.01 },
+        sigFigs: 2,
+        explanation: 'M = n/V = 0.20/0.500 = 0.40 M。',
+        wrongReasonTags: ['volume-units']
       }
     ],
     practice: [
       {
         id: 'mo_p1',
         kind: 'mc',
+        difficulty: 1,
         stem: '1.0 mol 溶質配成 0.50 L 溶液，濃度為？',
         choices: ['0.50', '1.0', '2.0', '0.20'],
         answer: 2,
         explanation: 'M = 1.0/0.50 = 2.0 M。',
-        wrongReasonTags: ['公式套用錯']
+        wrongReasonTags: ['formula-choice']
       },
       {
         id: 'mo_p2',
@@ -426,7 +682,7 @@ export const SKILLS = [
         choices: ['0.05', '0.50', '0.005', '0.20'],
         answer: 0,
         explanation: 'n = M·V = 0.20×0.250 = 0.050 mol。',
-        wrongReasonTags: ['mL/L換算錯']
+        wrongReasonTags: ['volume-units']
       },
       {
         id: 'mo_p3',
@@ -435,7 +691,7 @@ export const SKILLS = [
         choices: ['0.075', '0.15', '0.030', '0.50'],
         answer: 0,
         explanation: 'n = 1.5×0.0500 = 0.0750 mol。',
-        wrongReasonTags: ['mL/L換算錯', '乘法錯']
+        wrongReasonTags: ['volume-units', 'decimal-arith']
       },
       {
         id: 'mo_p4',
@@ -444,7 +700,7 @@ export const SKILLS = [
         choices: ['0.05', '0.10', '0.20', '0.50'],
         answer: 0,
         explanation: 'n = M·V = 0.10×0.500 = 0.050 mol。',
-        wrongReasonTags: ['mL/L換算錯']
+        wrongReasonTags: ['volume-units']
       },
       {
         id: 'mo_p5',
@@ -453,7 +709,7 @@ export const SKILLS = [
         choices: ['0.40', '0.25', '2.5', '1.5'],
         answer: 0,
         explanation: 'M2 = M1V1/V2 = 1.0×0.100/0.250 = 0.40 M。',
-        wrongReasonTags: ['稀釋公式錯']
+        wrongReasonTags: ['dilution']
       },
       {
         id: 'mo_p6',
@@ -462,43 +718,68 @@ export const SKILLS = [
         choices: ['0.25', '1.0', '2.0', '4.0'],
         answer: 1,
         explanation: 'n = M·V = 0.50×2.0 = 1.0 mol。',
-        wrongReasonTags: ['公式套用錯']
+        wrongReasonTags: ['formula-choice']
       },
       {
         id: 'mo_p7',
         kind: 'mc',
+        difficulty: 3,
         stem: '從 2.0 M 儲備液取用多少 mL，稀釋成 250 mL 的 0.50 M？',
         choices: ['25', '50', '62.5', '125'],
         answer: 2,
         explanation: 'M1V1=M2V2 → 2.0·V1 = 0.50·0.250 → V1 = 0.0625 L = 62.5 mL。',
-        wrongReasonTags: ['稀釋公式錯', 'mL/L換算錯']
+        wrongReasonTags: ['dilution', 'volume-units']
       },
       {
         id: 'mo_p8',
         kind: 'mc',
+        difficulty: 1,
         stem: '關於稀釋，下列何者正確？',
         choices: ['稀釋後溶質 mol 數不變', '稀釋後溶質質量會增加', '稀釋後體積變小', '稀釋後濃度一定變大'],
         answer: 0,
         explanation: '加溶劑不改變溶質的 mol 數，但體積變大、濃度變小。',
-        wrongReasonTags: ['概念錯']
+        wrongReasonTags: ['dilution']
       },
       {
         id: 'mo_p9',
         kind: 'mc',
+        difficulty: 1,
         stem: '0.10 M 溶液的濃度表示什麼？',
         choices: ['每 1 L 溶液含 0.10 mol 溶質', '每 1 L 溶液含 0.10 g 溶質', '每 1 mol 溶液含 0.10 L 溶質', '每 1 L 溶液含 0.10 mol 溶劑'],
         answer: 0,
         explanation: '莫耳濃度 M = mol 溶質 / L 溶液。',
-        wrongReasonTags: ['定義錯']
+        wrongReasonTags: ['definitions']
       },
       {
         id: 'mo_p10',
         kind: 'mc',
+        difficulty: 1,
         stem: '1.0 L 的 0.20 M 溶液，若取出 0.50 L，取出的溶液濃度為？',
         choices: ['0.10', '0.20', '0.40', '1.0'],
         answer: 1,
         explanation: '同一瓶溶液取出一部分，濃度不變（仍為 0.20 M）。',
-        wrongReasonTags: ['取樣濃度概念錯']
+        wrongReasonTags: ['dilution']
+      },
+      {
+        id: 'mo_p11',
+        kind: 'numeric',
+        difficulty: 3,
+        stem: '要配 500 mL 的 0.10 M HCl，需取多少 mL 的 2.0 M HCl 稀釋？',
+        answer: 25,
+        unit: 'mL',
+        tolerance: { abs: 0.5 },
+        explanation: 'M1V1 = M2V2 → V1 = 0.10×500/2.0 = 25 mL。',
+        wrongReasonTags: ['dilution']
+      },
+      {
+        id: 'mo_p12',
+        kind: 'numeric',
+        stem: '200 mL 的 0.50 M 溶液含溶質幾 mol？',
+        answer: 0.1,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: 'n = M×V = 0.50×0.200 = 0.10 mol。',
+        wrongReasonTags: ['volume-units']
       }
     ]
   },
@@ -507,15 +788,41 @@ export const SKILLS = [
     id: 'balancing',
     name: '化學方程式配平（係數）',
     blurb: '守恆：原子數（必要時含電荷）；先配複雜、後配 H/O',
+    prerequisites: [],
+    conceptCards: [
+      {
+        id: 'bal_c1',
+        title: '配平 = 原子守恆',
+        definition: '反應前後每一種元素的原子總數必須相等；只能改係數，不能改化學式的下標。',
+        formulas: ['左邊某元素原子數 = Σ（係數 × 下標）= 右邊同元素原子數', '最後把係數化成最小整數比'],
+        example: {
+          problem: '配平：__ Al + __ O2 → __ Al2O3',
+          steps: ['O：左 2、右 3，取最小公倍數 6 → 3 O2、2 Al2O3', 'Al：右邊 2×2 = 4 → 左邊 4 Al', '結果：4Al + 3O2 → 2Al2O3']
+        },
+        pitfalls: ['為了湊數改下標（把 H2O 改成 H2O2）', '配完沒有化成最小整數比']
+      },
+      {
+        id: 'bal_c2',
+        title: '燃燒反應的配平順序',
+        definition: '碳氫化合物（或含氧燃料）燃燒：先配 C，再配 H，最後才配 O；O 放最後是因為 O2 只出現在一個物種。',
+        formulas: ['CxHy + O2 → x CO2 + (y/2) H2O'],
+        example: {
+          problem: '配平：__ C3H8 + __ O2 → __ CO2 + __ H2O',
+          steps: ['C：3 CO2', 'H：8 個 H → 4 H2O', 'O：右邊 3×2 + 4 = 10 → 5 O2', '結果：C3H8 + 5O2 → 3CO2 + 4H2O']
+        },
+        pitfalls: ['一開始就配 O，導致反覆修改', '燃料本身含 O（如 C2H5OH）時忘了扣掉']
+      }
+    ],
     diagnostic: [
       {
         id: 'bal_d1',
         kind: 'mc',
+        difficulty: 1,
         stem: '配平：__ H2 + __ O2 → __ H2O',
         choices: ['1,1,1', '2,1,2', '1,2,2', '2,2,2'],
         answer: 1,
         explanation: '2H2 + O2 → 2H2O，可同時守恆 H、O 原子數。',
-        wrongReasonTags: ['係數概念錯', '只看一種元素']
+        wrongReasonTags: ['coefficient-meaning', 'atom-count-check']
       },
       {
         id: 'bal_d2',
@@ -524,7 +831,17 @@ export const SKILLS = [
         choices: ['2,3,1', '4,3,2', '1,1,1', '2,1,1'],
         answer: 1,
         explanation: '4Al + 3O2 → 2Al2O3（先配 Al2O3 的 O=6，再回推 O2=3，Al=4）。',
-        wrongReasonTags: ['最小整數係數錯', '倍數回推錯']
+        wrongReasonTags: ['lowest-terms', 'atom-count-check']
+      },
+      {
+        id: 'bal_d3',
+        kind: 'balance',
+        stem: '在空格中填入係數，配平：Fe + Cl2 → FeCl3',
+        reactants: ['Fe', 'Cl2'],
+        products: ['FeCl3'],
+        answer: [2, 3, 2],
+        explanation: 'Cl：左 2、右 3，取 6 → 3Cl2、2FeCl3；Fe 隨之為 2。',
+        wrongReasonTags: ['lowest-terms', 'atom-count-check']
       }
     ],
     practice: [
@@ -535,7 +852,7 @@ export const SKILLS = [
         choices: ['1,3,2', '1,2,3', '2,3,2', '1,1,1'],
         answer: 0,
         explanation: 'N2 有 2 個 N，需 2NH3；此時 H 為 6，需要 3H2。',
-        wrongReasonTags: ['先配錯元素', 'H係數錯']
+        wrongReasonTags: ['balance-order', 'atom-count-check']
       },
       {
         id: 'bal_p2',
@@ -544,25 +861,27 @@ export const SKILLS = [
         choices: ['2,1,1', '4,3,2', '2,3,1', '1,1,1'],
         answer: 1,
         explanation: '4Fe + 3O2 → 2Fe2O3（O=6 對上 3O2，Fe=4）。',
-        wrongReasonTags: ['O倍數錯', 'Fe倍數錯']
+        wrongReasonTags: ['atom-count-check']
       },
       {
         id: 'bal_p3',
         kind: 'mc',
+        difficulty: 3,
         stem: '配平：__ C3H8 + __ O2 → __ CO2 + __ H2O',
         choices: ['1,5,3,4', '1,4,3,4', '2,5,6,8', '1,3,3,4'],
         answer: 0,
         explanation: '先配 C：3CO2；配 H：4H2O；再配 O：右側 O=3×2+4×1=10 → 5O2。',
-        wrongReasonTags: ['先配C/H策略錯', '最後配O錯']
+        wrongReasonTags: ['balance-order']
       },
       {
         id: 'bal_p4',
         kind: 'mc',
+        difficulty: 1,
         stem: '配平：__ Na + __ Cl2 → __ NaCl',
         choices: ['1,1,1', '2,1,2', '1,2,2', '2,2,2'],
         answer: 1,
         explanation: 'Cl2 是雙原子分子，需 2NaCl 才能配平 Cl，故 Na 也為 2。',
-        wrongReasonTags: ['雙原子分子忽略', '只配一邊']
+        wrongReasonTags: ['diatomic', 'atom-count-check']
       },
       {
         id: 'bal_p5',
@@ -571,16 +890,17 @@ export const SKILLS = [
         choices: ['1,1,1', '2,2,3', '2,2,1', '3,3,2'],
         answer: 1,
         explanation: '2KClO3 → 2KCl + 3O2（先讓 O 變 6，對上 3O2）。',
-        wrongReasonTags: ['O係數錯', '最小整數係數錯']
+        wrongReasonTags: ['atom-count-check', 'lowest-terms']
       },
       {
         id: 'bal_p6',
         kind: 'mc',
+        difficulty: 1,
         stem: '下列哪個配平順序通常較好？',
         choices: ['先配 O 再配 H', '先配最複雜的化合物，再配單質，最後配 H/O', '看到係數就先全乘 2', '先把所有係數設為 1'],
         answer: 1,
         explanation: '常見策略：先配複雜物種（含多元素/多原子），單質通常最後；含 H/O 的反應常把 O 最後。',
-        wrongReasonTags: ['策略概念錯']
+        wrongReasonTags: ['balance-order']
       },
       {
         id: 'bal_p7',
@@ -589,7 +909,7 @@ export const SKILLS = [
         choices: ['1,1,1', '2,2,1', '2,1,1', '1,2,1'],
         answer: 1,
         explanation: '2H2O2 → 2H2O + O2。先配 H（左右皆 4），再配 O（左 4；右 2+2=4）。',
-        wrongReasonTags: ['O係數錯', '最小整數係數錯']
+        wrongReasonTags: ['atom-count-check', 'lowest-terms']
       },
       {
         id: 'bal_p8',
@@ -598,7 +918,7 @@ export const SKILLS = [
         choices: ['1,1,1,1', '1,2,1,1', '2,1,2,1', '1,2,2,1'],
         answer: 1,
         explanation: 'ZnCl2 需要 2 個 Cl，因此左邊要 2HCl；H 也因此為 2，生成 1H2。',
-        wrongReasonTags: ['只配Cl忘了H', '係數最小化錯']
+        wrongReasonTags: ['atom-count-check', 'lowest-terms']
       },
       {
         id: 'bal_p9',
@@ -607,16 +927,60 @@ export const SKILLS = [
         choices: ['1,1,1,1', '2,1,1,2', '1,2,1,2', '2,2,1,4'],
         answer: 1,
         explanation: '先配 Na2SO4：右邊需 2NaOH；此時 H=2(來自2NaOH)+2(來自H2SO4)=4，右邊需 2H2O；O 也可檢查守恆。',
-        wrongReasonTags: ['先配複雜物種策略錯', 'H/O檢查漏掉']
+        wrongReasonTags: ['balance-order', 'atom-count-check']
       },
       {
         id: 'bal_p10',
         kind: 'mc',
+        difficulty: 3,
         stem: '配平：__ C2H5OH + __ O2 → __ CO2 + __ H2O',
         choices: ['1,2,2,3', '1,3,2,3', '1,3,1,2', '2,5,4,6'],
         answer: 1,
         explanation: '先配 C：2CO2；配 H：3H2O；右側 O=2×2+3×1=7。左側乙醇自帶 1 個 O，所以 O2 需提供 6 個 O → 3O2。',
-        wrongReasonTags: ['含氧燃燒最後配O錯', '忽略燃料自帶O']
+        wrongReasonTags: ['balance-order']
+      },
+      {
+        id: 'bal_p11',
+        kind: 'balance',
+        stem: '在空格中填入係數，配平：CH4 + O2 → CO2 + H2O',
+        reactants: ['CH4', 'O2'],
+        products: ['CO2', 'H2O'],
+        answer: [1, 2, 1, 2],
+        explanation: '先配 C：1CO2；配 H：2H2O；右側 O = 2 + 2 = 4 → 2O2。',
+        wrongReasonTags: ['balance-order']
+      },
+      {
+        id: 'bal_p12',
+        kind: 'balance',
+        difficulty: 3,
+        stem: '在空格中填入係數，配平：Al + HCl → AlCl3 + H2',
+        reactants: ['Al', 'HCl'],
+        products: ['AlCl3', 'H2'],
+        answer: [2, 6, 2, 3],
+        explanation: 'Cl 與 H 同在 HCl：AlCl3 需 3 個 Cl、H2 需偶數 H，取 6HCl → 2AlCl3 + 3H2，Al 為 2。',
+        wrongReasonTags: ['diatomic', 'lowest-terms']
+      },
+      {
+        id: 'bal_p13',
+        kind: 'balance',
+        difficulty: 3,
+        stem: '在空格中填入係數，配平：Ca(OH)2 + HCl → CaCl2 + H2O',
+        reactants: ['Ca(OH)2', 'HCl'],
+        products: ['CaCl2', 'H2O'],
+        answer: [1, 2, 1, 2],
+        explanation: 'CaCl2 需 2 個 Cl → 2HCl；左側 H = 2 + 2 = 4 → 2H2O。',
+        wrongReasonTags: ['bracket']
+      },
+      {
+        id: 'bal_p14',
+        kind: 'balance',
+        difficulty: 3,
+        stem: '在空格中填入係數，配平：C2H6 + O2 → CO2 + H2O',
+        reactants: ['C2H6', 'O2'],
+        products: ['CO2', 'H2O'],
+        answer: [2, 7, 4, 6],
+        explanation: '先寫 C2H6 + 7/2 O2 → 2CO2 + 3H2O，再全部乘 2 去掉分數：2C2H6 + 7O2 → 4CO2 + 6H2O。',
+        wrongReasonTags: ['lowest-terms', 'balance-order']
       }
     ]
   },
@@ -625,35 +989,63 @@ export const SKILLS = [
     id: 'solubility',
     name: '溶解度、飽和與沉澱（基本概念）',
     blurb: '溶解/沉澱判斷；飽和/過飽和；溫度對溶解度影響（定性）',
+    prerequisites: ['molarity'],
+    conceptCards: [
+      {
+        id: 'sol_c1',
+        title: '溶解度與飽和',
+        definition: '溶解度：一定溫度下，100 g 溶劑最多可溶解的溶質質量（g）。達到上限的溶液叫飽和溶液，可與未溶固體共存。',
+        formulas: ['溶解量 < 溶解度 → 不飽和', '溶解量 = 溶解度 → 飽和', '溶解量 > 溶解度（暫時）→ 過飽和'],
+        example: {
+          problem: '某鹽在 20°C 的溶解度為 36 g/100 g 水。把 30 g 鹽放入 100 g 水中完全溶解，溶液狀態為？',
+          steps: ['30 g < 36 g，還沒到上限', '→ 不飽和溶液']
+        },
+        pitfalls: ['把「溶解得快」當成「溶解度大」', '以為瓶底有固體就一定是過飽和（其實是飽和）']
+      },
+      {
+        id: 'sol_c2',
+        title: '溫度與過飽和',
+        definition: '多數固體的溶解度隨溫度上升而增加；熱的飽和溶液小心冷卻、不擾動，可暫時形成不穩定的過飽和溶液。',
+        formulas: ['多數固體：T↑ → 溶解度↑', '過飽和 + 晶種或擾動 → 迅速析出結晶'],
+        example: {
+          problem: '過飽和醋酸鈉溶液中丟入一小粒醋酸鈉晶體，會看到什麼？',
+          steps: ['晶種提供結晶中心', '多出來的溶質迅速析出，直到回到飽和']
+        },
+        pitfalls: ['把「多數固體」的規律當成所有物質都適用（例如氣體溶解度隨溫度上升反而下降）', '以為過飽和溶液是穩定狀態']
+      }
+    ],
     diagnostic: [
       {
         id: 'sol_d1',
         kind: 'mc',
+        difficulty: 1,
         stem: '在一定溫度下，溶液中溶質已達到「再加入也不再溶解」的狀態，稱為？',
         choices: ['不飽和溶液', '飽和溶液', '過飽和溶液', '稀釋溶液'],
         answer: 1,
         explanation: '在該溫度下達到溶解度上限，稱為飽和溶液。',
-        wrongReasonTags: ['名詞混淆', '概念記憶錯']
+        wrongReasonTags: ['saturation']
       },
       {
         id: 'sol_d2',
         kind: 'mc',
+        difficulty: 1,
         stem: '一般而言，多數固體溶質在水中的溶解度隨溫度上升會如何變化？',
         choices: ['增加', '減少', '不變', '一定先增後減'],
         answer: 0,
         explanation: '多數固體溶解是吸熱過程，溫度上升溶解度通常增加（有例外，但高中常以「多數增加」作定性判斷）。',
-        wrongReasonTags: ['溫度影響概念錯', '例外當通則']
+        wrongReasonTags: ['temperature-solubility']
       }
     ],
     practice: [
       {
         id: 'sol_p1',
         kind: 'mc',
+        difficulty: 1,
         stem: '在同溫度下，將少量食鹽加入水中並完全溶解，此溶液最可能是？',
         choices: ['不飽和溶液', '飽和溶液', '一定是過飽和', '無法判斷'],
         answer: 0,
         explanation: '少量且完全溶解，通常尚未達到溶解度上限，為不飽和溶液。',
-        wrongReasonTags: ['飽和判斷錯']
+        wrongReasonTags: ['saturation']
       },
       {
         id: 'sol_p2',
@@ -662,7 +1054,7 @@ export const SKILLS = [
         choices: ['不飽和', '飽和（與固體共存）', '過飽和', '稀釋'],
         answer: 1,
         explanation: '飽和溶液可與未溶固體共存；固體殘留表示已達溶解度上限。',
-        wrongReasonTags: ['飽和定義錯']
+        wrongReasonTags: ['saturation']
       },
       {
         id: 'sol_p3',
@@ -671,34 +1063,37 @@ export const SKILLS = [
         choices: ['固體溶解變少', '固體溶解變多、殘留固體變少', '一定產生沉澱', '溶液一定變成過飽和'],
         answer: 1,
         explanation: '多數固體溶解度隨溫度上升而增加，加熱可使更多固體溶解。',
-        wrongReasonTags: ['溫度影響判斷錯']
+        wrongReasonTags: ['temperature-solubility']
       },
       {
         id: 'sol_p4',
         kind: 'mc',
+        difficulty: 3,
         stem: '把「熱的飽和溶液」緩慢冷卻且不搖晃，有可能形成哪一種狀態？',
         choices: ['一定不飽和', '可能過飽和', '一定析出全部溶質', '一定變成純水'],
         answer: 1,
         explanation: '熱飽和溶液冷卻後溶解度下降，若未立即結晶析出，可能暫時形成過飽和溶液。',
-        wrongReasonTags: ['過飽和概念錯']
+        wrongReasonTags: ['saturation']
       },
       {
         id: 'sol_p5',
         kind: 'mc',
+        difficulty: 3,
         stem: '過飽和溶液中投入少量晶種（同種固體）最可能導致？',
         choices: ['溶質全部溶解', '迅速結晶析出', '溶液一定變稀', '不會有任何變化'],
         answer: 1,
         explanation: '晶種提供結晶中心，過飽和狀態不穩定，容易析出結晶。',
-        wrongReasonTags: ['晶種/結晶概念錯']
+        wrongReasonTags: ['saturation']
       },
       {
         id: 'sol_p6',
         kind: 'mc',
+        difficulty: 1,
         stem: '下列哪一句最符合「溶解度」的意義？',
         choices: ['溶液中溶質的莫耳濃度', '在一定溫度下，100 g 溶劑最多可溶解的溶質質量', '溶質的分子量', '溶質在水中溶解的速度'],
         answer: 1,
         explanation: '高中常用定義：在一定溫度下，100 g 溶劑所能溶解的最大溶質質量（g）。',
-        wrongReasonTags: ['名詞/定義混淆']
+        wrongReasonTags: ['definitions']
       }
     ]
   }
@@ -712,11 +1107,155 @@ export function getAllDiagnosticQuestions() {
   return SKILLS.flatMap((s) => (s.diagnostic || []).map((q) => ({ ...q, skillId: s.id })));
 }
 
+// Item pool for the adaptive diagnostic: diagnostic questions first, then the fixed practice bank.
+// Template variants stay out: they are saved for practice days, and every skill already has more items than the adaptive cap.
+export function getAdaptivePools() {
+  return SKILLS.map((s) => ({
+    skillId: s.id,
+    items: [...(s.diagnostic || []), ...(s.practice || [])].map((q) => ({ ...q, skillId: s.id }))
+  }));
+}
+
 export function getPracticeQuestionsForSkill(skillId) {
   const s = getSkillById(skillId);
   return (s?.practice || []).map((q) => ({ ...q, skillId }));
 }
 
+// Diagnostic + practice questions of every skill (each tagged with skillId).
+export function getAllQuestions() {
+  return SKILLS.flatMap((s) => [...(s.diagnostic || []), ...(s.practice || [])].map((q) => ({ ...q, skillId: s.id })));
+}
+
+let questionIndex = null;
+
+// Also resolves template variant ids (`mole_t1@3`, see ./templates.js).
+export function getQuestionById(qid) {
+  if (!questionIndex) questionIndex = new Map(getAllQuestions().map((q) => [q.id, q]));
+  return questionIndex.get(String(qid || '')) || getTemplateVariant(qid);
+}
+
+// How many variants per template validateSkillsContent builds and checks.
+const TEMPLATE_SAMPLE_SIZE = 20;
+
+// Shape checks shared by skill questions, template variants and wrong-reason drills.
+function validateQuestion(q, where, seenQids, errors) {
+  const qid = String(q?.id || '');
+  if (!qid) {
+    errors.push(`${where} has a question missing an id.`);
+    return;
+  }
+  if (seenQids.has(qid)) errors.push(`Duplicate question id: ${qid}`);
+  seenQids.add(qid);
+
+  const kind = String(q?.kind || '');
+  const stem = String(q?.stem || '');
+  if (!kind) errors.push(`Question ${qid} is missing kind.`);
+  if (!stem) errors.push(`Question ${qid} is missing stem.`);
+
+  if (kind === 'mc') {
+    const choices = Array.isArray(q?.choices) ? q.choices : null;
+    if (!choices || choices.length < 2) {
+      errors.push(`Question ${qid} (mc) must have 2+ choices.`);
+    } else {
+      for (let i = 0; i < choices.length; i++) {
+        if (!String(choices[i] ?? '').trim()) errors.push(`Question ${qid} (mc) has an empty choice at index ${i}.`);
+      }
+    }
+
+    const ans = q?.answer;
+    if (typeof ans !== 'number' || !Number.isInteger(ans)) {
+      errors.push(`Question ${qid} (mc) answer must be an integer index.`);
+    } else if (choices && (ans < 0 || ans >= choices.length)) {
+      errors.push(`Question ${qid} (mc) answer index out of range: ${ans} (choices=${choices.length}).`);
+    }
+  } else if (kind === 'numeric') {
+    if (typeof q?.answer !== 'number' || !Number.isFinite(q.answer)) {
+      errors.push(`Question ${qid} (numeric) answer must be a finite number.`);
+    }
+    if (q?.unit !== undefined && typeof q.unit !== 'string') {
+      errors.push(`Question ${qid} (numeric) unit must be a string if present.`);
+    }
+
+    const tol = q?.tolerance;
+    if (tol !== undefined) {
+      const okBound = (x) => x === undefined || (typeof x === 'number' && Number.isFinite(x) && x >= 0);
+      if (!tol || typeof tol !== 'object' || (tol.abs === undefined && tol.rel === undefined)) {
+        errors.push(`Question ${qid} (numeric) tolerance must have abs and/or rel.`);
+      } else if (!okBound(tol.abs) || !okBound(tol.rel)) {
+        errors.push(`Question ${qid} (numeric) tolerance bounds must be non-negative numbers.`);
+      }
+    }
+
+    const sf = q?.sigFigs;
+    if (sf !== undefined && (!Number.isInteger(sf) || sf < 1)) {
+      errors.push(`Question ${qid} (numeric) sigFigs must be a positive integer.`);
+    }
+  } else if (kind === 'balance') {
+    const species = [...(Array.isArray(q?.reactants) ? q.reactants : []), ...(Array.isArray(q?.products) ? q.products : [])];
+    if (!q?.reactants?.length || !q?.products?.length) {
+      errors.push(`Question ${qid} (balance) needs 1+ reactants and 1+ products.`);
+    }
+    for (const f of species) {
+      if (!parseFormula(f)) errors.push(`Question ${qid} (balance) has an unparsable formula: ${f}`);
+    }
+
+    const ans = q?.answer;
+    if (!Array.isArray(ans) || ans.length !== species.length || !ans.every((n) => Number.isInteger(n) && n >= 1)) {
+      errors.push(`Question ${qid} (balance) answer must be one positive integer per species.`);
+    } else {
+      const check = checkBalance(q, ans);
+      if (!check.correct) errors.push(`Question ${qid} (balance) answer does not conserve atoms.`);
+      else if (check.reduced.some((n, k) => n !== ans[k])) errors.push(`Question ${qid} (balance) answer is not in lowest terms.`);
+    }
+  } else if (kind) {
+    errors.push(`Question ${qid} has an unknown kind: ${kind}`);
+  }
+
+  const check = q?.check;
+  if (check !== undefined) {
+    for (const [f, expected] of Object.entries(check?.mr || {})) {
+      const mr = analyzeFormula(f)?.mr;
+      if (mr === undefined) errors.push(`Question ${qid} check: cannot parse formula ${f}.`);
+      else if (Math.abs(mr - expected) > 0.05) errors.push(`Question ${qid} check: Mr(${f}) = ${mr}, expected ${expected}.`);
+    }
+    for (const [f, atoms] of Object.entries(check?.atoms || {})) {
+      const counts = parseFormula(f);
+      if (!counts) {
+        errors.push(`Question ${qid} check: cannot parse formula ${f}.`);
+        continue;
+      }
+      for (const [el, n] of Object.entries(atoms || {})) {
+        if ((counts[el] || 0) !== n) errors.push(`Question ${qid} check: ${f} has ${counts[el] || 0} ${el}, expected ${n}.`);
+      }
+    }
+    if (check?.equation !== undefined) {
+      const eq = parseEquation(check.equation);
+      if (!eq) errors.push(`Question ${qid} check: cannot parse equation ${check.equation}.`);
+      else if (!checkBalance(eq, eq.coeffs).correct) errors.push(`Question ${qid} check: equation is not balanced: ${check.equation}.`);
+    }
+  }
+
+  const difficulty = q?.difficulty;
+  if (difficulty !== undefined && ![1, 2, 3].includes(difficulty)) {
+    errors.push(`Question ${qid} difficulty must be 1, 2 or 3 if present.`);
+  }
+
+  const expl = q?.explanation;
+  if (expl !== undefined && !String(expl ?? '').trim()) {
+    errors.push(`Question ${qid} has an empty explanation (either omit it or fill it).`);
+  }
+
+  const tags = q?.wrongReasonTags;
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) errors.push(`Question ${qid} wrongReasonTags must be an array if present.`);
+    else {
+      for (const t of tags) {
+        if (!getWrongReason(t)) errors.push(`Question ${qid} has an unknown wrongReasonTags entry: ${t}`);
+      }
+    }
+  }
+}
+
 // Dev-time content validation (guards against accidental duplicate ids which would collide in localStorage state)
 export function validateSkillsContent(skills = SKILLS) {
   /** @type {string[]} */
@@ -737,62 +1276,101 @@ export function validateSkillsContent(skills = SKILLS) {
       if (!name) errors.push(`Skill ${sid} is missing a name.`);
     }
 
+    for (const s of skills || []) {
+      const pres = s?.prerequisites;
+      if (pres === undefined) continue;
+      if (!Array.isArray(pres)) {
+        errors.push(`Skill ${s?.id} prerequisites must be an array if present.`);
+        continue;
+      }
+      for (const pre of pres) {
+        if (!seenSkillIds.has(pre)) errors.push(`Skill ${s.id} has an unknown prerequisite: ${pre}`);
+      }
+    }
+    const cycle = findPrerequisiteCycle(skills || []);
+    if (cycle) errors.push(`Prerequisite cycle: ${cycle.join(' → ')}`);
+
+    const seenCardIds = new Set();
+    for (const s of skills || []) {
+      const sid = String(s?.id || '');
+      const cards = s?.conceptCards;
+      if (cards === undefined) continue;
+      if (!Array.isArray(cards)) {
+        errors.push(`Skill ${sid} conceptCards must be an array if present.`);
+        continue;
+      }
+      for (const c of cards) {
+        const cid = String(c?.id || '');
+        if (!cid) {
+          errors.push(`Skill ${sid} has a concept card missing an id.`);
+          continue;
+        }
+        if (seenCardIds.has(cid)) errors.push(`Duplicate concept card id: ${cid}`);
+        seenCardIds.add(cid);
+
+        if (!String(c?.title || '').trim()) errors.push(`Concept card ${cid} is missing a title.`);
+        if (!String(c?.definition || '').trim()) errors.push(`Concept card ${cid} is missing a definition.`);
+
+        for (const field of ['formulas', 'pitfalls']) {
+          const xs = c?.[field];
+          if (xs === undefined) continue;
+          if (!Array.isArray(xs)) errors.push(`Concept card ${cid} ${field} must be an array if present.`);
+          else if (xs.some((x) => !String(x ?? '').trim())) errors.push(`Concept card ${cid} has an empty ${field} entry.`);
+        }
+
+        const ex = c?.example;
+        if (ex !== undefined) {
+          if (!String(ex?.problem || '').trim()) errors.push(`Concept card ${cid} example is missing a problem.`);
+          const steps = ex?.steps;
+          if (!Array.isArray(steps) || steps.length === 0) {
+            errors.push(`Concept card ${cid} example must have 1+ steps.`);
+          } else if (steps.some((x) => !String(x ?? '').trim())) {
+            errors.push(`Concept card ${cid} example has an empty step.`);
+          }
+        }
+      }
+    }
+
+    for (const t of TEMPLATES) {
+      if (!seenSkillIds.has(t.skillId)) errors.push(`Template ${t.id} points to an unknown skill: ${t.skillId}`);
+    }
+
     const seenQids = new Set();
     for (const s of skills || []) {
       const sid = String(s?.id || '');
       const sections = [
         { label: 'diagnostic', qs: s?.diagnostic || [] },
-        { label: 'practice', qs: s?.practice || [] }
+        { label: 'practice', qs: s?.practice || [] },
+        // A sample of generated variants goes through the same checks as hand-written questions.
+        {
+          label: 'template',
+          qs: TEMPLATES.filter((t) => t.skillId === sid).flatMap((t) =>
+            Array.from({ length: TEMPLATE_SAMPLE_SIZE }, (_, n) => getTemplateVariant(`${t.id}@${n}`) || { id: `${t.id}@${n}` })
+          )
+        }
       ];
       for (const sec of sections) {
-        for (const q of sec.qs || []) {
-          const qid = String(q?.id || '');
-          if (!qid) {
-            errors.push(`Skill ${sid} (${sec.label}) has a question missing an id.`);
-            continue;
-          }
-          if (seenQids.has(qid)) errors.push(`Duplicate question id: ${qid}`);
-          seenQids.add(qid);
-
-          const kind = String(q?.kind || '');
-          const stem = String(q?.stem || '');
-          if (!kind) errors.push(`Question ${qid} is missing kind.`);
-          if (!stem) errors.push(`Question ${qid} is missing stem.`);
-
-          if (kind === 'mc') {
-            const choices = Array.isArray(q?.choices) ? q.choices : null;
-            if (!choices || choices.length < 2) {
-              errors.push(`Question ${qid} (mc) must have 2+ choices.`);
-            } else {
-              for (let i = 0; i < choices.length; i++) {
-                if (!String(choices[i] ?? '').trim()) errors.push(`Question ${qid} (mc) has an empty choice at index ${i}.`);
-              }
-            }
-
-            const ans = q?.answer;
-            if (typeof ans !== 'number' || !Number.isInteger(ans)) {
-              errors.push(`Question ${qid} (mc) answer must be an integer index.`);
-            } else if (choices && (ans < 0 || ans >= choices.length)) {
-              errors.push(`Question ${qid} (mc) answer index out of range: ${ans} (choices=${choices.length}).`);
-            }
-          }
-
-          const expl = q?.explanation;
-          if (expl !== undefined && !String(expl ?? '').trim()) {
-            errors.push(`Question ${qid} has an empty explanation (either omit it or fill it).`);
-          }
+        for (const q of sec.qs || []) validateQuestion(q, `Skill ${sid} (${sec.label})`, seenQids, errors);
+      }
+    }
 
-          const tags = q?.wrongReasonTags;
-          if (tags !== undefined) {
-            if (!Array.isArray(tags)) errors.push(`Question ${qid} wrongReasonTags must be an array if present.`);
-            else {
-              for (const t of tags) {
-                if (!String(t ?? '').trim()) errors.push(`Question ${qid} has an empty wrongReasonTags entry.`);
-              }
-            }
-          }
-        }
+    const seenTagIds = new Set();
+    for (const t of WRONG_REASONS) {
+      const tid = String(t?.id || '');
+      if (!tid) {
+        errors.push('Wrong reason is missing an id.');
+        continue;
       }
+      if (seenTagIds.has(tid)) errors.push(`Duplicate wrong reason id: ${tid}`);
+      seenTagIds.add(tid);
+      if (!String(t?.name || '').trim()) errors.push(`Wrong reason ${tid} is missing a name.`);
+      if (!getWrongReasonCategory(t?.category)) errors.push(`Wrong reason ${tid} has an unknown category: ${t?.category}`);
+
+      const lesson = t?.lesson;
+      if (!String(lesson?.explanation || '').trim()) errors.push(`Wrong reason ${tid} lesson is missing an explanation.`);
+      const drills = Array.isArray(lesson?.drills) ? lesson.drills : [];
+      if (drills.length < 2 || drills.length > 3) errors.push(`Wrong reason ${tid} lesson must have 2–3 drills.`);
+      for (const q of drills) validateQuestion(q, `Wrong reason ${tid} lesson`, seenQids, errors);
     }
   } catch (e) {
     errors.push(`validateSkillsContent crashed: ${String(e?.message || e)}`);
@@ -0,0 +1,248 @@
+// Parameterized practice templates (see src/lib/templates.js for the schema).
+// Each practice day adds fresh variants on top of the fixed bank in skills.js, so a second pass
+// through a skill asks new numbers instead of the answers students already memorized.
+// Distractors come from known misconceptions; each carries a wrong-reason id (see ./wrongReasons.js) as its tag.
+
+import { analyzeFormula, parseFormula } from '../lib/formula.js';
+import { formatNumber } from '../lib/numeric.js';
+import { instantiateTemplate, parseVariantId, variantId } from '../lib/templates.js';
+
+const NA = 6.02e23;
+
+// How many variants of each template a practice day shows.
+export const TEMPLATE_VARIANTS_PER_DAY = 2;
+
+function atomsIn(formula) {
+  return Object.values(parseFormula(formula) || {}).reduce((a, b) => a + b, 0);
+}
+
+function massesHint(formula) {
+  const { counts } = analyzeFormula(formula) || { counts: {} };
+  return Object.keys(counts)
+    .map((el) => `${el}=${analyzeFormula(el)?.mr}`)
+    .join(', ');
+}
+
+export const TEMPLATES = [
+  {
+    id: 'mole_t1',
+    skillId: 'mole',
+    kind: 'mc',
+    stem: '{n} mol 的 {formula} 含有多少個分子？',
+    slots: {
+      n: [0.1, 0.2, 0.25, 0.4, 0.5, 0.75, 1.5, 2, 2.5, 3],
+      formula: ['H2O', 'CO2', 'NH3', 'CH4', 'O2', 'N2']
+    },
+    build({ n, formula }) {
+      const N = n * NA;
+      return {
+        answer: N,
+        unit: '個',
+        sigFigs: 3,
+        explanation: `N = n·NA = ${n}×6.02×10^23 = ${formatNumber(N, 3)} 個（問的是分子，不必乘原子數）。`,
+        distractors: [
+          { value: N * atomsIn(formula), tag: 'particle-kind' },
+          { value: n / NA, tag: 'formula-choice' },
+          { value: N / 10, tag: 'sci-notation' },
+          { value: N * 10, tag: 'sci-notation' }
+        ]
+      };
+    }
+  },
+  {
+    id: 'mole_t2',
+    skillId: 'mole',
+    kind: 'numeric',
+    stem: '{n} mol 的 {formula} 含有幾 mol 的 {el} 原子？',
+    slots: {
+      n: [0.1, 0.2, 0.25, 0.3, 0.5, 1.5, 2],
+      pick: [
+        { formula: 'H2SO4', el: 'O' },
+        { formula: 'Al2O3', el: 'O' },
+        { formula: 'CH4', el: 'H' },
+        { formula: 'C6H12O6', el: 'C' },
+        { formula: 'NH3', el: 'H' },
+        { formula: 'Ca(OH)2', el: 'H' },
+        { formula: 'Fe2O3', el: 'Fe' }
+      ]
+    },
+    build({ n, pick }) {
+      const k = parseFormula(pick.formula)?.[pick.el] || 0;
+      return {
+        vars: { formula: pick.formula, el: pick.el },
+        answer: n * k,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: `每個 ${pick.formula} 有 ${k} 個 ${pick.el}，故 ${pick.el} 原子為 ${n}×${k} = ${formatNumber(n * k)} mol。`,
+        wrongReasonTags: ['subscript']
+      };
+    }
+  },
+  {
+    id: 'mm_t1',
+    skillId: 'molar-mass',
+    kind: 'mc',
+    stem: '{formula} 的式量為？（{masses}）',
+    slots: {
+      formula: ['Ca(OH)2', 'Al(OH)3', 'Mg(OH)2', 'Al2(SO4)3', '(NH4)2SO4', 'Ca(NO3)2', 'Na2CO3', 'KMnO4']
+    },
+    build({ formula }) {
+      const mr = analyzeFormula(formula).mr;
+      // Misconceptions: subscripts ignored entirely; the bracket multiplier applied to nothing.
+      const flat = formula.replace(/\d+/g, '');
+      const noBracketMultiplier = formula.replace(/\)\d+/g, ')');
+      return {
+        vars: { masses: massesHint(formula) },
+        answer: mr,
+        explanation: `逐一把「原子量 × 原子個數」加總（括號外的下標要乘進括號內每個原子）：${formula} = ${formatNumber(mr)}。`,
+        distractors: [
+          { value: analyzeFormula(noBracketMultiplier)?.mr, tag: 'bracket' },
+          { value: analyzeFormula(flat)?.mr, tag: 'subscript' },
+          { value: mr - 16, tag: 'mr-sum' },
+          { value: mr + 16, tag: 'mr-sum' }
+        ]
+      };
+    }
+  },
+  {
+    id: 'mm_t2',
+    skillId: 'molar-mass',
+    kind: 'numeric',
+    stem: '{m} g 的 {formula} 是幾 mol？（{masses}）',
+    slots: {
+      n: [0.1, 0.2, 0.25, 0.5, 1.5, 2, 3],
+      formula: ['H2O', 'CO2', 'NaOH', 'CaCO3', 'NaCl', 'CH4', 'O2']
+    },
+    build({ n, formula }) {
+      const mr = analyzeFormula(formula).mr;
+      const m = Number((n * mr).toFixed(2));
+      return {
+        vars: { m, masses: massesHint(formula) },
+        answer: n,
+        unit: 'mol',
+        tolerance: { rel: 0.01 },
+        explanation: `M(${formula}) = ${mr} g/mol，n = m/M = ${m}/${mr} = ${n} mol。`,
+        wrongReasonTags: ['mass-to-mole']
+      };
+    }
+  },
+  {
+    id: 'st_t1',
+    skillId: 'stoichiometry',
+    kind: 'mc',
+    stem: '{equation}。若 {n} mol {from} 完全反應，對應幾 mol {to}？',
+    slots: {
+      n: [0.5, 1, 1.5, 2, 3, 4, 6],
+      rxn: [
+        { equation: 'N2 + 3H2 → 2NH3', from: ['H2', 3], to: ['NH3', 2] },
+        { equation: '2H2 + O2 → 2H2O', from: ['O2', 1], to: ['H2O', 2] },
+        { equation: '4Fe + 3O2 → 2Fe2O3', from: ['Fe', 4], to: ['O2', 3] },
+        { equation: '2Al + 3Cl2 → 2AlCl3', from: ['Al', 2], to: ['Cl2', 3] },
+        { equation: 'CH4 + 2O2 → CO2 + 2H2O', from: ['CH4', 1], to: ['H2O', 2] },
+        { equation: '2KClO3 → 2KCl + 3O2', from: ['KClO3', 2], to: ['O2', 3] }
+      ]
+    },
+    build({ n, rxn }) {
+      const [from, a] = rxn.from;
+      const [to, b] = rxn.to;
+      const x = (n * b) / a;
+      return {
+        vars: { equation: rxn.equation, from, to },
+        answer: x,
+        unit: 'mol',
+        explanation: `${to} : ${from} = ${b} : ${a}，故 n(${to}) = ${n}×${b}/${a} = ${formatNumber(x)} mol。`,
+        distractors: [
+          { value: (n * a) / b, tag: 'mole-ratio' },
+          { value: n, tag: 'mole-ratio' },
+          { value: n * b, tag: 'mole-ratio' },
+          { value: n * a * b, tag: 'mole-ratio' },
+          { value: (2 * n * b) / a, tag: 'mole-ratio' }
+        ]
+      };
+    }
+  },
+  {
+    id: 'mo_t1',
+    skillId: 'molarity',
+    kind: 'mc',
+    stem: '將 {n} mol 溶質溶於水配成 {v} mL 溶液，濃度為？',
+    slots: {
+      n: [0.05, 0.1, 0.2, 0.25, 0.5],
+      v: [100, 200, 250, 500]
+    },
+    build({ n, v }) {
+      const M = n / (v / 1000);
+      return {
+        answer: M,
+        unit: 'M',
+        explanation: `V = ${v} mL = ${v / 1000} L，M = n/V = ${n}/${v / 1000} = ${formatNumber(M)} M。`,
+        // V/n is the answer itself whenever V in L equals n (0.1 mol in 100 mL), so keep spares: four choices always.
+        distractors: [
+          { value: n / v, tag: 'volume-units' },
+          { value: v / 1000 / n, tag: 'formula-choice' },
+          { value: (n * v) / 1000, tag: 'formula-choice' },
+          { value: n / (v * 1000), tag: 'volume-units' },
+          { value: M * 10, tag: 'decimal-arith' },
+          { value: M / 10, tag: 'decimal-arith' }
+        ]
+      };
+    }
+  },
+  {
+    id: 'mo_t2',
+    skillId: 'molarity',
+    kind: 'numeric',
+    stem: '取 {v1} mL 的 {m1} M 溶液加水稀釋成 {v2} mL，新濃度為幾 M？',
+    slots: {
+      m1: [0.5, 1, 2, 3, 6],
+      v1: [10, 20, 25, 50],
+      f: [2, 4, 5, 10]
+    },
+    build({ m1, v1, f }) {
+      const v2 = v1 * f;
+      const m2 = (m1 * v1) / v2;
+      return {
+        vars: { v2 },
+        answer: m2,
+        unit: 'M',
+        tolerance: { rel: 0.01 },
+        explanation: `稀釋前後溶質 mol 數不變：M2 = M1V1/V2 = ${m1}×${v1}/${v2} = ${formatNumber(m2)} M。`,
+        wrongReasonTags: ['dilution']
+      };
+    }
+  }
+];
+
+const byId = new Map(TEMPLATES.map((t) => [t.id, t]));
+
+export function getTemplatesForSkill(skillId) {
+  return TEMPLATES.filter((t) => t.skillId === skillId);
+}
+
+const variantCache = new Map();
+
+// Rebuild a variant from its id (`mole_t1@3`); null when the template no longer exists.
+export function getTemplateVariant(qid) {
+  const key = String(qid || '');
+  if (variantCache.has(key)) return variantCache.get(key);
+  const parsed = parseVariantId(key);
+  const tpl = parsed ? byId.get(parsed.templateId) : null;
+  const q = tpl ? instantiateTemplate(tpl, parsed.n) : null;
+  variantCache.set(key, q);
+  return q;
+}
+
+/**
+ * Variants for one practice day. `occurrence` is how many earlier plan days had the same skill,
+ * so revisiting a skill moves on to new numbers while a refresh/import rebuilds the same ones.
+ */
+export function getTemplateVariantsForSkill(skillId, occurrence = 0) {
+  const out = [];
+  for (const t of getTemplatesForSkill(skillId)) {
+    for (let j = 0; j < TEMPLATE_VARIANTS_PER_DAY; j++) {
+      const q = getTemplateVariant(variantId(t.id, occurrence * TEMPLATE_VARIANTS_PER_DAY + j));
+      if (q) out.push(q);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,660 @@
+// Wrong-reason taxonomy: every `wrongReasonTags` entry in skills.js / templates.js is an id from WRONG_REASONS.
+// Ids are stable (saved in progress as wrongReasonPicks); names can be reworded freely.
+// Each tag has a parent category and a remediation mini-lesson: a short explanation plus 2–3 drill items
+// (same question shape as skills.js; drills are practice only and never enter mastery or the attempt log).
+//
+// legacyNames: the free-text tags used before the registry, so older saves and exports still map onto an id.
+
+export const WRONG_REASON_CATEGORIES = [
+  { id: 'math', name: '數學運算' },
+  { id: 'formula-reading', name: '化學式判讀' },
+  { id: 'quantities', name: '莫耳與單位換算' },
+  { id: 'ratio', name: '係數與莫耳比' },
+  { id: 'balancing', name: '配平策略' },
+  { id: 'concepts', name: '概念與定義' }
+];
+
+export const WRONG_REASONS = [
+  {
+    id: 'sci-notation',
+    name: '科學記號與指數',
+    category: 'math',
+    legacyNames: ['指數/科學記號錯', '指數比較錯', '指數運算錯', '指數錯', '除法/指數錯'],
+    lesson: {
+      explanation:
+        'a×10^n 相乘時係數相乘、指數相加；相除時係數相除、指數相減。算完把係數調回 1–10 之間（12×10^23 = 1.2×10^24）。比大小先比指數，再比係數。',
+      drills: [
+        {
+          id: 'wr_sci_1',
+          kind: 'mc',
+          stem: '(3.0×10^23) × 2 = ?',
+          choices: ['6.0×10^46', '6.0×10^23', '3.0×10^46', '6.0×10^24'],
+          answer: 1,
+          explanation: '只有係數乘 2，指數不變：6.0×10^23。'
+        },
+        {
+          id: 'wr_sci_2',
+          kind: 'mc',
+          stem: '(1.2×10^24) ÷ (6.0×10^23) = ?',
+          choices: ['0.2', '2.0×10^47', '2.0', '20'],
+          answer: 2,
+          explanation: '1.2/6.0 = 0.2，10^24/10^23 = 10，0.2×10 = 2.0。'
+        },
+        {
+          id: 'wr_sci_3',
+          kind: 'numeric',
+          stem: '把 25×10^22 改寫成係數在 1–10 之間的科學記號。',
+          answer: 2.5e23,
+          tolerance: { rel: 0.001 },
+          explanation: '25 = 2.5×10^1，所以 25×10^22 = 2.5×10^23。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'decimal-arith',
+    name: '小數運算',
+    category: 'math',
+    legacyNames: ['小數乘法錯', '小數加總錯', '小數點位移錯', '乘法錯'],
+    lesson: {
+      explanation:
+        '先估算再精算：0.25×4 = 1、0.5×6.02 ≈ 3。乘以 10 小數點往右移一位、除以 10 往左移一位，算完用估算值對一次數量級。',
+      drills: [
+        {
+          id: 'wr_dec_1',
+          kind: 'mc',
+          stem: '0.25 × 6.02 = ?',
+          choices: ['15.05', '0.1505', '2.408', '1.505'],
+          answer: 3,
+          explanation: '0.25 就是 1/4，6.02/4 = 1.505。'
+        },
+        {
+          id: 'wr_dec_2',
+          kind: 'numeric',
+          stem: '0.40 × 2.5 = ?',
+          answer: 1,
+          tolerance: { rel: 0.001 },
+          explanation: '0.4×2.5 = 1.0（4×25 = 100，再往左移兩位小數）。'
+        },
+        {
+          id: 'wr_dec_3',
+          kind: 'mc',
+          stem: '(6.02×10^23) × 0.10 = ?',
+          choices: ['6.02×10^22', '6.02×10^24', '0.602×10^21', '6.02×10^23'],
+          answer: 0,
+          explanation: '乘以 0.10 等於除以 10，指數減 1：6.02×10^22。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'mr-sum',
+    name: '式量加總',
+    category: 'math',
+    legacyNames: ['加總錯', '比較策略錯'],
+    lesson: {
+      explanation:
+        '式量 = Σ（原子量 × 原子個數）。先列出每種元素和個數，逐項相乘再加總，最後檢查有沒有漏掉元素。比較大小時也是先估各項再加。',
+      drills: [
+        {
+          id: 'wr_mr_1',
+          kind: 'numeric',
+          stem: 'NaOH 的式量為？（Na=23, O=16, H=1）',
+          answer: 40,
+          tolerance: { abs: 0.1 },
+          explanation: '23 + 16 + 1 = 40。',
+          check: { mr: { NaOH: 40 } }
+        },
+        {
+          id: 'wr_mr_2',
+          kind: 'mc',
+          stem: 'H2SO4 的式量為？（H=1, S=32, O=16）',
+          choices: ['49', '98', '50', '96'],
+          answer: 1,
+          explanation: '2×1 + 32 + 4×16 = 98。',
+          check: { mr: { H2SO4: 98 } }
+        },
+        {
+          id: 'wr_mr_3',
+          kind: 'numeric',
+          stem: 'C2H6 的 Mr 為？（C=12, H=1）',
+          answer: 30,
+          tolerance: { abs: 0.1 },
+          explanation: '2×12 + 6×1 = 30。',
+          check: { mr: { C2H6: 30 } }
+        }
+      ]
+    }
+  },
+  {
+    id: 'subscript',
+    name: '下標倍數',
+    category: 'formula-reading',
+    legacyNames: ['下標倍數漏掉', '下標倍數錯', '係數/倍數錯', '分子內原子數忽略', '倍數錯'],
+    lesson: {
+      explanation:
+        '下標只作用在它前面的那個元素：H2O 有 2 個 H、1 個 O；Al2O3 有 2 個 Al、3 個 O。n mol 化合物含某原子 n × 下標 mol。',
+      drills: [
+        {
+          id: 'wr_sub_1',
+          kind: 'mc',
+          stem: '1 個 C6H12O6 分子含幾個 H 原子？',
+          choices: ['6', '1', '12', '24'],
+          answer: 2,
+          explanation: 'H 的下標是 12。',
+          check: { atoms: { C6H12O6: { H: 12 } } }
+        },
+        {
+          id: 'wr_sub_2',
+          kind: 'numeric',
+          stem: '0.50 mol 的 Al2O3 含有幾 mol 的 O 原子？',
+          answer: 1.5,
+          unit: 'mol',
+          tolerance: { rel: 0.01 },
+          explanation: '每個 Al2O3 有 3 個 O：0.50×3 = 1.5 mol。',
+          check: { atoms: { Al2O3: { O: 3 } } }
+        },
+        {
+          id: 'wr_sub_3',
+          kind: 'mc',
+          stem: 'CO2 的式量為？（C=12, O=16）',
+          choices: ['28', '60', '56', '44'],
+          answer: 3,
+          explanation: '12 + 2×16 = 44（O 的下標 2 要乘進去）。',
+          check: { mr: { CO2: 44 } }
+        }
+      ]
+    }
+  },
+  {
+    id: 'bracket',
+    name: '括號倍數',
+    category: 'formula-reading',
+    legacyNames: ['括號/下標倍數錯', '括號倍數概念錯', '括號倍數錯'],
+    lesson: {
+      explanation: '括號外的下標要乘進括號內每一個原子：Ca(OH)2 = 1 個 Ca + 2 個 O + 2 個 H。先把括號展開成原子個數，再算式量。',
+      drills: [
+        {
+          id: 'wr_br_1',
+          kind: 'mc',
+          stem: 'Mg(OH)2 含幾個 H 原子？',
+          choices: ['1', '2', '3', '4'],
+          answer: 1,
+          explanation: '(OH) 乘 2：2 個 O、2 個 H。',
+          check: { atoms: { 'Mg(OH)2': { H: 2, O: 2 } } }
+        },
+        {
+          id: 'wr_br_2',
+          kind: 'numeric',
+          stem: 'Ca(NO3)2 的式量為？（Ca=40, N=14, O=16）',
+          answer: 164,
+          tolerance: { abs: 0.1 },
+          explanation: '40 + 2×(14 + 3×16) = 40 + 2×62 = 164。',
+          check: { mr: { 'Ca(NO3)2': 164 } }
+        },
+        {
+          id: 'wr_br_3',
+          kind: 'mc',
+          stem: '(NH4)2SO4 含幾個 H 原子？',
+          choices: ['4', '6', '8', '2'],
+          answer: 2,
+          explanation: '(NH4) 乘 2：4×2 = 8 個 H。',
+          check: { atoms: { '(NH4)2SO4': { H: 8 } } }
+        }
+      ]
+    }
+  },
+  {
+    id: 'particle-kind',
+    name: '粒子種類混淆',
+    category: 'formula-reading',
+    legacyNames: ['粒子種類搞混', '粒子定義混淆'],
+    lesson: {
+      explanation:
+        '先問「數的是什麼粒子」：分子、原子、離子還是化學式單位。1 mol H2O 有 NA 個分子，卻有 3NA 個原子；題目問原子時要再乘上每個分子的原子數。',
+      drills: [
+        {
+          id: 'wr_pk_1',
+          kind: 'mc',
+          stem: '1 mol 的 H2O 含有多少個原子？',
+          choices: ['6.02×10^23', '1.81×10^24', '1.20×10^24', '3.01×10^23'],
+          answer: 1,
+          explanation: '每個 H2O 有 3 個原子：3×6.02×10^23 ≈ 1.81×10^24。'
+        },
+        {
+          id: 'wr_pk_2',
+          kind: 'mc',
+          stem: '0.50 mol 的 NaCl 含多少個「化學式單位」？',
+          choices: ['6.02×10^23', '1.20×10^24', '1.51×10^23', '3.01×10^23'],
+          answer: 3,
+          explanation: '問的是化學式單位，不必乘離子數：0.50×6.02×10^23 = 3.01×10^23。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'diatomic',
+    name: '雙原子分子',
+    category: 'formula-reading',
+    legacyNames: ['雙原子分子忽略'],
+    lesson: {
+      explanation: 'H2、O2、N2、Cl2 等元素在反應式中以雙原子分子出現，要寫 O2 而不是 O。配平時它們的係數每加 1，就多 2 個原子。',
+      drills: [
+        {
+          id: 'wr_di_1',
+          kind: 'mc',
+          stem: '反應式中的氯氣應寫成？',
+          choices: ['Cl', '2Cl', 'Cl2', 'Cl3'],
+          answer: 2,
+          explanation: '氯氣是雙原子分子 Cl2。'
+        },
+        {
+          id: 'wr_di_2',
+          kind: 'balance',
+          stem: '在空格中填入係數，配平：Na + Cl2 → NaCl',
+          reactants: ['Na', 'Cl2'],
+          products: ['NaCl'],
+          answer: [2, 1, 2],
+          explanation: 'Cl2 帶 2 個 Cl，所以 NaCl 要 2，Na 也要 2。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'avogadro',
+    name: '亞佛加厥數的使用',
+    category: 'quantities',
+    legacyNames: ['NA使用錯', 'NA倍數錯', 'NA記憶錯'],
+    lesson: {
+      explanation: 'NA ≈ 6.02×10^23 mol⁻¹。粒子數 → mol 用除的（n = N/NA），mol → 粒子數用乘的（N = n·NA）。',
+      drills: [
+        {
+          id: 'wr_na_1',
+          kind: 'mc',
+          stem: '3.01×10^23 個粒子是幾 mol？',
+          choices: ['0.50 mol', '2.0 mol', '1.8×10^47 mol', '5.0 mol'],
+          answer: 0,
+          explanation: 'n = N/NA = 3.01×10^23 / 6.02×10^23 = 0.50 mol。'
+        },
+        {
+          id: 'wr_na_2',
+          kind: 'numeric',
+          stem: '2.0 mol 的粒子數為多少？（NA = 6.02×10^23）',
+          answer: 1.204e24,
+          unit: '個',
+          tolerance: { rel: 0.01 },
+          explanation: 'N = n·NA = 2.0×6.02×10^23 = 1.204×10^24。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'formula-choice',
+    name: '公式選用',
+    category: 'quantities',
+    legacyNames: ['公式套用錯', 'n=M·V套用錯'],
+    lesson: {
+      explanation: '先寫出已知量與所求量的單位，再選公式：n = N/NA、n = m/M、M = n/V。代入前檢查單位是否對得上（V 用 L）。',
+      drills: [
+        {
+          id: 'wr_fc_1',
+          kind: 'mc',
+          stem: '已知溶質 0.20 mol、溶液 0.50 L，求莫耳濃度應該用？',
+          choices: ['M = n×V', 'M = V/n', 'M = n/V', 'M = n/NA'],
+          answer: 2,
+          explanation: '莫耳濃度是每公升溶液的溶質 mol 數：M = n/V。'
+        },
+        {
+          id: 'wr_fc_2',
+          kind: 'numeric',
+          stem: '0.30 mol 溶質配成 1.5 L 溶液，濃度為幾 M？',
+          answer: 0.2,
+          unit: 'M',
+          tolerance: { rel: 0.01 },
+          explanation: 'M = 0.30/1.5 = 0.20 M。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'mass-to-mole',
+    name: '質量與莫耳換算',
+    category: 'quantities',
+    legacyNames: ['質量轉莫耳錯'],
+    lesson: {
+      explanation: 'n = m/M：質量除以莫耳質量（g/mol）。算 M 時記得括號與下標；g ÷ (g/mol) = mol 可以用來檢查有沒有乘除顛倒。',
+      drills: [
+        {
+          id: 'wr_mm_1',
+          kind: 'numeric',
+          stem: '9.0 g 的 H2O 是幾 mol？（H=1, O=16）',
+          answer: 0.5,
+          unit: 'mol',
+          tolerance: { rel: 0.01 },
+          explanation: 'M(H2O) = 18 g/mol，n = 9.0/18 = 0.50 mol。',
+          check: { mr: { H2O: 18 } }
+        },
+        {
+          id: 'wr_mm_2',
+          kind: 'mc',
+          stem: '0.25 mol 的 CaCO3 質量為？（CaCO3 = 100）',
+          choices: ['400 g', '25 g', '0.0025 g', '100 g'],
+          answer: 1,
+          explanation: 'm = n·M = 0.25×100 = 25 g。',
+          check: { mr: { CaCO3: 100 } }
+        }
+      ]
+    }
+  },
+  {
+    id: 'volume-units',
+    name: 'mL 與 L 換算',
+    category: 'quantities',
+    legacyNames: ['mL/L換算錯'],
+    lesson: {
+      explanation: '莫耳濃度的體積單位是 L。mL 換成 L 要除以 1000：250 mL = 0.250 L。代入公式前先換單位。',
+      drills: [
+        {
+          id: 'wr_vol_1',
+          kind: 'mc',
+          stem: '250 mL = ? L',
+          choices: ['2.50', '25.0', '0.250', '250000'],
+          answer: 2,
+          explanation: '250/1000 = 0.250 L。'
+        },
+        {
+          id: 'wr_vol_2',
+          kind: 'numeric',
+          stem: '0.10 mol 溶質配成 200 mL 溶液，濃度為幾 M？',
+          answer: 0.5,
+          unit: 'M',
+          tolerance: { rel: 0.01 },
+          explanation: '200 mL = 0.200 L，M = 0.10/0.200 = 0.50 M。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'dilution',
+    name: '稀釋與取樣',
+    category: 'quantities',
+    legacyNames: ['稀釋公式錯', '取樣濃度概念錯', '概念錯'],
+    lesson: {
+      explanation: '加水稀釋時溶質 mol 數不變：M1V1 = M2V2。從溶液中取出一部分不會改變濃度，只會改變溶質的量。',
+      drills: [
+        {
+          id: 'wr_dil_1',
+          kind: 'numeric',
+          stem: '50 mL 的 2.0 M 溶液加水稀釋至 200 mL，新濃度為幾 M？',
+          answer: 0.5,
+          unit: 'M',
+          tolerance: { rel: 0.01 },
+          explanation: 'M2 = M1V1/V2 = 2.0×50/200 = 0.50 M。'
+        },
+        {
+          id: 'wr_dil_2',
+          kind: 'mc',
+          stem: '從 1.0 M 溶液倒出 100 mL，倒出的這份溶液濃度為？',
+          choices: ['0.10 M', '1.0 M', '10 M', '0.0010 M'],
+          answer: 1,
+          explanation: '取樣不改變濃度，仍是 1.0 M。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'mole-ratio',
+    name: '莫耳比換算',
+    category: 'ratio',
+    legacyNames: ['莫耳比錯', '莫耳比讀取錯', '係數對應錯', '倍數換算錯', '係數化簡錯', '流程概念錯'],
+    lesson: {
+      explanation: '係數比就是莫耳比。先把已知量換成 mol，再乘上「所求係數 / 已知係數」，最後才換回質量或粒子數。',
+      drills: [
+        {
+          id: 'wr_ratio_1',
+          kind: 'mc',
+          stem: 'N2 + 3H2 → 2NH3。3 mol H2 完全反應生成幾 mol NH3？',
+          choices: ['3 mol', '6 mol', '1 mol', '2 mol'],
+          answer: 3,
+          explanation: 'NH3 : H2 = 2 : 3，3×2/3 = 2 mol。',
+          check: { equation: 'N2 + 3H2 → 2NH3' }
+        },
+        {
+          id: 'wr_ratio_2',
+          kind: 'numeric',
+          stem: '2H2 + O2 → 2H2O。4.0 mol H2 需要幾 mol O2？',
+          answer: 2,
+          unit: 'mol',
+          tolerance: { rel: 0.01 },
+          explanation: 'O2 : H2 = 1 : 2，4.0×1/2 = 2.0 mol。',
+          check: { equation: '2H2 + O2 → 2H2O' }
+        }
+      ]
+    }
+  },
+  {
+    id: 'balance-order',
+    name: '配平順序',
+    category: 'balancing',
+    legacyNames: [
+      '先配C/H策略錯',
+      '先配複雜物種策略錯',
+      '先配錯元素',
+      '策略概念錯',
+      '最後配O錯',
+      '含氧燃燒最後配O錯',
+      '忽略燃料自帶O'
+    ],
+    lesson: {
+      explanation:
+        '先配只出現在一個反應物和一個生成物裡的元素（例如燃燒的 C、H），單質（O2、H2）留到最後，因為調整它們不會動到其他元素。燃料本身含 O 時，記得把它算進左邊。',
+      drills: [
+        {
+          id: 'wr_order_1',
+          kind: 'mc',
+          stem: '配平 C3H8 + O2 → CO2 + H2O 時，最適合留到最後的是？',
+          choices: ['C', 'H', '都一樣', 'O'],
+          answer: 3,
+          explanation: 'O 只在 O2 這個單質裡單獨出現，最後用 O2 的係數補齊。'
+        },
+        {
+          id: 'wr_order_2',
+          kind: 'balance',
+          stem: '在空格中填入係數，配平：C3H8 + O2 → CO2 + H2O',
+          reactants: ['C3H8', 'O2'],
+          products: ['CO2', 'H2O'],
+          answer: [1, 5, 3, 4],
+          explanation: '先配 C（3CO2）、再配 H（4H2O），右邊 O 共 10 個，所以 5O2。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'atom-count-check',
+    name: '原子數核對',
+    category: 'balancing',
+    legacyNames: ['H/O檢查漏掉', 'H係數錯', 'O係數錯', 'Fe倍數錯', 'O倍數錯', '只配Cl忘了H', '只看一種元素', '只配一邊', '倍數回推錯'],
+    lesson: {
+      explanation: '配完後逐一點名每種元素：左右兩邊的原子數（係數 × 下標）都要相等，包括一開始沒動到的元素。',
+      drills: [
+        {
+          id: 'wr_count_1',
+          kind: 'mc',
+          stem: '2H2 + O2 → 2H2O 左右兩邊各有幾個 H 原子？',
+          choices: ['2 和 2', '4 和 4', '4 和 2', '2 和 4'],
+          answer: 1,
+          explanation: '左邊 2×2 = 4，右邊 2×2 = 4。'
+        },
+        {
+          id: 'wr_count_2',
+          kind: 'balance',
+          stem: '在空格中填入係數，配平：Zn + HCl → ZnCl2 + H2',
+          reactants: ['Zn', 'HCl'],
+          products: ['ZnCl2', 'H2'],
+          answer: [1, 2, 1, 1],
+          explanation: 'Cl 右邊 2 個，HCl 要 2；這時 H 也是 2 個，剛好對上 H2。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'lowest-terms',
+    name: '最小整數係數',
+    category: 'balancing',
+    legacyNames: ['係數最小化錯', '最小整數係數錯'],
+    lesson: {
+      explanation: '係數要用最小整數比：4H2 + 2O2 → 4H2O 要約成 2H2 + O2 → 2H2O；出現分數係數時，全部同乘分母化成整數。',
+      drills: [
+        {
+          id: 'wr_low_1',
+          kind: 'mc',
+          stem: 'H2 + O2 → H2O 配平後，最小整數係數為？',
+          choices: ['4, 2, 4', '1, 0.5, 1', '2, 2, 2', '2, 1, 2'],
+          answer: 3,
+          explanation: '2H2 + O2 → 2H2O；4,2,4 也平衡但不是最小，0.5 不是整數。'
+        },
+        {
+          id: 'wr_low_2',
+          kind: 'balance',
+          stem: '在空格中填入係數，配平：H2O2 → H2O + O2',
+          reactants: ['H2O2'],
+          products: ['H2O', 'O2'],
+          answer: [2, 2, 1],
+          explanation: 'H2O2 → H2O + ½O2，同乘 2 得 2H2O2 → 2H2O + O2。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'coefficient-meaning',
+    name: '係數與下標的差別',
+    category: 'balancing',
+    legacyNames: ['係數概念錯'],
+    lesson: {
+      explanation: '係數寫在化學式前面，表示有幾個分子；下標寫在化學式裡，決定物質本身。配平只能改係數，改了下標就變成另一種物質。',
+      drills: [
+        {
+          id: 'wr_coef_1',
+          kind: 'mc',
+          stem: '配平 H2 + O2 → H2O 時，把 H2O 改寫成 H2O2 可以嗎？',
+          choices: ['可以，只要原子數相等', '不行，改下標就變成另一種物質', '可以，但要再乘 2', '只有生成物可以改'],
+          answer: 1,
+          explanation: 'H2O2 是過氧化氫，不是水；只能改係數。'
+        },
+        {
+          id: 'wr_coef_2',
+          kind: 'mc',
+          stem: '3H2O 中的「3」表示？',
+          choices: ['3 個 O 原子', '3 個 H 原子', '3 個 H2O 分子', 'H 與 O 的比例'],
+          answer: 2,
+          explanation: '寫在前面的是係數：3 個水分子。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'definitions',
+    name: '名詞定義',
+    category: 'concepts',
+    legacyNames: ['名詞/定義混淆', '定義混淆', '定義錯'],
+    lesson: {
+      explanation: '把定義用自己的話說成一句，再舉一個例子和一個反例。例如「莫耳濃度 = 每公升溶液中溶質的 mol 數」，分母是溶液，不是水。',
+      drills: [
+        {
+          id: 'wr_def_1',
+          kind: 'mc',
+          stem: '0.10 M 的意思是？',
+          choices: ['每 1 L 水含 0.10 mol 溶質', '每 100 g 溶液含 0.10 g 溶質', '每 1 L 溶液含 0.10 mol 溶質', '每 1 mol 溶質配 0.10 L 水'],
+          answer: 2,
+          explanation: 'M = mol/L（溶液）。'
+        },
+        {
+          id: 'wr_def_2',
+          kind: 'mc',
+          stem: '「1 mol」指的是？',
+          choices: ['6.02×10^23 個粒子的集合', '1 g 的物質', '任何物質 22.4 L', '1 個分子'],
+          answer: 0,
+          explanation: 'mol 是「數量」單位：NA 個粒子。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'saturation',
+    name: '飽和狀態判斷',
+    category: 'concepts',
+    legacyNames: ['飽和判斷錯', '飽和定義錯', '過飽和概念錯', '晶種/結晶概念錯', '名詞混淆', '概念記憶錯'],
+    lesson: {
+      explanation:
+        '飽和：在該溫度下再加溶質也不再溶解（常見瓶底有固體）。未飽和：還能再溶。過飽和：溶解量超過溶解度但暫時沒析出，一加晶種或搖晃就會結晶。',
+      drills: [
+        {
+          id: 'wr_sat_1',
+          kind: 'mc',
+          stem: '某溫度下，溶液還能再溶解更多溶質，這是？',
+          choices: ['飽和溶液', '過飽和溶液', '未飽和溶液', '懸浮液'],
+          answer: 2,
+          explanation: '還能再溶就是未飽和。'
+        },
+        {
+          id: 'wr_sat_2',
+          kind: 'mc',
+          stem: '在過飽和溶液中放入一小粒同種晶體，最可能？',
+          choices: ['晶體溶解', '迅速析出晶體', '沒有變化', '變成未飽和溶液'],
+          answer: 1,
+          explanation: '晶種提供結晶核，多溶的溶質會迅速析出。'
+        }
+      ]
+    }
+  },
+  {
+    id: 'temperature-solubility',
+    name: '溫度與溶解度',
+    category: 'concepts',
+    legacyNames: ['溫度影響判斷錯', '溫度影響概念錯', '例外當通則'],
+    lesson: {
+      explanation: '多數固體的溶解度隨溫度上升而增加，但有例外（如氫氧化鈣）；氣體的溶解度則隨溫度上升而降低。先看溶質是固體還是氣體。',
+      drills: [
+        {
+          id: 'wr_temp_1',
+          kind: 'mc',
+          stem: '一般而言，氣體在水中的溶解度隨溫度上升會？',
+          choices: ['增加', '不變', '降低', '先增後減'],
+          answer: 2,
+          explanation: '溫度高，氣體分子較易逸出，溶解度降低（汽水放久了沒氣）。'
+        },
+        {
+          id: 'wr_temp_2',
+          kind: 'mc',
+          stem: '把瓶底有剩餘固體的硝酸鉀飽和溶液加熱，最可能？',
+          choices: ['瓶底固體溶解更多', '析出更多固體', '沒有變化', '變成過飽和'],
+          answer: 0,
+          explanation: '硝酸鉀溶解度隨溫度上升而增加，剩下的固體會再溶解。'
+        }
+      ]
+    }
+  }
+];
+
+const byId = new Map(WRONG_REASONS.map((t) => [t.id, t]));
+const byLegacyName = new Map(WRONG_REASONS.flatMap((t) => (t.legacyNames || []).map((n) => [n, t.id])));
+
+export function getWrongReason(id) {
+  return byId.get(String(id || '')) || null;
+}
+
+export function getWrongReasonCategory(id) {
+  return WRONG_REASON_CATEGORIES.find((c) => c.id === id) || null;
+}
+
+// Display name for a tag id (falls back to the raw value so nothing renders blank).
+export function wrongReasonName(id) {
+  return getWrongReason(id)?.name || String(id ?? '');
+}
+
+/** Tag id for an id or a pre-registry name; null when unknown. */
+export function resolveWrongReasonId(x) {
+  const s = String(x ?? '');
+  if (byId.has(s)) return s;
+  return byLegacyName.get(s) || null;
+}
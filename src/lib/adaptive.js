@@ -0,0 +1,109 @@
+// Adaptive diagnostic: ask each skill only until its mastery is confidently high or low.
+//
+// The sequence is not stored: it is replayed from the answers so far (same answers → same questions),
+// which keeps refreshes, cross-tab sync and imports consistent without extra state.
+// - Skills take turns (round-robin), so a student who quits early still has a first estimate for every skill.
+// - Each skill's mastery is a Beta(1 + correct, 1 + wrong) posterior; the skill stops once
+//   P(mastery > MASTERY_CUTOFF) is ≥ ADAPTIVE_CONFIDENCE (high) or ≤ 1 − ADAPTIVE_CONFIDENCE (low),
+//   after at least ADAPTIVE_MIN_ITEMS and at most ADAPTIVE_MAX_ITEMS questions.
+// - The next item is the unasked one whose difficulty (1–3, default 2) is closest to the current estimate.
+
+export const ADAPTIVE_MIN_ITEMS = 2;
+export const ADAPTIVE_MAX_ITEMS = 4;
+export const ADAPTIVE_CONFIDENCE = 0.85;
+const MASTERY_CUTOFF = 0.5;
+const DEFAULT_DIFFICULTY = 2;
+
+// Posterior mean of Beta(1 + correct, 1 + wrong), as a 0..1 number.
+export function posteriorMean(correct, wrong) {
+  return (1 + correct) / (2 + correct + wrong);
+}
+
+// P(p > x) for p ~ Beta(a, b) with integer a, b: equals P(Binomial(a + b − 1, x) ≤ a − 1).
+function probAbove(a, b, x) {
+  const n = a + b - 1;
+  let term = Math.pow(1 - x, n); // k = 0
+  let sum = term;
+  for (let k = 1; k <= a - 1; k++) {
+    term *= ((n - k + 1) / k) * (x / (1 - x));
+    sum += term;
+  }
+  return Math.min(1, sum);
+}
+
+/** @returns {'high' | 'low' | null} */
+export function confidentLevel(correct, wrong) {
+  if (correct + wrong < ADAPTIVE_MIN_ITEMS) return null;
+  const p = probAbove(1 + correct, 1 + wrong, MASTERY_CUTOFF);
+  if (p >= ADAPTIVE_CONFIDENCE) return 'high';
+  if (p <= 1 - ADAPTIVE_CONFIDENCE) return 'low';
+  return null;
+}
+
+function difficultyOf(q) {
+  const d = Number(q?.difficulty);
+  return Number.isFinite(d) ? d : DEFAULT_DIFFICULTY;
+}
+
+function pickNext(items, askedIds, correct, wrong) {
+  const target = 1 + 2 * posteriorMean(correct, wrong);
+  let best = null;
+  for (const q of items) {
+    if (askedIds.has(q.id)) continue;
+    // Ties keep pool order (diagnostic items first), so the choice is deterministic.
+    if (!best || Math.abs(difficultyOf(q) - target) < Math.abs(difficultyOf(best) - target)) best = q;
+  }
+  return best;
+}
+
+/**
+ * Replay the adaptive diagnostic.
+ * @param {Array<{skillId: string, items: any[]}>} pools per-skill question pools (in skill order)
+ * @param {Record<string, any>} answers answers so far, by qid
+ * @param {(q: any, answer: any) => boolean} grade
+ * @returns {{
+ *   questions: any[],                  // asked so far, plus the pending one (if any) last
+ *   done: boolean,                     // every skill is confident, capped or out of items
+ *   bySkill: Record<string, {qids: string[], correct: number, wrong: number, level: 'high'|'low'|null, done: boolean}>,
+ *   expectedTotal: number              // rough total for a progress bar
+ * }}
+ */
+export function buildAdaptiveSequence(pools, answers, grade) {
+  const bySkill = {};
+  for (const p of pools) bySkill[p.skillId] = { qids: [], correct: 0, wrong: 0, level: null, done: false };
+
+  const questions = [];
+  let pending = null;
+
+  for (let round = 0; round < ADAPTIVE_MAX_ITEMS && !pending; round++) {
+    for (const p of pools) {
+      const st = bySkill[p.skillId];
+      if (st.done) continue;
+
+      const q = pickNext(p.items, new Set(st.qids), st.correct, st.wrong);
+      if (!q) {
+        st.done = true;
+        continue;
+      }
+      questions.push(q);
+      const a = answers?.[q.id];
+      if (a === undefined) {
+        pending = q;
+        break;
+      }
+
+      st.qids.push(q.id);
+      if (grade(q, a)) st.correct += 1;
+      else st.wrong += 1;
+      st.level = confidentLevel(st.correct, st.wrong);
+      st.done = st.level !== null || st.qids.length >= ADAPTIVE_MAX_ITEMS;
+    }
+  }
+
+  let expectedTotal = 0;
+  for (const st of Object.values(bySkill)) {
+    expectedTotal += st.done ? st.qids.length : Math.max(st.qids.length + 1, ADAPTIVE_MIN_ITEMS);
+  }
+
+  return { questions, done: !pending, bySkill, expectedTotal };
+}
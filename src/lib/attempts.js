@@ -0,0 +1,81 @@
+// Append-only attempt history.
+// Every graded answer (diagnostic, practice, retest, mock exam, mistake-notebook review, question of the day) becomes one entry so analytics/review/scheduling
+// can be derived later without re-asking the student. Entries are never edited in place.
+//
+// Shape: { qid, skillId, answer, correct, at (ISO), source, ms, confidence? }
+
+export const ATTEMPT_SOURCES = ['diagnostic', 'practice', 'retest', 'review', 'mock', 'daily'];
+
+// Optional self-rating given with diagnostic/practice answers: 確定 / 有點把握 / 猜的.
+export const CONFIDENCE_LEVELS = ['sure', 'unsure', 'guess'];
+
+// Keep localStorage usage bounded (~100 bytes/entry). Oldest entries are dropped first.
+export const MAX_ATTEMPTS = 5000;
+
+// Ignore idle time: a question left open for half an hour is not "time spent".
+export const MAX_ATTEMPT_MS = 30 * 60 * 1000;
+
+// Array answers (balance coefficients) longer than this are not from this app.
+const MAX_ANSWER_PARTS = 12;
+
+export function clampAttemptMs(ms) {
+  const n = Number(ms);
+  if (!Number.isFinite(n) || n < 0) return 0;
+  return Math.min(MAX_ATTEMPT_MS, Math.round(n));
+}
+
+export function makeAttempt({ qid, skillId, answer, correct, source, ms, at, confidence }) {
+  const out = {
+    qid: String(qid || ''),
+    skillId: String(skillId || ''),
+    answer,
+    correct: Boolean(correct),
+    at: typeof at === 'string' && at ? at : new Date().toISOString(),
+    source: ATTEMPT_SOURCES.includes(source) ? source : 'practice',
+    ms: clampAttemptMs(ms)
+  };
+  // Left out when not given, so entries without a rating stay as small as before.
+  if (CONFIDENCE_LEVELS.includes(confidence)) out.confidence = confidence;
+  return out;
+}
+
+export function appendAttempt(log, attempt) {
+  const xs = Array.isArray(log) ? log : [];
+  const next = [...xs, attempt];
+  return next.length > MAX_ATTEMPTS ? next.slice(next.length - MAX_ATTEMPTS) : next;
+}
+
+// Import/cross-tab guard: keep only well-formed entries for questions that exist in this build.
+export function sanitizeAttempts(xs, isKnownQid = () => true) {
+  if (!Array.isArray(xs)) return [];
+  const out = [];
+  for (const a of xs) {
+    if (!a || typeof a !== 'object') continue;
+    const qid = typeof a.qid === 'string' ? a.qid : '';
+    if (!qid || !isKnownQid(qid)) continue;
+    const t = new Date(a.at).getTime();
+    if (!Number.isFinite(t)) continue;
+    // mc index, numeric input string, or balance coefficients.
+    const answer =
+      typeof a.answer === 'number' || typeof a.answer === 'string'
+        ? a.answer
+        : Array.isArray(a.answer) && a.answer.length <= MAX_ANSWER_PARTS && a.answer.every((n) => Number.isFinite(n))
+          ? [...a.answer]
+          : null;
+    if (answer === null) continue;
+
+    out.push(
+      makeAttempt({
+        qid,
+        skillId: a.skillId,
+        answer,
+        correct: a.correct,
+        source: a.source,
+        ms: a.ms,
+        at: new Date(t).toISOString(),
+        confidence: a.confidence
+      })
+    );
+  }
+  return out.length > MAX_ATTEMPTS ? out.slice(out.length - MAX_ATTEMPTS) : out;
+}
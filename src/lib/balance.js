@@ -0,0 +1,90 @@
+// Equation balancing (kind: 'balance'): coefficients are checked by atom conservation,
+// so any scalar multiple of a valid set is accepted and then reduced to lowest terms for display.
+//
+// Question shape: { reactants: ['Al', 'O2'], products: ['Al2O3'], answer: [4, 3, 2] }
+
+import { parseFormula } from './formula.js';
+
+// Plenty for school equations; keeps typos like "4000" from looking meaningful.
+export const MAX_COEFFICIENT = 99;
+
+export function balanceSpecies(q) {
+  const reactants = Array.isArray(q?.reactants) ? q.reactants : [];
+  const products = Array.isArray(q?.products) ? q.products : [];
+  return { reactants, products, all: [...reactants, ...products] };
+}
+
+function gcd(a, b) {
+  let x = Math.abs(a);
+  let y = Math.abs(b);
+  while (y) [x, y] = [y, x % y];
+  return x;
+}
+
+export function reduceCoefficients(coeffs) {
+  const g = coeffs.reduce((acc, n) => gcd(acc, n), 0) || 1;
+  return coeffs.map((n) => n / g);
+}
+
+function sideTotals(formulas, coeffs) {
+  const out = {};
+  formulas.forEach((f, k) => {
+    const counts = parseFormula(f) || {};
+    for (const [el, n] of Object.entries(counts)) out[el] = (out[el] || 0) + n * coeffs[k];
+  });
+  return out;
+}
+
+/**
+ * Check a set of coefficients (reactants first, then products).
+ * perElement lists atom counts on each side in first-seen order, so wrong answers can show where it breaks.
+ */
+export function checkBalance(q, coeffs) {
+  const { reactants, all } = balanceSpecies(q);
+  const xs = Array.isArray(coeffs) ? coeffs : [];
+  const wellFormed = xs.length === all.length && xs.every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_COEFFICIENT);
+  if (!wellFormed) return { correct: false, reduced: null, perElement: [] };
+
+  const left = sideTotals(reactants, xs.slice(0, reactants.length));
+  const right = sideTotals(all.slice(reactants.length), xs.slice(reactants.length));
+
+  const elements = [];
+  for (const f of all) for (const el of Object.keys(parseFormula(f) || {})) if (!elements.includes(el)) elements.push(el);
+  const perElement = elements.map((el) => ({ el, left: left[el] || 0, right: right[el] || 0 }));
+
+  const correct = perElement.every((x) => x.left === x.right);
+  return { correct, reduced: correct ? reduceCoefficients(xs) : null, perElement };
+}
+
+/**
+ * Parse a written equation such as "2H2 + O2 → 2H2O" ("->" and "=" also work).
+ * @returns {{reactants: string[], products: string[], coeffs: number[]} | null}
+ */
+export function parseEquation(text) {
+  const sides = String(text ?? '').split(/→|->|=/);
+  if (sides.length !== 2) return null;
+
+  const coeffs = [];
+  const parseSide = (side) =>
+    side.split('+').map((term) => {
+      const m = /^\s*(\d*)\s*(\S+)\s*$/.exec(term);
+      if (!m || !parseFormula(m[2])) return null;
+      coeffs.push(m[1] ? Number(m[1]) : 1);
+      return m[2];
+    });
+
+  const reactants = parseSide(sides[0]);
+  const products = parseSide(sides[1]);
+  if ([...reactants, ...products].some((f) => f === null)) return null;
+  return { reactants, products, coeffs };
+}
+
+// "4Al + 3O2 → 2Al2O3" (a coefficient of 1 is left out, as in textbooks).
+export function formatEquation(q, coeffs) {
+  const { reactants, products } = balanceSpecies(q);
+  const c = Array.isArray(coeffs) ? coeffs : [];
+  const term = (f, k) => `${c[k] && c[k] !== 1 ? c[k] : ''}${f}`;
+  const lhs = reactants.map((f, k) => term(f, k)).join(' + ');
+  const rhs = products.map((f, k) => term(f, reactants.length + k)).join(' + ');
+  return `${lhs} → ${rhs}`;
+}
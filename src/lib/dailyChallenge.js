@@ -0,0 +1,52 @@
+// Question of the day (每日一題): one question from the whole bank per Taipei date, the same for every student,
+// so classmates can compare notes. The pick depends only on the date key and the bank, never on saved state.
+//
+// The log keeps one answer per day: { [dateKey]: { qid, answer, correct, at } }. A day counts towards the
+// streak once its question was answered, right or wrong.
+
+import { dayStreak, isDateKey } from './dates.js';
+import { hashStringToUint32 } from './random.js';
+
+// Same cap as the study log: about a school year.
+const MAX_CHALLENGE_DAYS = 400;
+
+/**
+ * @param {string} dateKey Taipei date key
+ * @param {string[]} qids the whole bank; sorted here so content reordering doesn't change the pick
+ */
+export function dailyChallengeQid(dateKey, qids) {
+  const sorted = [...qids].sort();
+  return sorted.length ? sorted[hashStringToUint32(dateKey) % sorted.length] : null;
+}
+
+/** @returns {{ [dateKey: string]: { qid: string, answer: any, correct: boolean, at: string } }} */
+export function sanitizeChallengeLog(obj, isKnownQid) {
+  const out = {};
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return out;
+  for (const [date, v] of Object.entries(obj)) {
+    if (!isDateKey(date) || typeof v?.qid !== 'string' || !isKnownQid(v.qid)) continue;
+    const a = v.answer;
+    if (!(typeof a === 'number' || typeof a === 'string' || (Array.isArray(a) && a.every((n) => Number.isFinite(n))))) continue;
+    const at = Date.parse(v.at);
+    out[date] = { qid: v.qid, answer: a, correct: v.correct === true, at: Number.isFinite(at) ? new Date(at).toISOString() : '' };
+  }
+  return out;
+}
+
+export function recordChallenge(log, dateKey, entry) {
+  if (log?.[dateKey]) return log;
+  const next = { ...log, [dateKey]: entry };
+  const dates = Object.keys(next).sort();
+  for (const d of dates.slice(0, Math.max(0, dates.length - MAX_CHALLENGE_DAYS))) delete next[d];
+  return next;
+}
+
+/** @returns {{ current: number, best: number, answered: number, correct: number }} */
+export function challengeStats(log, todayKey) {
+  const days = Object.keys(log || {});
+  return {
+    ...dayStreak(days, (d) => Boolean(log?.[d]), todayKey),
+    answered: days.length,
+    correct: days.filter((d) => log[d].correct).length
+  };
+}
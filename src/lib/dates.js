@@ -0,0 +1,79 @@
+// Calendar dates as Taipei date keys ('YYYY-MM-DD').
+// Plan days, exam dates and streaks are whole days in the student's time zone; keys compare as strings and
+// survive export/import without time-zone drift. Arithmetic runs on UTC midnights, so DST never shifts a day.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const WEEKDAYS = ['日', '一', '二', '三', '四', '五', '六'];
+
+export function isDateKey(x) {
+  const m = KEY_RE.exec(String(x ?? ''));
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.toISOString().slice(0, 10) === x;
+}
+
+/** The Taipei calendar day of a moment. */
+export function taipeiDateKey(d = new Date()) {
+  try {
+    // en-CA formats as YYYY-MM-DD.
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: 'Asia/Taipei',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(d);
+  } catch {
+    // Taipei is UTC+8 with no DST.
+    return new Date(d.getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+}
+
+function keyToUtc(key) {
+  const m = KEY_RE.exec(key);
+  return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+}
+
+export function addDays(key, n) {
+  return new Date(keyToUtc(key) + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Whole days from `a` to `b` (negative when `b` is earlier). */
+export function daysBetween(a, b) {
+  return Math.round((keyToUtc(b) - keyToUtc(a)) / DAY_MS);
+}
+
+/** Short label for the UI, e.g. '11/20（五）'. */
+export function formatDateKey(key) {
+  if (!isDateKey(key)) return String(key ?? '');
+  const [, , m, d] = KEY_RE.exec(key);
+  return `${Number(m)}/${Number(d)}（${WEEKDAYS[new Date(keyToUtc(key)).getUTCDay()]}）`;
+}
+
+/**
+ * Consecutive days on which `isDone(key)` holds, ending today. Today only counts once done, so an unfinished
+ * today doesn't break the streak yet. `best` is the longest run among `keys` (the days on record).
+ * @returns {{ current: number, best: number }}
+ */
+export function dayStreak(keys, isDone, todayKey) {
+  let current = 0;
+  let d = isDone(todayKey) ? todayKey : addDays(todayKey, -1);
+  while (isDone(d)) {
+    current += 1;
+    d = addDays(d, -1);
+  }
+
+  let best = 0;
+  let run = 0;
+  let prev = '';
+  for (const date of [...keys].sort()) {
+    if (!isDone(date)) {
+      run = 0;
+      continue;
+    }
+    run = prev && addDays(prev, 1) === date ? run + 1 : 1;
+    prev = date;
+    best = Math.max(best, run);
+  }
+  return { current, best: Math.max(best, current) };
+}
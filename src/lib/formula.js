@@ -0,0 +1,143 @@
+// Chemical formula parsing: "Ca(OH)2" → { Ca: 1, O: 2, H: 2 }.
+// Supports element symbols, subscripts, nested parentheses/brackets and hydrates ("CuSO4·5H2O").
+// Unknown element symbols make the whole formula invalid, so typos don't silently produce a mass.
+
+import { SCHOOL_ATOMIC_MASSES, isElementSymbol } from './periodicTable.js';
+
+const OPEN = { '(': ')', '[': ']' };
+
+// Hydrate separators people actually type: middle dot, bullet, period, asterisk.
+const HYDRATE_SEP = /[·•∙.*]/;
+
+function addInto(into, counts, k) {
+  for (const [el, n] of Object.entries(counts)) into[el] = (into[el] || 0) + n * k;
+}
+
+// One hydrate-free part, e.g. "K4[Fe(CN)6]".
+function parsePart(s) {
+  let i = 0;
+
+  function readInt() {
+    const m = /^\d+/.exec(s.slice(i));
+    if (!m) return 1;
+    i += m[0].length;
+    return Number(m[0]);
+  }
+
+  // Parse until `close` (or end of string when close is null).
+  function group(close) {
+    const out = {};
+    while (i < s.length) {
+      const c = s[i];
+      if (c === close) {
+        i += 1;
+        return out;
+      }
+      if (OPEN[c]) {
+        i += 1;
+        const inner = group(OPEN[c]);
+        if (!inner) return null;
+        addInto(out, inner, readInt());
+        continue;
+      }
+      const m = /^[A-Z][a-z]?/.exec(s.slice(i));
+      if (!m || !isElementSymbol(m[0])) return null;
+      i += m[0].length;
+      addInto(out, { [m[0]]: 1 }, readInt());
+    }
+    // Ran out of input while a bracket was still open.
+    return close ? null : out;
+  }
+
+  return group(null);
+}
+
+/**
+ * Count atoms per element in a formula.
+ * @returns {Record<string, number> | null} null when the formula cannot be parsed
+ */
+export function parseFormula(formula) {
+  const s = String(formula ?? '').replace(/\s+/g, '');
+  if (!s) return null;
+
+  const counts = {};
+  for (const [k, raw] of s.split(HYDRATE_SEP).entries()) {
+    // Only hydrate parts may carry a leading multiplier ("5H2O"); "2H2O" on its own is not a formula.
+    const m = k > 0 ? /^(\d*)(.+)$/.exec(raw) : [raw, '', raw];
+    if (!m) return null;
+    const part = parsePart(m[2]);
+    if (!part || !Object.keys(part).length) return null;
+    addInto(counts, part, m[1] ? Number(m[1]) : 1);
+  }
+  return counts;
+}
+
+/**
+ * Element counts plus Mr. `masses` overrides atomic masses per symbol (defaults to the rounded school values).
+ * @returns {{counts: Record<string, number>, mr: number} | null}
+ */
+export function analyzeFormula(formula, { masses = SCHOOL_ATOMIC_MASSES } = {}) {
+  const counts = parseFormula(formula);
+  if (!counts) return null;
+
+  let mr = 0;
+  for (const [el, n] of Object.entries(counts)) {
+    const m = Number(masses?.[el] ?? SCHOOL_ATOMIC_MASSES[el]);
+    if (!Number.isFinite(m)) return null;
+    mr += m * n;
+  }
+  // Avoid float noise like 98.07900000000001 in displays and comparisons.
+  return { counts, mr: Math.round(mr * 1000) / 1000 };
+}
+
+export function molarMass(formula, opts) {
+  return analyzeFormula(formula, opts)?.mr ?? null;
+}
+
+/**
+ * Split a formula into display tokens: digits that follow an element or a closing bracket are subscripts;
+ * a hydrate multiplier ("5" in "·5H2O") is not.
+ * @returns {Array<{text: string, sub: boolean}>}
+ */
+export function formulaTokens(formula) {
+  const s = String(formula ?? '');
+  const out = [];
+  let prev = '';
+  for (const m of s.matchAll(/\d+|[^\d]+/g)) {
+    const text = m[0];
+    const sub = /^\d/.test(text) && /[A-Za-z)\]]$/.test(prev);
+    out.push({ text, sub });
+    prev = text;
+  }
+  return out;
+}
+
+// Formula-looking runs inside free text: start with an element/bracket, may include a hydrate part.
+const FORMULA_IN_TEXT = /[A-Z([][A-Za-z0-9()[\]]*(?:[·•]\d*[A-Z(][A-Za-z0-9()[\]]*)*/g;
+// A run of one element only is a formula for elements that form molecules (O2, Cl2, P4); otherwise it is more
+// likely a variable with an index, like V2 in M1V1/V2.
+const MOLECULAR_ELEMENTS = new Set(['H', 'N', 'O', 'F', 'Cl', 'Br', 'I', 'P', 'S']);
+
+/**
+ * Split free text (stems, explanations) into plain and formula segments.
+ * Only runs that parse as a real formula *and* contain a digit are marked, so "NA", "M1V1" or "NaCl" stay plain;
+ * see MOLECULAR_ELEMENTS for runs of a single element.
+ * @returns {Array<{text: string, formula: boolean}>}
+ */
+export function splitChemText(text) {
+  const s = String(text ?? '');
+  const out = [];
+  let last = 0;
+  for (const m of s.matchAll(FORMULA_IN_TEXT)) {
+    const run = m[0];
+    const counts = /\d/.test(run) ? parseFormula(run) : null;
+    if (!counts) continue;
+    const els = Object.keys(counts);
+    if (els.length === 1 && !MOLECULAR_ELEMENTS.has(els[0])) continue;
+    if (m.index > last) out.push({ text: s.slice(last, m.index), formula: false });
+    out.push({ text: run, formula: true });
+    last = m.index + run.length;
+  }
+  if (last < s.length) out.push({ text: s.slice(last), formula: false });
+  return out;
+}
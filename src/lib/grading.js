@@ -0,0 +1,82 @@
+// One place that knows how each question kind is answered, graded and displayed.
+// Everything that scores an answer (diagnostic, practice, retest, review, mastery, imports) goes through here,
+// so adding a kind means touching this file plus its input widget.
+//
+// Stored answer shapes:
+// - mc:      choice index (integer)
+// - numeric: the raw string the student typed (re-parsed on every grade so content fixes apply retroactively)
+// - balance: coefficients array (reactants first, then products)
+
+import { MAX_COEFFICIENT, balanceSpecies, checkBalance, formatEquation } from './balance.js';
+import { MAX_NUMERIC_INPUT_LEN, formatNumber, gradeNumeric } from './numeric.js';
+
+export function choiceLetter(idx) {
+  return String.fromCharCode(65 + idx);
+}
+
+/**
+ * Coerce an imported/stored answer into the canonical shape for this question.
+ * @returns the answer, or undefined when it cannot belong to this question
+ */
+export function normalizeAnswer(q, raw) {
+  if (!q) return undefined;
+
+  if (q.kind === 'numeric') {
+    if (typeof raw !== 'string' && typeof raw !== 'number') return undefined;
+    const s = String(raw).trim();
+    if (!s || s.length > MAX_NUMERIC_INPUT_LEN) return undefined;
+    return s;
+  }
+
+  if (q.kind === 'balance') {
+    if (!Array.isArray(raw) || raw.length !== balanceSpecies(q).all.length) return undefined;
+    const xs = raw.map((n) => Number(n));
+    if (!xs.every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_COEFFICIENT)) return undefined;
+    return xs;
+  }
+
+  if (raw === null || raw === '') return undefined;
+  const n = typeof raw === 'number' ? raw : Number(raw);
+  if (!Number.isFinite(n)) return undefined;
+  const i = Math.trunc(n);
+  const choicesLen = Array.isArray(q.choices) ? q.choices.length : 0;
+  if (i < 0 || i >= choicesLen) return undefined;
+  return i;
+}
+
+export function gradeAnswer(q, answer) {
+  if (!q || answer === undefined || answer === null) return false;
+  if (q.kind === 'numeric') return gradeNumeric(q, answer).correct;
+  if (q.kind === 'balance') return checkBalance(q, answer).correct;
+  return answer === q.answer;
+}
+
+// "B（0.60 mol）" for mc, "1.51×10^23 個（3 位有效數字）" for numeric, "4Al + 3O2 → 2Al2O3" for balance.
+export function formatCorrectAnswer(q) {
+  if (!q) return '';
+  if (q.kind === 'balance') return formatEquation(q, q.answer);
+  if (q.kind === 'numeric') {
+    const sf = Number.isInteger(q.sigFigs) && q.sigFigs > 0 ? q.sigFigs : 0;
+    const unit = q.unit ? ` ${q.unit}` : '';
+    return `${formatNumber(q.answer, sf)}${unit}${sf ? `（${sf} 位有效數字）` : ''}`;
+  }
+  const text = Array.isArray(q.choices) ? q.choices[q.answer] : undefined;
+  return `${choiceLetter(q.answer)}${text ? `（${text}）` : ''}`;
+}
+
+export function formatGivenAnswer(q, answer) {
+  if (answer === undefined || answer === null) return '';
+  if (q?.kind === 'numeric') return String(answer);
+  if (q?.kind === 'balance') return formatEquation(q, answer);
+  return choiceLetter(answer);
+}
+
+// Short hint shown under a wrong numeric answer so students know *what* was off.
+export function numericFeedback(q, answer) {
+  if (q?.kind !== 'numeric' || answer === undefined) return '';
+  const r = gradeNumeric(q, answer);
+  if (r.reason === 'unparsable') return '看不懂這個數字：可輸入 3.01×10^23、3.01e23 或 3.01*10^23。';
+  if (r.reason === 'sigfigs') return `數值正確，但有效數字應為 ${q.sigFigs} 位。`;
+  if (r.reason === 'value') return '數值不在容許誤差內。';
+  return '';
+}
@@ -0,0 +1,84 @@
+// iCalendar (RFC 5545) export: one all-day VEVENT per plan day, so the plan shows up in phone calendars.
+// Lines end in CRLF and are folded at 75 octets (UTF-8 bytes, never splitting a character); text values escape
+// backslash, semicolon, comma and newlines.
+
+import { addDays } from './dates.js';
+
+const FOLD_OCTETS = 75;
+
+export function escapeIcsText(x) {
+  return String(x ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function utf8Length(ch) {
+  const c = ch.codePointAt(0);
+  return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;
+}
+
+export function foldIcsLine(line) {
+  const parts = [];
+  let cur = '';
+  let octets = 0;
+  for (const ch of line) {
+    const n = utf8Length(ch);
+    // Continuation lines start with a space, which counts towards their 75.
+    if (octets + n > FOLD_OCTETS) {
+      parts.push(cur);
+      cur = ' ';
+      octets = 1;
+    }
+    cur += ch;
+    octets += n;
+  }
+  parts.push(cur);
+  return parts.join('\r\n');
+}
+
+// 'YYYY-MM-DD' → 'YYYYMMDD'
+function icsDate(key) {
+  return key.replace(/-/g, '');
+}
+
+// Date → 'YYYYMMDDTHHMMSSZ'
+function icsUtc(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * @param {{
+ *   name: string,
+ *   events: Array<{uid: string, date: string, summary: string, description?: string, url?: string}>,
+ *   now?: Date
+ * }} cal dates are 'YYYY-MM-DD' keys
+ * @returns {string} the .ics text
+ */
+export function buildIcsCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//chem-review-pwa//study plan//ZH-TW',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`
+  ];
+  const stamp = icsUtc(now);
+  for (const e of events || []) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(e.date, 1))}`,
+      `SUMMARY:${escapeIcsText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${escapeIcsText(e.description)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
@@ -0,0 +1,176 @@
+// Bayesian knowledge tracing (BKT): the probability that a student has mastered each skill,
+// updated answer by answer over the whole history (diagnostic, practice, retest, review, mock exam, question of the
+// day) in time order.
+//
+// An answer is evidence through two error rates: a student who knows the skill can still slip (pSlip), and one who
+// doesn't can still guess right (per question: 1/choices for mc, small for typed answers). Practice, review and the
+// question of the day (explanations shown afterwards) are learning opportunities (pLearn); diagnostic, retest and
+// mock exam items only measure. A right answer on a 4-choice item counts for less than a typed one, and evidence
+// from later practice keeps refining the estimate.
+//
+// A stated confidence (see CONFIDENCE_LEVELS in ./attempts.js) reweighs the answer: a right answer marked 猜的 is
+// mostly luck, and a wrong answer marked 確定 is rarely a slip; it points to a misconception.
+//
+// The uncertainty band replays the same history under a pessimistic and an optimistic parameter set:
+// wide when there is little evidence, narrowing as answers accumulate.
+
+import { CONFIDENCE_LEVELS } from './attempts.js';
+import { gradeAnswer } from './grading.js';
+
+export const BKT_PARAMS = { pInit: 0.3, pLearn: 0.1, pSlip: 0.1 };
+
+// Pessimistic: right answers are more often guesses, wrong ones less often slips. Optimistic: the reverse.
+const BAND_PARAMS = {
+  low: { pInit: 0.15, pLearn: 0.05, pSlip: 0.05, guessScale: 1.5 },
+  high: { pInit: 0.5, pLearn: 0.15, pSlip: 0.2, guessScale: 0.5 }
+};
+
+// Typed answers (numeric, balance) are hard to hit by chance.
+const TYPED_GUESS = 0.05;
+const MAX_GUESS = 0.5;
+
+// Sources where the student sees the explanation afterwards, i.e. can learn from the item.
+const LEARNING_SOURCES = ['practice', 'review', 'daily'];
+
+const CONFIDENCE_EFFECT = {
+  sure: { guessScale: 0.5, slipScale: 0.5 },
+  unsure: { guessScale: 1, slipScale: 1 },
+  guess: { guessScale: 2, slipScale: 1 }
+};
+const NO_CONFIDENCE = { guessScale: 1, slipScale: 1 };
+
+export function guessRate(q) {
+  if (q?.kind !== 'mc') return TYPED_GUESS;
+  const n = Array.isArray(q.choices) ? q.choices.length : 0;
+  return n > 1 ? 1 / n : 0.25;
+}
+
+/** One BKT step: condition on the answer, then (for learning opportunities) allow a transition to mastered. */
+export function bktUpdate(pKnown, correct, { guess, pSlip, pLearn, learn }) {
+  const g = Math.min(MAX_GUESS, Math.max(0.01, guess));
+  const posterior = correct
+    ? (pKnown * (1 - pSlip)) / (pKnown * (1 - pSlip) + (1 - pKnown) * g)
+    : (pKnown * pSlip) / (pKnown * pSlip + (1 - pKnown) * (1 - g));
+  return learn ? posterior + (1 - posterior) * pLearn : posterior;
+}
+
+/**
+ * Time-ordered observations from the attempt log. Diagnostic attempts are replaced by the current diagnostic answers
+ * (placed at each question's latest diagnostic attempt, with its confidence), so a changed answer or a diagnostic
+ * reset isn't counted twice.
+ * @param {any[]} attempts see ./attempts.js
+ * @param {Array<{q: any, answer: any}>} diagnostic the current diagnostic answers
+ * @param {(qid: string) => any} getQuestion
+ * @returns {Array<{skillId: string, correct: boolean, guess: number, slipScale: number, learn: boolean, confidence: string | null}>}
+ */
+export function collectObservations(attempts, diagnostic, getQuestion) {
+  const xs = Array.isArray(attempts) ? attempts : [];
+  const lastDiag = {};
+  for (const a of xs) if (a?.source === 'diagnostic') lastDiag[a.qid] = a;
+
+  const rows = [];
+  for (const { q, answer } of diagnostic || []) {
+    if (!q) continue;
+    const a = lastDiag[q.id];
+    rows.push({
+      at: a?.at || '',
+      q,
+      skillId: q.skillId,
+      correct: gradeAnswer(q, answer),
+      source: 'diagnostic',
+      confidence: a?.confidence
+    });
+  }
+  for (const a of xs) {
+    if (!a || a.source === 'diagnostic') continue;
+    const q = getQuestion(a.qid);
+    if (!q) continue;
+    rows.push({
+      at: a.at,
+      q,
+      skillId: a.skillId || q.skillId,
+      correct: Boolean(a.correct),
+      source: a.source,
+      confidence: a.confidence
+    });
+  }
+  // ISO timestamps sort as strings; diagnostic answers without an attempt (older saves) go first.
+  rows.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+
+  return rows.map((r) => {
+    const confidence = CONFIDENCE_LEVELS.includes(r.confidence) ? r.confidence : null;
+    const effect = confidence ? CONFIDENCE_EFFECT[confidence] : NO_CONFIDENCE;
+    return {
+      skillId: r.skillId,
+      correct: r.correct,
+      guess: guessRate(r.q) * effect.guessScale,
+      slipScale: effect.slipScale,
+      learn: LEARNING_SOURCES.includes(r.source),
+      confidence
+    };
+  });
+}
+
+/**
+ * @param {string[]} skillIds
+ * @param {ReturnType<typeof collectObservations>} observations
+ * @returns {Record<string, {p: number, low: number, high: number, evidence: number}>} probabilities in 0..1
+ */
+export function traceMastery(skillIds, observations) {
+  const out = {};
+  for (const sid of skillIds) {
+    out[sid] = { p: BKT_PARAMS.pInit, low: BAND_PARAMS.low.pInit, high: BAND_PARAMS.high.pInit, evidence: 0 };
+  }
+
+  for (const o of observations || []) {
+    const st = out[o.skillId];
+    if (!st) continue;
+    const slipScale = o.slipScale ?? 1;
+    st.p = bktUpdate(st.p, o.correct, { ...BKT_PARAMS, pSlip: BKT_PARAMS.pSlip * slipScale, guess: o.guess, learn: o.learn });
+    for (const side of ['low', 'high']) {
+      const { guessScale, pSlip, ...params } = BAND_PARAMS[side];
+      st[side] = bktUpdate(st[side], o.correct, {
+        ...params,
+        pSlip: pSlip * slipScale,
+        guess: o.guess * guessScale,
+        learn: o.learn
+      });
+    }
+    st.evidence += 1;
+  }
+
+  // The band always contains the point estimate.
+  for (const st of Object.values(out)) {
+    st.low = Math.min(st.low, st.p);
+    st.high = Math.max(st.high, st.p);
+  }
+  return out;
+}
+
+/**
+ * Calibration: how often each confidence level was actually right, and which skills hold confident mistakes.
+ * `confidentlyWrong` counts 確定-but-wrong answers per skill, each later 確定-and-right answer cancelling one,
+ * so practising a misconception away clears the flag.
+ * @param {ReturnType<typeof collectObservations>} observations
+ * @returns {{
+ *   levels: Record<string, {right: number, wrong: number}>,
+ *   confidentlyWrong: Record<string, number>,
+ *   rated: number
+ * }}
+ */
+export function summarizeCalibration(observations) {
+  const levels = {};
+  for (const c of CONFIDENCE_LEVELS) levels[c] = { right: 0, wrong: 0 };
+  const confidentlyWrong = {};
+  let rated = 0;
+
+  for (const o of observations || []) {
+    if (!o.confidence) continue;
+    rated += 1;
+    levels[o.confidence][o.correct ? 'right' : 'wrong'] += 1;
+    if (o.confidence !== 'sure') continue;
+    const n = confidentlyWrong[o.skillId] || 0;
+    confidentlyWrong[o.skillId] = o.correct ? Math.max(0, n - 1) : n + 1;
+  }
+  return { levels, confidentlyWrong, rated };
+}
@@ -0,0 +1,110 @@
+// Mixed review (混合複習): one interleaved set across the skills studied so far, instead of a day of one skill.
+//
+// Skills that are weaker, or were studied longer ago, get more of the questions. Within a skill, questions the
+// student has already seen come first, the one seen longest ago leading (retrieval practice); then fresh template
+// variants, then unseen bank items. The set alternates skills so no two neighbours share one where avoidable.
+
+import { gradeAnswer } from './grading.js';
+import { allocateByWeight } from './planner.js';
+import { shuffledCopy } from './random.js';
+
+export const MIXED_REVIEW_SIZE = 8;
+// A skill studied AGE_SCALE_DAYS ago weighs twice as much as one studied today; older than MAX_AGE_DAYS counts as that.
+const AGE_SCALE_DAYS = 7;
+const MAX_AGE_DAYS = 28;
+
+/** @param {number} mastery 0–100 @param {number} ageDays since the skill was last studied */
+export function reviewWeight(mastery, ageDays) {
+  const weakness = Math.max(0.1, 1 - (Number(mastery) || 0) / 100);
+  return weakness * (1 + Math.min(MAX_AGE_DAYS, Math.max(0, ageDays || 0)) / AGE_SCALE_DAYS);
+}
+
+/**
+ * Last time each question was answered (ms), from attempts before `cutoffIso` (all of them when omitted).
+ * @returns {Record<string, number>}
+ */
+export function lastSeenBefore(attempts, cutoffIso) {
+  const out = {};
+  for (const a of attempts || []) {
+    if (cutoffIso && !(a.at < cutoffIso)) continue;
+    const t = Date.parse(a.at);
+    if (Number.isFinite(t) && t > (out[a.qid] || 0)) out[a.qid] = t;
+  }
+  return out;
+}
+
+/**
+ * @param {{
+ *   skills: Array<{id: string, weight: number}>,
+ *   candidatesFor: (skillId: string) => { fixed: Array<{id: string}>, variants: Array<{id: string}> },
+ *   lastSeenAt: Record<string, number>,
+ *   size: number,
+ *   seed: string
+ * }} opts fixed = bank items the set may use, variants = fresh generated ones
+ * @returns {any[]} questions in session order
+ */
+export function buildMixedReview({ skills, candidatesFor, lastSeenAt, size, seed }) {
+  const order = [...(skills || [])].sort((a, b) => b.weight - a.weight);
+  if (!order.length || size <= 0) return [];
+  const weightOf = new Map(order.map((s) => [s.id, s.weight]));
+
+  const queues = new Map();
+  for (const s of order) {
+    const { fixed = [], variants = [] } = candidatesFor(s.id) || {};
+    const seen = fixed.filter((q) => lastSeenAt?.[q.id]).sort((a, b) => lastSeenAt[a.id] - lastSeenAt[b.id]);
+    const unseen = shuffledCopy(
+      fixed.filter((q) => !lastSeenAt?.[q.id]),
+      `${seed}|${s.id}`
+    );
+    queues.set(s.id, [...seen, ...variants, ...unseen]);
+  }
+
+  const counts = allocateByWeight(
+    order.map((s) => s.id),
+    (sid) => weightOf.get(sid),
+    size
+  );
+  const picks = new Map(order.map((s) => [s.id, queues.get(s.id).splice(0, counts[s.id])]));
+  // A skill that ran out of questions hands its share to the others, heaviest first.
+  let short = size - [...picks.values()].reduce((sum, xs) => sum + xs.length, 0);
+  for (const s of order) {
+    if (short <= 0) break;
+    const extra = queues.get(s.id).splice(0, short);
+    picks.get(s.id).push(...extra);
+    short -= extra.length;
+  }
+
+  // Interleave: always take from the skill with the most left (heaviest on ties), unless it was just used.
+  const out = [];
+  const remaining = () => order.filter((s) => picks.get(s.id).length);
+  let prev = null;
+  for (let left = remaining(); left.length; left = remaining()) {
+    left.sort((a, b) => picks.get(b.id).length - picks.get(a.id).length);
+    const next = left.find((s) => s.id !== prev) || left[0];
+    out.push(picks.get(next.id).shift());
+    prev = next.id;
+  }
+  return out;
+}
+
+/**
+ * Import/cross-tab guard for a saved session: { startedAt, qids, answers: { [qid]: { choice, correct } } }.
+ * Answers are re-graded against the current content.
+ * @param {(qid: string) => any} questionById
+ */
+export function sanitizeMixedSession(x, questionById) {
+  if (!x || typeof x !== 'object') return null;
+  const startedAt = Date.parse(x.startedAt);
+  if (!Number.isFinite(startedAt)) return null;
+  const qids = Array.isArray(x.qids) ? x.qids.filter((qid) => typeof qid === 'string' && questionById(qid)) : [];
+  if (!qids.length) return null;
+
+  const answers = {};
+  for (const qid of qids) {
+    const a = x.answers?.[qid]?.choice;
+    if (typeof a === 'number' || typeof a === 'string' || (Array.isArray(a) && a.every((n) => Number.isFinite(n)))) {
+      answers[qid] = { choice: a, correct: gradeAnswer(questionById(qid), a) };
+    }
+  }
+  return { startedAt: new Date(startedAt).toISOString(), qids, answers };
+}
@@ -0,0 +1,126 @@
+// Mock exam (模擬段考): a timed paper mixing every skill, drawn from the diagnostic and practice banks by a
+// blueprint of N questions per skill. Drawing, item order and mc choice order all come from the exam's seed, so
+// a reload (or an imported save) shows exactly the same paper. Nothing is graded until the paper is handed in.
+
+import { gradeAnswer, normalizeAnswer } from './grading.js';
+import { shuffledCopy } from './random.js';
+
+export const MOCK_DEFAULT_PER_SKILL = 3;
+export const MOCK_MAX_PER_SKILL = 10;
+// Default time allowance when the blueprint doesn't fix one.
+export const MOCK_MINUTES_PER_ITEM = 2;
+export const MOCK_MAX_MINUTES = 120;
+
+/**
+ * @param {string[]} skillIds every skill the exam can draw from
+ * @returns {{ perSkill: Record<string, number>, minutes: number | null }} minutes null = MOCK_MINUTES_PER_ITEM each
+ */
+export function sanitizeMockBlueprint(x, skillIds) {
+  const perSkill = {};
+  for (const sid of skillIds) {
+    const n = Math.floor(Number(x?.perSkill?.[sid]));
+    perSkill[sid] = Number.isFinite(n) ? Math.max(0, Math.min(MOCK_MAX_PER_SKILL, n)) : MOCK_DEFAULT_PER_SKILL;
+  }
+  const m = Math.floor(Number(x?.minutes));
+  return { perSkill, minutes: m >= 1 ? Math.min(MOCK_MAX_MINUTES, m) : null };
+}
+
+export function mockExamSize(blueprint) {
+  return Object.values(blueprint?.perSkill || {}).reduce((sum, n) => sum + n, 0);
+}
+
+export function mockExamMinutes(blueprint) {
+  return blueprint?.minutes || Math.max(1, Math.min(MOCK_MAX_MINUTES, mockExamSize(blueprint) * MOCK_MINUTES_PER_ITEM));
+}
+
+/**
+ * Draw the paper: N random items per skill, then one shuffled order across skills.
+ * @param {(skillId: string) => Array<{id: string}>} bankFor the questions a skill can contribute
+ * @returns {string[]} question ids in paper order
+ */
+export function drawMockExam(blueprint, bankFor, seedStr) {
+  const picked = [];
+  for (const [sid, n] of Object.entries(blueprint?.perSkill || {})) {
+    if (n <= 0) continue;
+    picked.push(...shuffledCopy(bankFor(sid), `${seedStr}|${sid}`).slice(0, n).map((q) => q.id));
+  }
+  return shuffledCopy(picked, `${seedStr}|order`);
+}
+
+/**
+ * Display order of a multiple-choice item's choices (original indexes), or null for typed answers.
+ * Answers stay in original indexes, so grading and the attempt log don't depend on the shuffle.
+ */
+export function mockChoiceOrder(q, seedStr) {
+  if (q?.kind && q.kind !== 'mc') return null;
+  const n = Array.isArray(q?.choices) ? q.choices.length : 0;
+  return shuffledCopy(
+    Array.from({ length: n }, (_, i) => i),
+    `${seedStr}|${q.id}|choices`
+  );
+}
+
+/**
+ * @param {any[]} questions the paper, in order
+ * @param {Record<string, any>} answers by qid
+ * @param {Record<string, number>} itemMs time spent on each item (ms)
+ */
+export function scoreMockExam(questions, answers, itemMs) {
+  const items = questions.map((q) => ({
+    q,
+    answered: answers?.[q.id] !== undefined,
+    correct: answers?.[q.id] !== undefined && gradeAnswer(q, answers[q.id]),
+    ms: itemMs?.[q.id] || 0
+  }));
+  const perSkill = {};
+  for (const it of items) {
+    const sid = it.q.skillId;
+    if (!perSkill[sid]) perSkill[sid] = { correct: 0, total: 0, ms: 0 };
+    perSkill[sid].total += 1;
+    perSkill[sid].ms += it.ms;
+    if (it.correct) perSkill[sid].correct += 1;
+  }
+  const correct = items.filter((it) => it.correct).length;
+  return {
+    items,
+    perSkill,
+    correct,
+    total: items.length,
+    score: items.length ? Math.round((correct / items.length) * 100) : 0
+  };
+}
+
+/**
+ * Import/cross-tab guard for a saved exam:
+ * { seed, startedAt, deadline, qids, answers, itemMs, current, submittedAt?, timeUp? }
+ * Answers that don't fit their question (choice out of range, wrong coefficient count) are dropped.
+ */
+export function sanitizeMockExam(x, questionById) {
+  if (!x || typeof x !== 'object') return null;
+  const startedAt = Date.parse(x.startedAt);
+  const deadline = Date.parse(x.deadline);
+  if (!Number.isFinite(startedAt) || !Number.isFinite(deadline) || typeof x.seed !== 'string') return null;
+  const qids = Array.isArray(x.qids) ? x.qids.filter((qid) => typeof qid === 'string' && questionById(qid)) : [];
+  if (!qids.length) return null;
+
+  const answers = {};
+  const itemMs = {};
+  for (const qid of qids) {
+    const a = normalizeAnswer(questionById(qid), x.answers?.[qid]);
+    if (a !== undefined) answers[qid] = a;
+    const ms = Math.round(Number(x.itemMs?.[qid]));
+    if (ms > 0) itemMs[qid] = ms;
+  }
+  const current = Math.floor(Number(x.current));
+  const submittedAt = Date.parse(x.submittedAt);
+  return {
+    seed: x.seed,
+    startedAt: new Date(startedAt).toISOString(),
+    deadline: new Date(deadline).toISOString(),
+    qids,
+    answers,
+    itemMs,
+    current: current >= 0 && current < qids.length ? current : 0,
+    ...(Number.isFinite(submittedAt) ? { submittedAt: new Date(submittedAt).toISOString(), timeUp: x.timeUp === true } : {})
+  };
+}
@@ -0,0 +1,112 @@
+// Free-response numeric answers: parsing, significant figures and tolerance checks.
+//
+// Students type scientific notation in many ways, so all of these parse to the same value:
+//   3.01×10^23, 3.01x10^23, 3.01*10^23, 3.01e23, 3.01E+23, 3.01×10²³, 3.01 × 10^(23)
+// A trailing unit matching the question's unit (e.g. "0.60 mol") is ignored.
+
+// Default when a question omits `tolerance`: within 1% of the expected value.
+export const DEFAULT_REL_TOLERANCE = 0.01;
+
+// Longest raw input we keep (stored in answers/attempts; anything longer is not a number anyway).
+export const MAX_NUMERIC_INPUT_LEN = 40;
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+
+// The caret (or **, or superscript digits) is required: "3.01×1023" is a typo, not 3.01×10^23.
+const NUMBER_RE = /^([+-]?(?:\d+\.?\d*|\.\d+))(?:[eE]([+-]?\d+)|[×xX*·]10(?:\^|\*\*)\(?([+-]?\d+)\)?)?$/;
+
+function normalizeInput(raw, unit) {
+  // NFKC would flatten "10²³" into "1023", so rewrite superscript exponents as "10^23" first.
+  let s = String(raw ?? '')
+    .replace(/10([⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+)/g, (_, sup) => `10^${[...sup].map((c) => SUPERSCRIPTS[c]).join('')}`)
+    .normalize('NFKC')
+    .trim()
+    .replace(/[−–—]/g, '-');
+
+  if (unit) {
+    const u = String(unit).normalize('NFKC').trim().toLowerCase();
+    if (u && s.toLowerCase().endsWith(u)) s = s.slice(0, s.length - u.length);
+  }
+
+  return s.replace(/\s+/g, '').replace(/,/g, '');
+}
+
+/**
+ * Count significant figures of a mantissa string (no exponent part).
+ * Trailing zeros without a decimal point are ambiguous ("1500" has 2–4), so a range is returned.
+ * @returns {{min:number, max:number}}
+ */
+export function countSigFigs(mantissa) {
+  const s = String(mantissa || '').replace(/^[+-]/, '');
+  const hasPoint = s.includes('.');
+  const digits = s.replace('.', '').replace(/^0+/, '');
+  if (!digits) return { min: 1, max: 1 };
+  if (hasPoint) return { min: digits.length, max: digits.length };
+  const trimmed = digits.replace(/0+$/, '');
+  return { min: trimmed.length, max: digits.length };
+}
+
+/**
+ * Parse a student's numeric input.
+ * @returns {{value:number, sigFigs:{min:number, max:number}} | null} null when the input is not a number
+ */
+export function parseNumericInput(raw, { unit } = {}) {
+  const s = normalizeInput(raw, unit);
+  if (!s || s.length > MAX_NUMERIC_INPUT_LEN) return null;
+
+  const m = NUMBER_RE.exec(s);
+  if (!m) return null;
+
+  const mantissa = m[1];
+  const exp = m[2] ?? m[3];
+  const value = Number(exp === undefined ? mantissa : `${mantissa}e${exp}`);
+  if (!Number.isFinite(value)) return null;
+
+  return { value, sigFigs: countSigFigs(mantissa) };
+}
+
+export function withinTolerance(value, expected, tolerance) {
+  const diff = Math.abs(value - expected);
+  const abs = Number(tolerance?.abs);
+  const rel = Number(tolerance?.rel);
+  const hasAbs = Number.isFinite(abs) && abs >= 0;
+  const hasRel = Number.isFinite(rel) && rel >= 0;
+
+  if (!hasAbs && !hasRel) return diff <= DEFAULT_REL_TOLERANCE * Math.abs(expected);
+  // Either bound is enough when a question sets both.
+  return (hasAbs && diff <= abs) || (hasRel && diff <= rel * Math.abs(expected));
+}
+
+/**
+ * Grade one numeric answer against a `kind: 'numeric'` question.
+ * reason: 'unparsable' | 'value' | 'sigfigs' | null (correct)
+ */
+export function gradeNumeric(q, raw) {
+  const parsed = parseNumericInput(raw, { unit: q?.unit });
+  if (!parsed) return { correct: false, reason: 'unparsable', parsed: null };
+  if (!withinTolerance(parsed.value, Number(q?.answer), q?.tolerance)) return { correct: false, reason: 'value', parsed };
+
+  const need = Number(q?.sigFigs);
+  if (Number.isInteger(need) && need > 0 && (need < parsed.sigFigs.min || need > parsed.sigFigs.max)) {
+    return { correct: false, reason: 'sigfigs', parsed };
+  }
+  return { correct: true, reason: null, parsed };
+}
+
+// Display a number the way the app writes it elsewhere: "1.505×10^23" for very large/small values.
+export function formatNumber(value, sigFigs) {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return '';
+  const n = Number.isInteger(sigFigs) && sigFigs > 0 ? sigFigs : 0;
+  // Without a sig-fig request, still drop float noise (0.30000000000000004 → 0.3).
+  const x = n ? v : Number(v.toPrecision(12));
+  const mag = x === 0 ? 0 : Math.abs(x);
+  // toPrecision switches to "2.5e+2" when the sig figs stop short of the decimal point (250 to 2 figures).
+  const fixed = n ? x.toPrecision(n) : String(x);
+
+  if (mag !== 0 && (mag >= 1e4 || mag < 1e-3 || fixed.includes('e'))) {
+    const [m, e] = (n ? x.toExponential(n - 1) : x.toExponential()).split('e');
+    return `${m}×10^${Number(e)}`;
+  }
+  return fixed;
+}
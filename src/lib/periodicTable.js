@@ -0,0 +1,115 @@
+// Periodic table data for formula parsing and molar-mass calculations.
+// Masses are IUPAC abridged standard atomic weights (radioactive elements: mass number of the longest-lived isotope).
+
+// [Z, symbol, 中文名, atomic mass]
+const ROWS = [
+  [1, 'H', '氫', 1.008],
+  [2, 'He', '氦', 4.0026],
+  [3, 'Li', '鋰', 6.94],
+  [4, 'Be', '鈹', 9.0122],
+  [5, 'B', '硼', 10.81],
+  [6, 'C', '碳', 12.011],
+  [7, 'N', '氮', 14.007],
+  [8, 'O', '氧', 15.999],
+  [9, 'F', '氟', 18.998],
+  [10, 'Ne', '氖', 20.18],
+  [11, 'Na', '鈉', 22.99],
+  [12, 'Mg', '鎂', 24.305],
+  [13, 'Al', '鋁', 26.982],
+  [14, 'Si', '矽', 28.085],
+  [15, 'P', '磷', 30.974],
+  [16, 'S', '硫', 32.06],
+  [17, 'Cl', '氯', 35.45],
+  [18, 'Ar', '氬', 39.948],
+  [19, 'K', '鉀', 39.098],
+  [20, 'Ca', '鈣', 40.078],
+  [21, 'Sc', '鈧', 44.956],
+  [22, 'Ti', '鈦', 47.867],
+  [23, 'V', '釩', 50.942],
+  [24, 'Cr', '鉻', 51.996],
+  [25, 'Mn', '錳', 54.938],
+  [26, 'Fe', '鐵', 55.845],
+  [27, 'Co', '鈷', 58.933],
+  [28, 'Ni', '鎳', 58.693],
+  [29, 'Cu', '銅', 63.546],
+  [30, 'Zn', '鋅', 65.38],
+  [31, 'Ga', '鎵', 69.723],
+  [32, 'Ge', '鍺', 72.63],
+  [33, 'As', '砷', 74.922],
+  [34, 'Se', '硒', 78.971],
+  [35, 'Br', '溴', 79.904],
+  [36, 'Kr', '氪', 83.798],
+  [37, 'Rb', '銣', 85.468],
+  [38, 'Sr', '鍶', 87.62],
+  [39, 'Y', '釔', 88.906],
+  [40, 'Zr', '鋯', 91.224],
+  [41, 'Nb', '鈮', 92.906],
+  [42, 'Mo', '鉬', 95.95],
+  [43, 'Tc', '鎝', 98],
+  [44, 'Ru', '釕', 101.07],
+  [45, 'Rh', '銠', 102.91],
+  [46, 'Pd', '鈀', 106.42],
+  [47, 'Ag', '銀', 107.87],
+  [48, 'Cd', '鎘', 112.41],
+  [49, 'In', '銦', 114.82],
+  [50, 'Sn', '錫', 118.71],
+  [51, 'Sb', '銻', 121.76],
+  [52, 'Te', '碲', 127.6],
+  [53, 'I', '碘', 126.9],
+  [54, 'Xe', '氙', 131.29],
+  [55, 'Cs', '銫', 132.91],
+  [56, 'Ba', '鋇', 137.33],
+  [78, 'Pt', '鉑', 195.08],
+  [79, 'Au', '金', 196.97],
+  [80, 'Hg', '汞', 200.59],
+  [82, 'Pb', '鉛', 207.2],
+  [83, 'Bi', '鉍', 208.98],
+  [86, 'Rn', '氡', 222],
+  [88, 'Ra', '鐳', 226],
+  [92, 'U', '鈾', 238.03]
+];
+
+export const ELEMENTS = ROWS.map(([z, symbol, name, mass]) => ({ z, symbol, name, mass }));
+
+const BY_SYMBOL = new Map(ELEMENTS.map((e) => [e.symbol, e]));
+
+export function getElement(symbol) {
+  return BY_SYMBOL.get(symbol) || null;
+}
+
+export function isElementSymbol(symbol) {
+  return BY_SYMBOL.has(symbol);
+}
+
+// Standard atomic weights keyed by symbol.
+export const STANDARD_ATOMIC_MASSES = Object.fromEntries(ELEMENTS.map((e) => [e.symbol, e.mass]));
+
+// Rounded values used in high-school problems (and in our question stems); anything not listed
+// falls back to the standard weight.
+export const SCHOOL_ATOMIC_MASSES = {
+  ...STANDARD_ATOMIC_MASSES,
+  H: 1,
+  He: 4,
+  C: 12,
+  N: 14,
+  O: 16,
+  F: 19,
+  Na: 23,
+  Mg: 24,
+  Al: 27,
+  Si: 28,
+  P: 31,
+  S: 32,
+  Cl: 35.5,
+  K: 39,
+  Ca: 40,
+  Mn: 55,
+  Fe: 56,
+  Cu: 63.5,
+  Zn: 65.4,
+  Br: 80,
+  Ag: 108,
+  I: 127,
+  Ba: 137,
+  Pb: 207
+};
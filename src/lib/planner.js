@@ -0,0 +1,418 @@
+// Study plan shape: how many days, which skill on which day, and when to review.
+//
+// Without an exam date the plan is DEFAULT_PLAN_DAYS long. With one (段考, 學測, …) it runs from today to the day
+// before the exam, capped at MAX_PLAN_DAYS. Study days are shared out by weakness: every skill gets a day when
+// there is room, the rest go to the weakest in proportion to their gap. Days are dealt in rounds over the
+// priority/prerequisite order (see ./prerequisites.js), so foundations come first in every round.
+// Exam plans end with review days (REVIEW_DAY entries) and add a weekly one on longer runs.
+//
+// `minutesPerDay` sizes the day's practice set (see practiceQuota); the concept step takes about CONCEPT_MINUTES.
+
+import { addDays, daysBetween, isDateKey } from './dates.js';
+
+export const DEFAULT_PLAN_DAYS = 7;
+export const MAX_PLAN_DAYS = 60;
+
+// Plan entry for a mixed review day (never a skill id: those are kebab-case words).
+export const REVIEW_DAY = '@review';
+const REVIEW_EVERY = 7;
+
+export const MINUTES_PER_DAY_OPTIONS = [15, 30, 45, 60, 90];
+const CONCEPT_MINUTES = 10;
+const MINUTES_PER_QUESTION = 3;
+const MIN_PRACTICE = 4;
+
+/** @returns {{examDate: string | null, examLabel: string, minutesPerDay: number | null}} */
+export function sanitizePlanSettings(obj) {
+  const examDate = isDateKey(obj?.examDate) ? obj.examDate : null;
+  const examLabel = typeof obj?.examLabel === 'string' ? obj.examLabel.trim().slice(0, 20) : '';
+  const minutes = Number(obj?.minutesPerDay);
+  const minutesPerDay = MINUTES_PER_DAY_OPTIONS.includes(minutes) ? minutes : null;
+  return { examDate, examLabel, minutesPerDay };
+}
+
+/** Days left before the exam (0 on exam day, negative after), or null without an exam date. */
+export function daysUntilExam(settings, todayKey) {
+  return settings?.examDate ? daysBetween(todayKey, settings.examDate) : null;
+}
+
+/** Plan length for a plan starting today; an exam today or in the past falls back to the default. */
+export function planLengthFor(settings, todayKey) {
+  const left = daysUntilExam(settings, todayKey);
+  if (left === null || left < 1) return DEFAULT_PLAN_DAYS;
+  return Math.min(MAX_PLAN_DAYS, left);
+}
+
+/** Practice questions that fit the daily time budget, or null (no budget: the whole set). */
+export function practiceQuota(minutesPerDay) {
+  if (!minutesPerDay) return null;
+  return Math.max(MIN_PRACTICE, Math.floor((minutesPerDay - CONCEPT_MINUTES) / MINUTES_PER_QUESTION));
+}
+
+// Review slots: the last day (and the one before it on plans of two weeks or more), plus every REVIEW_EVERY-th day
+// that isn't right next to the final review.
+function reviewIndexes(length) {
+  const out = new Set();
+  if (length < 3) return out;
+  out.add(length - 1);
+  if (length >= 2 * REVIEW_EVERY) out.add(length - 2);
+  const finalStart = Math.min(...out);
+  for (let i = REVIEW_EVERY - 1; i < finalStart - 2; i += REVIEW_EVERY) out.add(i);
+  return out;
+}
+
+// One slot per skill (highest priority first when they don't all fit), then a largest-remainder split by weight.
+// Shared with mixed review sessions (./mixedReview.js), which deal out questions the same way.
+export function allocateByWeight(order, weightOf, slots) {
+  const counts = Object.fromEntries(order.map((sid, i) => [sid, i < slots ? 1 : 0]));
+  const left = slots - order.length;
+  if (left <= 0) return counts;
+  const total = order.reduce((sum, sid) => sum + weightOf(sid), 0) || 1;
+  const shares = order.map((sid) => ({ sid, exact: (left * weightOf(sid)) / total }));
+  for (const s of shares) counts[s.sid] += Math.floor(s.exact);
+  let rest = left - shares.reduce((sum, s) => sum + Math.floor(s.exact), 0);
+  // Ties go to the earlier (higher-priority) skill.
+  const byRemainder = [...shares].sort((a, b) => b.exact - Math.floor(b.exact) - (a.exact - Math.floor(a.exact)));
+  for (const s of byRemainder) {
+    if (rest <= 0) break;
+    counts[s.sid] += 1;
+    rest -= 1;
+  }
+  return counts;
+}
+
+/**
+ * @param {string[]} order skill ids in plan order (priority, prerequisites first)
+ * @param {(skillId: string) => number} masteryOf 0–100
+ * @param {{length: number, reviews: boolean}} opts
+ * @returns {string[]} one skill id (or REVIEW_DAY) per day
+ */
+export function buildPlanDays(order, masteryOf, { length, reviews }) {
+  if (!order.length || length < 1) return [];
+  const reviewAt = reviews ? reviewIndexes(length) : new Set();
+  // Mastered skills keep a small share so they are still revisited on long plans.
+  const counts = allocateByWeight(order, (sid) => Math.max(10, 100 - masteryOf(sid)), length - reviewAt.size);
+
+  const study = [];
+  while (order.some((sid) => counts[sid] > 0)) {
+    for (const sid of order) {
+      if (counts[sid] <= 0) continue;
+      study.push(sid);
+      counts[sid] -= 1;
+    }
+  }
+
+  const out = [];
+  for (let i = 0; i < length; i++) out.push(reviewAt.has(i) ? REVIEW_DAY : study.shift());
+  return out;
+}
+
+/** Skills studied before day `dayIndex`, in first-seen order: what a review day covers. */
+export function skillsBeforeDay(plan, dayIndex) {
+  const out = [];
+  for (const sid of (plan || []).slice(0, dayIndex)) if (sid !== REVIEW_DAY && !out.includes(sid)) out.push(sid);
+  return out;
+}
+
+// --- Calendar: each plan day has a date (planDates), missed days can be re-flowed ---------------------------------
+
+export function isDayDone(p) {
+  return Boolean(p?.conceptDone && p?.practiceDone);
+}
+
+/** Stamp `completedAt` when a day becomes done (kept if it already was), drop it when it is undone. */
+export function stampDayCompletion(prev, next, nowIso) {
+  if (!isDayDone(next)) {
+    const { completedAt: _drop, ...rest } = next;
+    return rest;
+  }
+  return { ...next, completedAt: isDayDone(prev) && prev.completedAt ? prev.completedAt : nowIso };
+}
+
+/** Consecutive dates from `startKey`. */
+export function planDatesFrom(startKey, length) {
+  return isDateKey(startKey) ? Array.from({ length }, (_, i) => addDays(startKey, i)) : [];
+}
+
+/**
+ * Date of every plan day: the stored planDates when they match the plan, else consecutive from planStartDate
+ * (saves from before re-flowing), else nulls (saves from before plan dates).
+ * @returns {Array<string | null>}
+ */
+export function resolvePlanDates(plan, planStartDate, planDates) {
+  const n = (plan || []).length;
+  if (Array.isArray(planDates) && planDates.length === n && planDates.every(isDateKey)) return planDates;
+  const derived = planDatesFrom(planStartDate, n);
+  return derived.length ? derived : Array.from({ length: n }, () => null);
+}
+
+/** Indexes of days scheduled before today that aren't done. */
+export function findMissedDays(dates, dayProgress, todayKey) {
+  const out = [];
+  (dates || []).forEach((d, i) => {
+    if (d && d < todayKey && !isDayDone(dayProgress?.[i])) out.push(i);
+  });
+  return out;
+}
+
+export const REFLOW_MODES = ['compress', 'extend', 'merge'];
+
+/**
+ * Re-flow the plan after missed days. Done days keep their dates and come first; the rest start today:
+ * - extend: one day per date, so the plan ends later;
+ * - compress: keep the end date (`endKey`), doubling up days where they don't fit;
+ * - merge: drop missed days whose skill still has a later day, then lay the rest out like extend.
+ * Day progress (and partial progress on undone days) moves with its day.
+ * @returns {{plan: string[], dates: string[], dayProgress: Record<number, any>, dayIndex: number,
+ *   origin: number[]}} `origin[i]`: the old index of new day i (see variantRenames)
+ */
+export function reflowPlan({ plan, dates, dayProgress }, mode, todayKey, endKey) {
+  const days = (plan || []).map((sid, i) => ({ sid, i, date: dates?.[i] || null, progress: dayProgress?.[i] || null }));
+  const done = days.filter((d) => isDayDone(d.progress));
+  let rest = days.filter((d) => !isDayDone(d.progress));
+
+  if (mode === 'merge') {
+    rest = rest.filter((d, k) => {
+      const missed = !d.date || d.date < todayKey;
+      return !missed || !rest.slice(k + 1).some((later) => later.sid === d.sid);
+    });
+  }
+
+  const span = mode === 'compress' && isDateKey(endKey) ? daysBetween(todayKey, endKey) + 1 : 0;
+  const restDates = rest.map((_, k) =>
+    span >= 1 && rest.length > span ? addDays(todayKey, Math.floor((k * span) / rest.length)) : addDays(todayKey, k)
+  );
+
+  const next = [...done, ...rest];
+  const outProgress = {};
+  next.forEach((d, i) => {
+    if (d.progress) outProgress[i] = d.progress;
+  });
+  return {
+    plan: next.map((d) => d.sid),
+    dates: [...done.map((d) => d.date || todayKey), ...restDates],
+    dayProgress: outProgress,
+    dayIndex: rest.length ? done.length : Math.max(0, next.length - 1),
+    origin: next.map((d) => d.i)
+  };
+}
+
+// --- Adaptive re-planning: after a day is done, revisit the days nobody has started yet ------------------------------
+
+function isStarted(p) {
+  return Boolean(p?.conceptDone || p?.practiceDone || Object.keys(p?.answers || {}).length);
+}
+
+/**
+ * Re-rank the not-yet-started study days after day `doneIdx` is completed, using current mastery:
+ * - a skill at or above `threshold` loses its remaining days (aced);
+ * - a planned skill still below it with no day left gets one: a freed day, else the last day of the most-mastered
+ *   skill that has several and is stronger than it, else a new day before the final review days (the plan may not run past `lastDate`, or
+ *   its current last date without one, nor grow past MAX_PLAN_DAYS);
+ * - freed days nobody needs go to the weakest skills below the threshold, or are dropped.
+ * Done and started days, and review days, never change.
+ * @param {{plan: string[], dates: Array<string | null>, dayProgress: Record<number, any>}} state
+ * @param {number} doneIdx
+ * @param {(skillId: string) => number} masteryOf 0–100
+ * @param {{threshold: number, lastDate?: string | null}} opts
+ * @returns {null | {plan: string[], dates: Array<string | null>, dayProgress: Record<number, any>,
+ *   changes: Array<{kind: 'dropped' | 'added' | 'replaced', skillId: string, from?: string, date: string | null}>,
+ *   origin: Array<number | null>}} `origin[i]`: the old index of new day i (null when added; see variantRenames)
+ */
+export function adaptRemainingDays({ plan, dates, dayProgress }, doneIdx, masteryOf, { threshold, lastDate = null }) {
+  const xs = plan || [];
+  const slots = [];
+  for (let i = doneIdx + 1; i < xs.length; i++) {
+    if (xs[i] !== REVIEW_DAY && !isStarted(dayProgress?.[i])) slots.push(i);
+  }
+  const assign = slots.map((i) => xs[i]);
+  const fixedLater = xs.filter((sid, i) => i > doneIdx && sid !== REVIEW_DAY && !slots.includes(i) && !isDayDone(dayProgress?.[i]));
+  const weak = (sid) => masteryOf(sid) < threshold;
+  const planned = [...new Set(xs.filter((sid) => sid !== REVIEW_DAY))];
+
+  // 1. Aced skills give their days back.
+  const freed = [];
+  assign.forEach((sid, k) => {
+    if (!weak(sid)) {
+      assign[k] = null;
+      freed.push(k);
+    }
+  });
+
+  // 2. Weak skills with nothing left get a day, weakest first.
+  const remaining = (sid) => assign.filter((x) => x === sid).length + fixedLater.filter((x) => x === sid).length;
+  const needs = planned.filter((sid) => weak(sid) && remaining(sid) === 0).sort((a, b) => masteryOf(a) - masteryOf(b));
+  // New days go in before the closing review days, which move back one date per new day.
+  let tail = 0;
+  while (tail < xs.length && xs[xs.length - 1 - tail] === REVIEW_DAY) tail += 1;
+  const lastKnown = [...(dates || [])].reverse().find(Boolean) || null;
+  const endDate = lastDate || lastKnown;
+  const room = Math.min(
+    lastKnown && endDate ? Math.max(0, daysBetween(lastKnown, endDate)) : Infinity,
+    Math.max(0, MAX_PLAN_DAYS - xs.length)
+  );
+  const appended = [];
+  for (const sid of needs) {
+    if (freed.length) {
+      assign[freed.shift()] = sid;
+      continue;
+    }
+    const donor = [...new Set(assign)]
+      .filter((x) => x && masteryOf(x) > masteryOf(sid) && assign.filter((y) => y === x).length > 1)
+      .sort((a, b) => masteryOf(b) - masteryOf(a))[0];
+    if (donor) {
+      assign[assign.lastIndexOf(donor)] = sid;
+      continue;
+    }
+    if (appended.length >= room) break;
+    appended.push(sid);
+  }
+
+  // 3. Leftover freed days: weakest skills in turn, or drop the day.
+  const byWeakness = planned.filter(weak).sort((a, b) => masteryOf(a) - masteryOf(b));
+  freed.forEach((k, n) => {
+    if (byWeakness.length) assign[k] = byWeakness[n % byWeakness.length];
+  });
+
+  const changes = [];
+  slots.forEach((i, k) => {
+    const from = xs[i];
+    const to = assign[k];
+    const date = dates?.[i] || null;
+    if (!to) changes.push({ kind: 'dropped', skillId: from, date });
+    else if (to !== from) changes.push({ kind: 'replaced', skillId: to, from, date });
+  });
+  const next = [];
+  xs.forEach((sid, i) => {
+    const k = slots.indexOf(i);
+    const to = k >= 0 ? assign[k] : sid;
+    if (to) next.push({ sid: to, i, date: dates?.[i] || null, progress: dayProgress?.[i] || null });
+  });
+  if (appended.length) {
+    const reviews = next.splice(next.length - tail, tail);
+    const prev = next[next.length - 1]?.date || null;
+    const first = reviews[0]?.date || (prev ? addDays(prev, 1) : null);
+    const added = appended.map((sid) => ({ sid, i: null, date: null, progress: null }));
+    [...added, ...reviews].forEach((d, j) => {
+      if (first) d.date = addDays(first, j);
+    });
+    next.push(...added, ...reviews);
+    for (const d of added) changes.push({ kind: 'added', skillId: d.sid, date: d.date });
+  }
+  if (!changes.length) return null;
+
+  const outProgress = {};
+  next.forEach((d, i) => {
+    if (d.progress) outProgress[i] = d.progress;
+  });
+  return {
+    plan: next.map((d) => d.sid),
+    dates: next.map((d) => d.date),
+    dayProgress: outProgress,
+    changes,
+    origin: next.map((d) => d.i)
+  };
+}
+
+// --- Manual editing ----------------------------------------------------------------------------------------------
+
+/**
+ * Apply one edit to the plan. Dates belong to positions (the calendar doesn't move), so a moved day takes the date
+ * of the slot it lands in; inserted days extend the calendar by a day at the end, deleted ones shorten it.
+ * Progress travels with its day.
+ * @param {{plan: string[], dates: Array<string | null>, dayProgress: Record<number, any>, dayIndex: number}} state
+ * @param {{type: 'move', from: number, to: number} | {type: 'replace', index: number, skillId: string}
+ *   | {type: 'insert', index: number, skillId: string} | {type: 'delete', index: number}} op
+ * @returns {{plan: string[], dates: Array<string | null>, dayProgress: Record<number, any>, dayIndex: number,
+ *   origin: Array<number | null>}} `origin[i]`: the old index of new day i (null when inserted)
+ */
+export function editPlan({ plan, dates, dayProgress, dayIndex }, op) {
+  const origin = (plan || []).map((_, i) => i);
+  const skills = [...(plan || [])];
+  if (op.type === 'move') {
+    const [o] = origin.splice(op.from, 1);
+    const [sid] = skills.splice(op.from, 1);
+    origin.splice(op.to, 0, o);
+    skills.splice(op.to, 0, sid);
+  } else if (op.type === 'replace') {
+    skills[op.index] = op.skillId;
+  } else if (op.type === 'insert') {
+    origin.splice(op.index, 0, null);
+    skills.splice(op.index, 0, op.skillId);
+  } else if (op.type === 'delete') {
+    origin.splice(op.index, 1);
+    skills.splice(op.index, 1);
+  }
+
+  const oldDates = dates || [];
+  const last = [...oldDates].reverse().find(Boolean) || null;
+  const nextDates = skills.map((_, i) =>
+    i < oldDates.length ? oldDates[i] : last ? addDays(last, i - oldDates.length + 1) : null
+  );
+
+  const nextProgress = {};
+  origin.forEach((o, i) => {
+    // A replaced day starts over.
+    const keep = o !== null && !(op.type === 'replace' && o === op.index && plan[o] !== op.skillId);
+    if (keep && dayProgress?.[o]) nextProgress[i] = dayProgress[o];
+  });
+  const followed = origin.indexOf(dayIndex);
+  const nextIndex = followed >= 0 ? followed : Math.min(dayIndex, skills.length - 1);
+
+  return { plan: skills, dates: nextDates, dayProgress: nextProgress, dayIndex: Math.max(0, nextIndex), origin };
+}
+
+/**
+ * Question-id renames that keep each day's generated variants with the day after an edit: a day's variants are
+ * numbered by the skill's occurrence in the plan, which changes when days move, appear or disappear.
+ * @param {string[]} oldPlan
+ * @param {string[]} newPlan
+ * @param {Array<number | null>} origin see editPlan, reflowPlan and adaptRemainingDays
+ * @param {(skillId: string, occurrence: number) => string[]} variantIdsFor
+ * @returns {Map<string, string>} old qid → new qid
+ */
+export function variantRenames(oldPlan, newPlan, origin, variantIdsFor) {
+  const occurrenceAt = (xs, i) => xs.slice(0, i).filter((x) => x === xs[i]).length;
+  const out = new Map();
+  newPlan.forEach((sid, i) => {
+    const o = origin[i];
+    if (o === null || sid === REVIEW_DAY || oldPlan[o] !== sid) return;
+    const before = occurrenceAt(oldPlan, o);
+    const after = occurrenceAt(newPlan, i);
+    if (before === after) return;
+    const from = variantIdsFor(sid, before);
+    const to = variantIdsFor(sid, after);
+    from.forEach((qid, k) => {
+      if (to[k]) out.set(qid, to[k]);
+    });
+  });
+  return out;
+}
+
+/** Apply qid renames to the answers each day keeps (dayProgress[i].answers); a day's keys are its own questions. */
+export function renameDayAnswers(dayProgress, renames) {
+  if (!renames.size) return dayProgress;
+  const out = {};
+  for (const [i, p] of Object.entries(dayProgress || {})) {
+    if (!p?.answers) {
+      out[i] = p;
+      continue;
+    }
+    const answers = {};
+    for (const [qid, v] of Object.entries(p.answers)) answers[renames.get(qid) ?? qid] = v;
+    out[i] = { ...p, answers };
+  }
+  return out;
+}
+
+/** Apply qid renames to a { [qid]: value } map; a renamed entry replaces whatever was at its new id. */
+export function renameKeys(obj, renames) {
+  if (!renames.size) return obj;
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) if (!renames.has(k)) out[k] = v;
+  for (const [from, to] of renames) {
+    if (obj?.[from] !== undefined) out[to] = obj[from];
+    else delete out[to];
+  }
+  return out;
+}
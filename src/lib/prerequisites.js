@@ -0,0 +1,98 @@
+// Skill prerequisite graph: each skill lists the skills it builds on (`prerequisites` in src/content/skills.js).
+//
+// The plan fixes foundational gaps before the skills that depend on them: a skill is scheduled only after its
+// unmastered prerequisites, and otherwise in priority order (weakest first). A prerequisite that is already
+// mastered, or not in the plan pool at all, doesn't hold anything back.
+
+// Mastery (0–100) at which a prerequisite no longer needs to come first.
+export const PREREQ_MASTERED = 80;
+
+function prereqsOf(skill) {
+  return Array.isArray(skill?.prerequisites) ? skill.prerequisites : [];
+}
+
+/**
+ * A prerequisite cycle, as a path of skill ids that starts and ends with the same id, or null.
+ * @param {Array<{id: string, prerequisites?: string[]}>} skills
+ */
+export function findPrerequisiteCycle(skills) {
+  const byId = new Map((skills || []).map((s) => [s.id, s]));
+  const state = new Map(); // id -> 'open' | 'done'
+  const path = [];
+
+  function visit(id) {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'open') return [...path.slice(path.indexOf(id)), id];
+    state.set(id, 'open');
+    path.push(id);
+    for (const pre of prereqsOf(byId.get(id))) {
+      if (!byId.has(pre)) continue;
+      const cycle = visit(pre);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(id, 'done');
+    return null;
+  }
+
+  for (const s of skills || []) {
+    const cycle = visit(s.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Reorder priority-ranked skill ids so that unmastered prerequisites come before their dependents.
+ * Stable: among the skills whose blocking prerequisites are all placed, the highest-ranked goes next.
+ * @param {string[]} rankedIds skill ids, highest priority first
+ * @param {Array<{id: string, prerequisites?: string[]}>} skills
+ * @param {(skillId: string) => boolean} isMastered
+ * @returns {string[]}
+ */
+export function orderByPrerequisites(rankedIds, skills, isMastered) {
+  const byId = new Map((skills || []).map((s) => [s.id, s]));
+  const inPool = new Set(rankedIds);
+  const blockers = (id) => prereqsOf(byId.get(id)).filter((pre) => inPool.has(pre) && pre !== id && !isMastered(pre));
+
+  const placed = new Set();
+  const out = [];
+  while (out.length < rankedIds.length) {
+    const next =
+      rankedIds.find((id) => !placed.has(id) && blockers(id).every((pre) => placed.has(pre))) ||
+      // Only reachable with a cycle (rejected by content validation): fall back to rank order.
+      rankedIds.find((id) => !placed.has(id));
+    placed.add(next);
+    out.push(next);
+  }
+  return out;
+}
+
+/**
+ * Layers for drawing the graph: layer 0 has no prerequisites, every other skill sits one layer right of its
+ * deepest prerequisite.
+ * @param {Array<{id: string, prerequisites?: string[]}>} skills
+ * @returns {string[][]} skill ids per layer, in content order
+ */
+export function prerequisiteLayers(skills) {
+  const byId = new Map((skills || []).map((s) => [s.id, s]));
+  const depth = new Map();
+
+  function depthOf(id, seen) {
+    if (depth.has(id)) return depth.get(id);
+    if (seen.has(id)) return 0; // cycle guard
+    seen.add(id);
+    const pres = prereqsOf(byId.get(id)).filter((pre) => byId.has(pre));
+    const d = pres.length ? 1 + Math.max(...pres.map((pre) => depthOf(pre, seen))) : 0;
+    depth.set(id, d);
+    return d;
+  }
+
+  const layers = [];
+  for (const s of skills || []) {
+    const d = depthOf(s.id, new Set());
+    if (!layers[d]) layers[d] = [];
+    layers[d].push(s.id);
+  }
+  return layers.filter(Boolean);
+}
@@ -0,0 +1,38 @@
+// Seeded randomness: same seed string → same sequence, so shuffles and generated question variants
+// stay stable across refreshes, devices and export/import.
+
+export function hashStringToUint32(str) {
+  // FNV-1a 32-bit
+  let h = 0x811c9dc5;
+  const s = String(str || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Deterministic shuffle (practice question order, retest sampling, template choices)
+export function shuffledCopy(arr, seedStr) {
+  const xs = Array.isArray(arr) ? [...arr] : [];
+  if (xs.length <= 1) return xs;
+  const rng = mulberry32(hashStringToUint32(seedStr));
+  for (let i = xs.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    const tmp = xs[i];
+    xs[i] = xs[j];
+    xs[j] = tmp;
+  }
+  return xs;
+}
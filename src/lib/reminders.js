@@ -0,0 +1,99 @@
+// Daily study reminders at a time the student picks (Taipei wall-clock time, like every other date in the app).
+//
+// The page hands the service worker a small snapshot of the plan (public/sw-reminders.js keeps it in Cache
+// Storage), so a reminder can be decided later without the app open: it fires only when today's plan day isn't
+// done, and names the next incomplete day. `reminderFor` is the rule; vite.config.js writes it out as
+// sw-reminder-rule.js for the worker, so it must stay self-contained (no imports, no module-level names).
+
+import { addDays, isDateKey } from './dates.js';
+import { isDayDone } from './planner.js';
+
+export const DEFAULT_REMINDER_TIME = '20:00';
+export const REMINDER_TAG = 'study-reminder';
+// How far ahead scheduled (Notification Triggers) reminders are queued; re-synced whenever the app opens.
+export const REMINDER_SCHEDULE_DAYS = 7;
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * @returns {{ enabled: boolean, time: string, dismissedOn: string }} dismissedOn is the Taipei date key on which
+ *   the in-app reminder was last closed
+ */
+export function sanitizeReminderSettings(x) {
+  return {
+    enabled: x?.enabled === true,
+    time: TIME_RE.test(String(x?.time ?? '')) ? x.time : DEFAULT_REMINDER_TIME,
+    dismissedOn: isDateKey(x?.dismissedOn) ? x.dismissedOn : ''
+  };
+}
+
+/** Epoch ms of `time` ('HH:MM', Taipei) on `dateKey`. */
+export function reminderAt(dateKey, time) {
+  const [y, mo, d] = dateKey.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi) - TAIPEI_OFFSET_MS;
+}
+
+/**
+ * What the service worker needs to decide on reminders by itself.
+ * @param {{
+ *   settings: { enabled: boolean, time: string },
+ *   plan: string[],
+ *   dates: Array<string|null>,
+ *   dayProgress: object,
+ *   dayIndex: number,
+ *   nextIncompleteDay: number|null,
+ *   todayKey: string,
+ *   dayName: (skillId: string) => string,
+ *   dayUrl: (idx: number) => string
+ * }} state
+ */
+export function buildReminderSnapshot({ settings, plan, dates, dayProgress, dayIndex, nextIncompleteDay, todayKey, dayName, dayUrl }) {
+  const days = (plan || []).map((_, i) => ({ date: dates?.[i] || null, done: isDayDone(dayProgress?.[i]) }));
+  // Undated plans (from before exam dates) have no calendar: the current day stands in for today, and any later
+  // date is assumed to bring a new day.
+  const undated = days.some((d) => !d.date);
+  return {
+    enabled: Boolean(settings?.enabled),
+    time: settings?.time || DEFAULT_REMINDER_TIME,
+    days: undated ? [] : days,
+    current: undated ? { date: todayKey, done: days[dayIndex]?.done ?? true } : null,
+    next:
+      nextIncompleteDay === null || nextIncompleteDay === undefined
+        ? null
+        : { day: nextIncompleteDay + 1, name: dayName(plan[nextIncompleteDay]), url: dayUrl(nextIncompleteDay) }
+  };
+}
+
+/**
+ * The reminder for `dateKey`, or null: reminders are off, the plan is finished, that day's plan day is done, or a
+ * dated plan has no day on that date.
+ * @returns {{ title: string, body: string, url: string } | null}
+ */
+export function reminderFor(snapshot, dateKey) {
+  if (!snapshot?.enabled || !snapshot.next) return null;
+  if (snapshot.current) {
+    if (snapshot.current.date === dateKey && snapshot.current.done) return null;
+  } else {
+    const today = (snapshot.days || []).find((d) => d.date === dateKey);
+    if (!today || today.done) return null;
+  }
+  return {
+    title: '化學覆習：今天的任務還沒完成',
+    body: `Day ${snapshot.next.day}：${snapshot.next.name}`,
+    url: snapshot.next.url
+  };
+}
+
+/** Epoch ms of the upcoming reminders (at most `REMINDER_SCHEDULE_DAYS`), each paired with what it would say. */
+export function upcomingReminders(snapshot, todayKey, now) {
+  const out = [];
+  for (let i = 0; i < REMINDER_SCHEDULE_DAYS; i++) {
+    const date = addDays(todayKey, i);
+    const at = reminderAt(date, snapshot.time);
+    const reminder = reminderFor(snapshot, date);
+    if (at > now && reminder) out.push({ at, date, ...reminder });
+  }
+  return out;
+}
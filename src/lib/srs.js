@@ -0,0 +1,116 @@
+// Mistake notebook (錯題本) scheduling: SM-2 style spaced repetition.
+//
+// The notebook is not stored separately: it is replayed from the attempt history, so imports,
+// cross-tab sync and resets stay consistent for free.
+// - A wrong answer from any non-review source adds the question (or lapses it if already present).
+// - Only `review` attempts made once the item is due move it along the schedule.
+// - An item graduates (leaves the notebook) after GRADUATE_REPS consecutive correct, spaced recalls.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// First re-ask shortly after the mistake, then 1d, 3d, then interval × ease.
+export const LEARNING_DELAY_MS = 10 * MINUTE;
+export const GRADUATE_REPS = 4;
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// SM-2 ease update for response quality q (0..5).
+function nextEase(ease, q) {
+  const e = ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  return Math.max(MIN_EASE, Math.round(e * 100) / 100);
+}
+
+function intervalForRep(reps, prevInterval, ease) {
+  if (reps <= 1) return DAY;
+  if (reps === 2) return 3 * DAY;
+  return Math.round(prevInterval * ease);
+}
+
+function lapse(item, t) {
+  return {
+    ...item,
+    reps: 0,
+    interval: 0,
+    ease: nextEase(item.ease, 2),
+    due: t + LEARNING_DELAY_MS,
+    lapses: item.lapses + 1,
+    lastWrongAt: t,
+    graduated: false,
+    graduatedAt: 0
+  };
+}
+
+/**
+ * Replay attempts (oldest first) into notebook items keyed by qid.
+ * @param {Array<{qid:string, skillId:string, correct:boolean, at:string, source:string}>} attempts
+ */
+export function buildMistakeNotebook(attempts) {
+  /** @type {Record<string, any>} */
+  const items = {};
+  const xs = Array.isArray(attempts) ? attempts : [];
+
+  for (const a of xs) {
+    const t = new Date(a?.at).getTime();
+    if (!a?.qid || !Number.isFinite(t)) continue;
+    const cur = items[a.qid];
+
+    if (a.source !== 'review') {
+      if (a.correct) continue;
+      items[a.qid] = cur
+        ? lapse(cur, t)
+        : {
+            qid: a.qid,
+            skillId: a.skillId || '',
+            addedAt: t,
+            lastWrongAt: t,
+            reps: 0,
+            interval: 0,
+            ease: DEFAULT_EASE,
+            due: t + LEARNING_DELAY_MS,
+            lapses: 0,
+            reviews: 0,
+            graduated: false,
+            graduatedAt: 0
+          };
+      continue;
+    }
+
+    // Review attempts only count for items that are in the notebook and actually due.
+    if (!cur || cur.graduated || t < cur.due) continue;
+
+    if (!a.correct) {
+      items[a.qid] = { ...lapse(cur, t), reviews: cur.reviews + 1 };
+      continue;
+    }
+
+    const reps = cur.reps + 1;
+    const ease = nextEase(cur.ease, 4);
+    const interval = intervalForRep(reps, cur.interval, ease);
+    const graduated = reps >= GRADUATE_REPS;
+    items[a.qid] = {
+      ...cur,
+      reps,
+      ease,
+      interval,
+      due: t + interval,
+      reviews: cur.reviews + 1,
+      graduated,
+      graduatedAt: graduated ? t : 0
+    };
+  }
+
+  return items;
+}
+
+// Split notebook items into due / scheduled / graduated (each sorted by due time).
+export function partitionNotebook(items, now = Date.now()) {
+  const all = Object.values(items || {});
+  const byDue = (a, b) => a.due - b.due;
+  return {
+    due: all.filter((x) => !x.graduated && x.due <= now).sort(byDue),
+    scheduled: all.filter((x) => !x.graduated && x.due > now).sort(byDue),
+    graduated: all.filter((x) => x.graduated).sort((a, b) => b.graduatedAt - a.graduatedAt)
+  };
+}
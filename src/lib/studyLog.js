@@ -0,0 +1,64 @@
+// Study log: active study time per Taipei day, so "did they actually study this week" has an answer.
+//
+// Each day keeps the seconds spent with the app visible and in use, plus the daily goal (minutes) in force that
+// day, so changing the goal later doesn't rewrite history. A day counts towards the streak when its goal was met.
+
+import { addDays, dayStreak, isDateKey } from './dates.js';
+
+export const DEFAULT_DAILY_GOAL_MINUTES = 15;
+// Roughly a school year; older days are dropped so the saved state stays small.
+export const MAX_LOG_DAYS = 400;
+
+/** @returns {{ [dateKey: string]: { seconds: number, goal: number } }} */
+export function sanitizeStudyLog(obj) {
+  const out = {};
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return out;
+  for (const [date, v] of Object.entries(obj)) {
+    if (!isDateKey(date)) continue;
+    const seconds = Math.floor(Number(v?.seconds));
+    const goal = Math.floor(Number(v?.goal));
+    if (!(seconds >= 0)) continue;
+    out[date] = { seconds, goal: goal >= 1 ? goal : DEFAULT_DAILY_GOAL_MINUTES };
+  }
+  return out;
+}
+
+export function addStudySeconds(log, dateKey, seconds, goal) {
+  const cur = log?.[dateKey];
+  const next = { ...log, [dateKey]: { seconds: (cur?.seconds || 0) + seconds, goal } };
+  const dates = Object.keys(next).sort();
+  for (const d of dates.slice(0, Math.max(0, dates.length - MAX_LOG_DAYS))) delete next[d];
+  return next;
+}
+
+export function studyMinutes(entry) {
+  return Math.floor((entry?.seconds || 0) / 60);
+}
+
+export function isGoalMet(entry) {
+  return Boolean(entry) && entry.seconds >= entry.goal * 60;
+}
+
+/** Consecutive goal-met days (see dayStreak). */
+export function studyStreak(log, todayKey) {
+  return dayStreak(Object.keys(log || {}), (d) => isGoalMet(log?.[d]), todayKey);
+}
+
+/**
+ * The last `days` days ending today, oldest first.
+ * @param {string[]} completedDates Taipei date keys on which a plan day was completed
+ */
+export function recentStudyDays(log, todayKey, completedDates = [], days = 7) {
+  const out = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(todayKey, -i);
+    const entry = log?.[date];
+    out.push({
+      date,
+      minutes: studyMinutes(entry),
+      met: isGoalMet(entry),
+      planDays: completedDates.filter((d) => d === date).length
+    });
+  }
+  return out;
+}
@@ -0,0 +1,107 @@
+// Parameterized question templates → concrete question variants.
+//
+// A variant's id is `<templateId>@<n>` and everything about it (slot values, choice order) is seeded from that id,
+// so the same id always rebuilds the same question: answers, attempts and exports only need to store the id.
+//
+// Template shape:
+// {
+//   id, skillId, kind: 'mc' | 'numeric',
+//   stem: '{n} mol 的 {formula} 含有多少個分子？',   // {name} slots filled from slot values + build().vars
+//   slots: { n: [0.1, 0.25] | { min, max, step }, formula: ['H2O', 'CO2'] },
+//   build(vars) → {
+//     answer, unit?, sigFigs?, tolerance?, explanation, wrongReasonTags?, vars?,
+//     distractors?: [{ value, tag }]           // mc only: values from known misconceptions
+//   }
+// }
+
+import { formatNumber } from './numeric.js';
+import { hashStringToUint32, mulberry32, shuffledCopy } from './random.js';
+
+export const VARIANT_SEP = '@';
+
+export function variantId(templateId, n) {
+  return `${templateId}${VARIANT_SEP}${n}`;
+}
+
+/** @returns {{templateId: string, n: number} | null} */
+export function parseVariantId(qid) {
+  const s = String(qid || '');
+  const at = s.lastIndexOf(VARIANT_SEP);
+  if (at <= 0) return null;
+  const n = Number(s.slice(at + 1));
+  if (!Number.isInteger(n) || n < 0) return null;
+  return { templateId: s.slice(0, at), n };
+}
+
+export function slotValues(spec) {
+  if (Array.isArray(spec)) return spec;
+  const { min, max, step } = spec || {};
+  if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) return [];
+  const out = [];
+  // Round to the step's precision so 0.1 + 0.2 style float noise never reaches a stem.
+  const digits = (String(step).split('.')[1] || '').length;
+  for (let k = 0; min + k * step <= max + 1e-9; k++) out.push(Number((min + k * step).toFixed(digits)));
+  return out;
+}
+
+function fill(stem, vars) {
+  return String(stem || '').replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : String(vars[k])));
+}
+
+// mc choice text for a numeric value; the same formatting for the answer and every distractor keeps them comparable.
+// Without sigFigs, values are cut to 4 significant figures but trailing zeros are not padded (74, not 74.00).
+function choiceLabel(value, sigFigs, unit) {
+  const text = sigFigs ? formatNumber(value, sigFigs) : formatNumber(Number(Number(value).toPrecision(4)));
+  return `${text}${unit ? ` ${unit}` : ''}`;
+}
+
+/**
+ * Build variant #n of a template.
+ * @returns {object | null} a question object in the same shape as the hand-written ones (plus templateId)
+ */
+export function instantiateTemplate(tpl, n) {
+  if (!tpl?.id || typeof tpl.build !== 'function') return null;
+  const id = variantId(tpl.id, n);
+  const rng = mulberry32(hashStringToUint32(id));
+
+  const vars = {};
+  for (const [name, spec] of Object.entries(tpl.slots || {})) {
+    const xs = slotValues(spec);
+    if (!xs.length) return null;
+    vars[name] = xs[Math.floor(rng() * xs.length)];
+  }
+
+  const out = tpl.build(vars) || {};
+  const base = {
+    id,
+    templateId: tpl.id,
+    skillId: tpl.skillId,
+    kind: tpl.kind,
+    stem: fill(tpl.stem, { ...vars, ...(out.vars || {}) }),
+    explanation: out.explanation,
+    wrongReasonTags: out.wrongReasonTags || tpl.wrongReasonTags
+  };
+
+  if (tpl.kind === 'numeric') {
+    return { ...base, answer: out.answer, unit: out.unit, tolerance: out.tolerance, sigFigs: out.sigFigs };
+  }
+
+  // mc: correct label + up to 3 distinct misconception labels, order seeded by the variant id.
+  const correct = choiceLabel(out.answer, out.sigFigs, out.unit);
+  const labels = [correct];
+  const tags = [];
+  for (const d of out.distractors || []) {
+    const label = choiceLabel(d.value, out.sigFigs, out.unit);
+    if (!Number.isFinite(d.value) || d.value <= 0 || labels.includes(label)) continue;
+    labels.push(label);
+    if (d.tag && !tags.includes(d.tag)) tags.push(d.tag);
+    if (labels.length === 4) break;
+  }
+  const choices = shuffledCopy(labels, `${id}|choices`);
+  return {
+    ...base,
+    choices,
+    answer: choices.indexOf(correct),
+    wrongReasonTags: base.wrongReasonTags || tags
+  };
+}
@@ -0,0 +1,50 @@
+// Student-picked wrong reasons: after a wrong answer the student marks which of the question's wrongReasonTags
+// was their mistake. Picks are stored per question ({ [qid]: string[] }, the latest tagging wins) and aggregated by
+// tag across skills, so a habit like scientific-notation slips shows up even when it is spread over several skills.
+
+/**
+ * Keep only tags the question still lists (deduped); drop questions that no longer exist.
+ * `resolveTag` maps a stored tag onto the current id (e.g. an old display name), or null.
+ */
+export function sanitizeWrongReasonPicks(obj, getQuestion, resolveTag = (t) => t) {
+  const out = {};
+  if (!obj || typeof obj !== 'object') return out;
+  for (const [qid, tags] of Object.entries(obj)) {
+    const allowed = getQuestion(qid)?.wrongReasonTags;
+    if (!Array.isArray(allowed) || !Array.isArray(tags)) continue;
+    const resolved = tags.map(resolveTag);
+    const kept = allowed.filter((t) => resolved.includes(t));
+    if (kept.length) out[qid] = kept;
+  }
+  return out;
+}
+
+export function toggleWrongReasonPick(picks, qid, tag) {
+  const cur = Array.isArray(picks?.[qid]) ? picks[qid] : [];
+  const nextTags = cur.includes(tag) ? cur.filter((t) => t !== tag) : [...cur, tag];
+  const next = { ...(picks || {}) };
+  if (nextTags.length) next[qid] = nextTags;
+  else delete next[qid];
+  return next;
+}
+
+/**
+ * Tag-level weakness report, most picked first (ties: more skills first).
+ * @returns {Array<{tag: string, count: number, bySkill: Record<string, number>}>}
+ */
+export function summarizeWrongReasons(picks, getQuestion) {
+  const byTag = new Map();
+  for (const [qid, tags] of Object.entries(picks || {})) {
+    const skillId = getQuestion(qid)?.skillId;
+    if (!skillId) continue;
+    for (const tag of tags || []) {
+      const row = byTag.get(tag) || { tag, count: 0, bySkill: {} };
+      row.count += 1;
+      row.bySkill[skillId] = (row.bySkill[skillId] || 0) + 1;
+      byTag.set(tag, row);
+    }
+  }
+  return [...byTag.values()].sort(
+    (a, b) => b.count - a.count || Object.keys(b.bySkill).length - Object.keys(a.bySkill).length
+  );
+}
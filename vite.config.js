@@ -3,9 +3,29 @@ import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
 import { readFileSync } from 'node:fs';
 import process from 'node:process';
+import { reminderFor } from './src/lib/reminders.js';
 
 const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
 
+// The service worker's reminder rule: reminderFor written out as a plain script (imported by public/sw-reminders.js
+// through Workbox), so the app and the worker always decide the same way. Served in dev, emitted on build.
+function swReminderRule() {
+  const fileName = 'sw-reminder-rule.js';
+  const source = `// Generated by vite.config.js from reminderFor in src/lib/reminders.js; do not edit.\n${reminderFor.toString()}\n`;
+  return {
+    name: 'sw-reminder-rule',
+    configureServer(server) {
+      server.middlewares.use(`/${fileName}`, (req, res) => {
+        res.setHeader('Content-Type', 'text/javascript');
+        res.end(source);
+      });
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName, source });
+    }
+  };
+}
+
 export default defineConfig(({ mode }) => {
   // Avoid service worker caching surprises during local dev.
   // Opt-in via env: PWA_DEV=true (e.g., `PWA_DEV=true npm run dev`).
@@ -19,6 +39,7 @@ export default defineConfig(({ mode }) => {
     },
     plugins: [
       react(),
+      swReminderRule(),
       VitePWA({
         registerType: 'autoUpdate',
         includeAssets: ['favicon.svg', 'robots.txt', 'pwa-icon.svg', 'pwa-192.png', 'pwa-512.png', 'apple-touch-icon.png'],
@@ -62,7 +83,9 @@ export default defineConfig(({ mode }) => {
           // serve the cached app shell (index.html) instead of a Workbox 404.
           navigateFallback: '/index.html',
           // Don't hijack asset/file requests.
-          navigateFallbackDenylist: [/^\/assets\//]
+          navigateFallbackDenylist: [/^\/assets\//],
+          // Study reminders (periodic sync + notification clicks) live in a plain script next to the generated SW.
+          importScripts: ['sw-reminder-rule.js', 'sw-reminders.js']
         },
         devOptions: {
           enabled: pwaDevEnabled